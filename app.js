@@ -2,6 +2,7 @@ const express = require('express');
 const cookieParser = require('cookie-parser');
 const logger = require('morgan');
 const cors = require('cors');
+const passport = require('passport');
 
 const indexRouter = require('./routes/index');
 const usersRouter = require('./routes/users');
@@ -13,16 +14,20 @@ const taskRouter=require('./routes/task');
 const projectRouter=require('./routes/project');
 const project_toolRouter=require('./routes/project_tool');
 const project_materialRouter=require('./routes/project_material');
+const adminRouter=require('./routes/admin');
+const resourcesRouter=require('./routes/resources');
 const jobSearchRouter = require('./routes/jobSearchRoutes'); // Import the job search route
+const errorHandlerMiddleware = require('./middleware/errHandMiddleware');
 
 const app = express();
 
-app.use(cors({origin:"*"}));
+app.use(cors({origin:"*",exposedHeaders:["Authorization"]}));
 
 app.use(logger('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
+app.use(passport.initialize());
 
 app.use('/', indexRouter);
 app.use('/users', usersRouter);
@@ -34,6 +39,9 @@ app.use('/project',projectRouter);
 app.use('/task',taskRouter);
 app.use('/project_tool',project_toolRouter);
 app.use('/project_material',project_materialRouter);
+app.use('/admin',adminRouter);
+app.use('/resources',resourcesRouter);
 app.use('/jobs', jobSearchRouter); // Mount the job search route
+app.use(errorHandlerMiddleware);
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,15 @@
+require('dotenv').config();
+
+// Tokens signed with a secret anyone can read in the code could be forged, so only development runs without one
+if (!process.env.JWT_SECRET && process.env.NODE_ENV !== 'development') {
+    throw new Error("JWT_SECRET is not set; set it in the environment or .env (NODE_ENV=development falls back to a development secret)");
+}
+
+module.exports = {
+    JWT_SECRET: process.env.JWT_SECRET || "communicraft-dev-secret",
+    JWT_EXPIRES_IN: parseInt(process.env.JWT_EXPIRES_IN, 10) || 1800, // seconds (30 min)
+    REFRESH_TOKEN_EXPIRES_IN: parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN, 10) || 604800, // seconds (7 days)
+    EMAIL_VERIFICATION_EXPIRES_IN: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_IN, 10) || 86400, // seconds (24 h)
+    PASSWORD_RESET_EXPIRES_IN: parseInt(process.env.PASSWORD_RESET_EXPIRES_IN, 10) || 3600, // seconds (1 h)
+    EMAIL_CHANGE_EXPIRES_IN: parseInt(process.env.EMAIL_CHANGE_EXPIRES_IN, 10) || 86400 // seconds (24 h)
+};
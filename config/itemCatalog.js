@@ -0,0 +1,39 @@
+// Initial item catalog, loaded by bin/migrate-inventory. Each entry has a default unit; units maps every
+// other unit it can be measured in to how many default units one of it is (a skein of yarn is 200 m).
+module.exports = [
+    { name: 'Yarn', kind: 'material', category: 'textile crafts', defaultUnit: 'm', units: { cm: 0.01, skein: 200, ball: 100 } },
+    { name: 'Fabric', kind: 'material', category: 'textile crafts', defaultUnit: 'm', units: { cm: 0.01, yard: 0.9144 } },
+    { name: 'Thread', kind: 'material', category: 'textile crafts', defaultUnit: 'm', units: { cm: 0.01, spool: 500 } },
+    { name: 'Embroidery Floss', kind: 'material', category: 'textile crafts', defaultUnit: 'skein', units: { m: 0.125 } },
+    { name: 'Felt', kind: 'material', category: 'textile crafts', defaultUnit: 'sheet', units: {} },
+    { name: 'Paper', kind: 'material', category: 'paper crafts', defaultUnit: 'sheet', units: { ream: 500 } },
+    { name: 'Cardstock', kind: 'material', category: 'paper crafts', defaultUnit: 'sheet', units: { pack: 50 } },
+    { name: 'Glue', kind: 'material', category: 'paper crafts', defaultUnit: 'ml', units: { l: 1000 } },
+    { name: 'Wood Board', kind: 'material', category: 'wood crafts', defaultUnit: 'piece', units: {} },
+    { name: 'Wood Stain', kind: 'material', category: 'wood crafts', defaultUnit: 'ml', units: { l: 1000 } },
+    { name: 'Sandpaper', kind: 'material', category: 'wood crafts', defaultUnit: 'sheet', units: { pack: 10 } },
+    { name: 'Wire', kind: 'material', category: 'metal crafts', defaultUnit: 'm', units: { cm: 0.01, spool: 50 } },
+    { name: 'Solder', kind: 'material', category: 'metal crafts', defaultUnit: 'g', units: { kg: 1000 } },
+    { name: 'Clay', kind: 'material', category: 'ceramics and pottery', defaultUnit: 'g', units: { kg: 1000 } },
+    { name: 'Glaze', kind: 'material', category: 'ceramics and pottery', defaultUnit: 'ml', units: { l: 1000 } },
+    { name: 'Glass Sheet', kind: 'material', category: 'glass crafts', defaultUnit: 'sheet', units: {} },
+    { name: 'Glass Rod', kind: 'material', category: 'glass crafts', defaultUnit: 'piece', units: {} },
+    { name: 'Beads', kind: 'material', category: 'jewelry making', defaultUnit: 'piece', units: { strand: 100 } },
+    { name: 'Silver Sheet', kind: 'material', category: 'jewelry making', defaultUnit: 'g', units: { kg: 1000 } },
+    { name: 'Acrylic Paint', kind: 'material', category: 'mixed media crafts', defaultUnit: 'ml', units: { l: 1000, tube: 75 } },
+    { name: 'Epoxy Resin', kind: 'material', category: 'mixed media crafts', defaultUnit: 'ml', units: { l: 1000 } },
+    { name: 'Sewing Machine', kind: 'tool', category: 'textile crafts', defaultUnit: 'piece', units: {} },
+    { name: 'Knitting Needles', kind: 'tool', category: 'textile crafts', defaultUnit: 'pair', units: {} },
+    { name: 'Loom', kind: 'tool', category: 'textile crafts', defaultUnit: 'piece', units: {} },
+    { name: 'Scissors', kind: 'tool', category: 'paper crafts', defaultUnit: 'piece', units: {} },
+    { name: 'Cutting Mat', kind: 'tool', category: 'paper crafts', defaultUnit: 'piece', units: {} },
+    { name: 'Saw', kind: 'tool', category: 'wood crafts', defaultUnit: 'piece', units: {} },
+    { name: 'Chisel', kind: 'tool', category: 'wood crafts', defaultUnit: 'piece', units: {} },
+    { name: 'Hammer', kind: 'tool', category: 'metal crafts', defaultUnit: 'piece', units: {} },
+    { name: 'Soldering Iron', kind: 'tool', category: 'metal crafts', defaultUnit: 'piece', units: {} },
+    { name: 'Pottery Wheel', kind: 'tool', category: 'ceramics and pottery', defaultUnit: 'piece', units: {} },
+    { name: 'Kiln', kind: 'tool', category: 'ceramics and pottery', defaultUnit: 'piece', units: {} },
+    { name: 'Glass Cutter', kind: 'tool', category: 'glass crafts', defaultUnit: 'piece', units: {} },
+    { name: 'Pliers', kind: 'tool', category: 'jewelry making', defaultUnit: 'piece', units: {} },
+    { name: 'Paintbrush', kind: 'tool', category: 'mixed media crafts', defaultUnit: 'piece', units: { set: 10 } }
+];
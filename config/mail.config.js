@@ -0,0 +1,15 @@
+require('dotenv').config();
+
+module.exports = {
+    // smtp | file | json (json keeps messages in memory, for tests)
+    TRANSPORT: process.env.MAIL_TRANSPORT || "file",
+    FROM: process.env.MAIL_FROM || "CommuniCraft <no-reply@communicraft.local>",
+    // Directory used by the file transport
+    DIR: process.env.MAIL_DIR || "mail",
+    SMTP_HOST: process.env.SMTP_HOST,
+    SMTP_PORT: parseInt(process.env.SMTP_PORT, 10) || 587,
+    SMTP_USER: process.env.SMTP_USER,
+    SMTP_PASSWORD: process.env.SMTP_PASSWORD,
+    // Base URL used to build the links sent by email
+    APP_URL: process.env.APP_URL || "http://localhost:3000"
+};
@@ -0,0 +1,6 @@
+require('dotenv').config();
+
+module.exports = {
+    INVITATION_EXPIRES_IN: parseInt(process.env.INVITATION_EXPIRES_IN, 10) || 604800, // seconds (7 days)
+    JOIN_REQUEST_EXPIRES_IN: parseInt(process.env.JOIN_REQUEST_EXPIRES_IN, 10) || 1209600 // seconds (14 days)
+};
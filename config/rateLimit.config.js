@@ -0,0 +1,27 @@
+require('dotenv').config();
+
+module.exports = {
+    ENABLED: process.env.RATE_LIMIT_ENABLED !== 'false',
+    WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000, // 15 min
+    // Requests allowed per window, counted per IP and per account.
+    // Read-only requests (GET/HEAD) and writes are counted separately.
+    users: {
+        read: parseInt(process.env.RATE_LIMIT_USERS_READ, 10) || 60,
+        write: parseInt(process.env.RATE_LIMIT_USERS_WRITE, 10) || 20
+    },
+    admin: {
+        read: parseInt(process.env.RATE_LIMIT_ADMIN_READ, 10) || 300,
+        write: parseInt(process.env.RATE_LIMIT_ADMIN_WRITE, 10) || 60
+    },
+    api: {
+        read: parseInt(process.env.RATE_LIMIT_API_READ, 10) || 600,
+        write: parseInt(process.env.RATE_LIMIT_API_WRITE, 10) || 150
+    },
+    // Login lockout: after MAX_FAILURES failed logins for an account (or IP_MAX_FAILURES from one IP)
+    // further attempts are refused for LOCKOUT_MS, doubling with every further failure up to LOCKOUT_MAX_MS
+    LOGIN_MAX_FAILURES: parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5,
+    LOGIN_IP_MAX_FAILURES: parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20,
+    LOGIN_LOCKOUT_MS: parseInt(process.env.LOGIN_LOCKOUT_MS, 10) || 60 * 1000, // 1 min
+    LOGIN_LOCKOUT_MAX_MS: parseInt(process.env.LOGIN_LOCKOUT_MAX_MS, 10) || 60 * 60 * 1000, // 1 h
+    LOGIN_FAILURE_WINDOW_MS: parseInt(process.env.LOGIN_FAILURE_WINDOW_MS, 10) || 24 * 60 * 60 * 1000 // 24 h
+};
@@ -0,0 +1,43 @@
+// Initial skill catalog, loaded by bin/migrate-skills. Aliases are matched case-insensitively.
+module.exports = [
+    { name: 'Sewing', category: 'textile crafts', aliases: ['sew', 'hand sewing', 'machine sewing'] },
+    { name: 'Knitting', category: 'textile crafts', aliases: ['knit', 'hand knitting', 'machine knitting'] },
+    { name: 'Crochet', category: 'textile crafts', aliases: ['crocheting'] },
+    { name: 'Embroidery', category: 'textile crafts', aliases: ['embroidering', 'cross stitch', 'tatreez'] },
+    { name: 'Weaving', category: 'textile crafts', aliases: ['weave', 'loom weaving'] },
+    { name: 'Quilting', category: 'textile crafts', aliases: ['quilt', 'patchwork'] },
+    { name: 'Fabric Dyeing', category: 'textile crafts', aliases: ['dyeing', 'natural dyeing', 'tie dye'] },
+    { name: 'Origami', category: 'paper crafts', aliases: ['paper folding'] },
+    { name: 'Calligraphy', category: 'paper crafts', aliases: ['hand lettering', 'lettering'] },
+    { name: 'Bookbinding', category: 'paper crafts', aliases: ['book binding'] },
+    { name: 'Scrapbooking', category: 'paper crafts', aliases: ['scrapbook'] },
+    { name: 'Quilling', category: 'paper crafts', aliases: ['paper quilling'] },
+    { name: 'Card Making', category: 'paper crafts', aliases: ['cardmaking'] },
+    { name: 'Woodworking', category: 'wood crafts', aliases: ['woodwork', 'wood working'] },
+    { name: 'Wood Carving', category: 'wood crafts', aliases: ['carving', 'whittling'] },
+    { name: 'Carpentry', category: 'wood crafts', aliases: ['carpenter', 'joinery'] },
+    { name: 'Woodturning', category: 'wood crafts', aliases: ['wood turning', 'lathe turning'] },
+    { name: 'Metalworking', category: 'metal crafts', aliases: ['metalwork', 'metal working'] },
+    { name: 'Welding', category: 'metal crafts', aliases: ['weld', 'arc welding', 'mig welding', 'tig welding'] },
+    { name: 'Blacksmithing', category: 'metal crafts', aliases: ['smithing', 'forging', 'blacksmith'] },
+    { name: 'Soldering', category: 'metal crafts', aliases: ['solder'] },
+    { name: 'Pottery', category: 'ceramics and pottery', aliases: ['wheel throwing', 'throwing', 'potter'] },
+    { name: 'Ceramics', category: 'ceramics and pottery', aliases: ['ceramic'] },
+    { name: 'Hand Building', category: 'ceramics and pottery', aliases: ['clay modeling', 'clay sculpting', 'clay'] },
+    { name: 'Glazing', category: 'ceramics and pottery', aliases: ['glaze'] },
+    { name: 'Glassblowing', category: 'glass crafts', aliases: ['glass blowing'] },
+    { name: 'Stained Glass', category: 'glass crafts', aliases: ['leaded glass'] },
+    { name: 'Mosaic', category: 'glass crafts', aliases: ['mosaics'] },
+    { name: 'Glass Fusing', category: 'glass crafts', aliases: ['fusing', 'kiln glass'] },
+    { name: 'Lampworking', category: 'glass crafts', aliases: ['lampwork', 'flameworking'] },
+    { name: 'Beading', category: 'jewelry making', aliases: ['beadwork', 'bead weaving'] },
+    { name: 'Silversmithing', category: 'jewelry making', aliases: ['silversmith', 'silver smithing'] },
+    { name: 'Goldsmithing', category: 'jewelry making', aliases: ['goldsmith'] },
+    { name: 'Wire Wrapping', category: 'jewelry making', aliases: ['wirework', 'wire work'] },
+    { name: 'Stone Setting', category: 'jewelry making', aliases: ['gem setting', 'gemstones'] },
+    { name: 'Collage', category: 'mixed media crafts', aliases: ['collaging'] },
+    { name: 'Painting', category: 'mixed media crafts', aliases: ['paint', 'acrylic painting', 'watercolor'] },
+    { name: 'Drawing', category: 'mixed media crafts', aliases: ['sketching', 'illustration'] },
+    { name: 'Resin Art', category: 'mixed media crafts', aliases: ['resin', 'epoxy resin'] },
+    { name: 'Printmaking', category: 'mixed media crafts', aliases: ['block printing', 'screen printing'] }
+];
@@ -1,8 +1,47 @@
-const authMiddleware = (req, res, next) => {
-    if (req.isAuthenticated()) {
-        return next(); // User is authenticated, proceed to the next middleware
-    } else {
-        return res.status(401).json({ message: 'Unauthorized' });
+const passport = require('passport');
+const { Strategy: JwtStrategy, ExtractJwt } = require('passport-jwt');
+const User = require('../models/User');
+const authConfig = require('../config/auth.config');
+const { isSessionActive } = require('../utils/session');
+
+// Tokens are accepted from the Authorization header first, then from the `jwt` cookie
+const cookieExtractor = (req) => (req && req.cookies ? req.cookies.jwt : null);
+
+passport.use(new JwtStrategy({
+    jwtFromRequest: ExtractJwt.fromExtractors([
+        ExtractJwt.fromAuthHeaderAsBearerToken(),
+        cookieExtractor
+    ]),
+    secretOrKey: authConfig.JWT_SECRET
+}, async (payload, done) => {
+    try {
+        // Access tokens belong to a server-side session that logout can revoke
+        if (!payload.sid || !(await isSessionActive(payload.sid))) {
+            return done(null, false);
+        }
+        const user = await User.findByPk(payload.id, {
+            attributes: { exclude: ['password'] }
+        });
+        if (!user || user.isSuspended) {
+            return done(null, false);
+        }
+        return done(null, user, payload);
+    } catch (err) {
+        return done(err, false);
     }
+}));
+
+const authMiddleware = (req, res, next) => {
+    passport.authenticate('jwt', { session: false }, (err, user, payload) => {
+        if (err) {
+            return next(err);
+        }
+        if (!user) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
+        req.user = user; // User is authenticated, proceed to the next middleware
+        req.sessionFamilyID = payload.sid;
+        return next();
+    })(req, res, next);
 };
 module.exports = authMiddleware;
@@ -0,0 +1,10 @@
+// Legacy routes carried the acting user's ID in the URL. They are kept as deprecated
+// aliases for one release: the ID must match the authenticated user, otherwise 403.
+const deprecatedParamMiddleware = (param) => (req, res, next) => {
+    res.set('Deprecation', 'true');
+    if (parseInt(req.params[param], 10) !== req.user.userID) {
+        return res.status(403).json({ message: 'You are not allowed to act on behalf of another user' });
+    }
+    next();
+};
+module.exports = deprecatedParamMiddleware;
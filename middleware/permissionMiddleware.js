@@ -0,0 +1,21 @@
+// Permissions granted to each user role. Members only act on their own data,
+// which the routers already check through ownership.
+const ROLE_PERMISSIONS = {
+    member: [],
+    moderator: ['users:read', 'users:suspend', 'projects:delete', 'audit:read', 'inventory:read'],
+    admin: ['users:read', 'users:suspend', 'users:delete', 'users:role', 'projects:delete', 'projects:reassign', 'audit:read', 'inventory:read', 'inventory:reconcile']
+};
+
+const hasPermission = (user, permission) => {
+    return !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+};
+
+const permissionMiddleware = (permission) => (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+        return res.status(403).json({ message: 'You do not have permission to perform this action' });
+    }
+    next();
+};
+module.exports = permissionMiddleware;
+module.exports.hasPermission = hasPermission;
+module.exports.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
@@ -0,0 +1,20 @@
+const Project = require('../models/Project');
+
+// Loads the project named by the route parameter and only lets its creator through.
+// The loaded project is exposed to the route handler as req.project.
+const projectOwnerMiddleware = (param = 'projectID') => async (req, res, next) => {
+    try {
+        const project = await Project.findByPk(req.params[param]);
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+        if (project.creatorID !== req.user.userID) {
+            return res.status(403).json({ message: 'You are not the creator of this project' });
+        }
+        req.project = project;
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+module.exports = projectOwnerMiddleware;
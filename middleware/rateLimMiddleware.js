@@ -1,4 +1,83 @@
-const rateLimitingMiddleware = (req, res, next) => {
-    next();
+const rateLimitConfig = require('../config/rateLimit.config');
+
+/**
+ * In-memory store for counters that expire. Any object with the same async methods can be
+ * passed as `store` instead (for example one backed by Redis when running several instances):
+ *   increment(key, windowMs) -> { count, resetAt }  counts a hit in the current window
+ *   get(key)                 -> { count, resetAt } | null
+ *   reset(key)               -> forgets the key
+ */
+class MemoryStore {
+    constructor() {
+        this.entries = new Map();
+        // Drop expired entries now and then so the map does not grow forever
+        this.cleanup = setInterval(() => {
+            const now = Date.now();
+            for (const [key, entry] of this.entries) {
+                if (entry.resetAt <= now) this.entries.delete(key);
+            }
+        }, 60 * 1000);
+        this.cleanup.unref();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let entry = this.entries.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            this.entries.set(key, entry);
+        }
+        entry.count += 1;
+        return { ...entry };
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.resetAt <= Date.now()) {
+            return null;
+        }
+        return { ...entry };
+    }
+
+    async reset(key) {
+        this.entries.delete(key);
+    }
+}
+
+const defaultStore = new MemoryStore();
+
+/**
+ * Limits requests per IP and, once authenticated, per account. `limits` holds the number of
+ * read-only (GET/HEAD) and write requests allowed per window, e.g. rateLimitConfig.users.
+ */
+const rateLimitingMiddleware = (limits, { name = 'api', windowMs = rateLimitConfig.WINDOW_MS, store = defaultStore } = {}) => async (req, res, next) => {
+    if (!rateLimitConfig.ENABLED) {
+        return next();
+    }
+    try {
+        const kind = req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write';
+        const max = limits[kind];
+        const keys = [`${name}:${kind}:ip:${req.ip}`];
+        if (req.user) {
+            keys.push(`${name}:${kind}:user:${req.user.userID}`);
+        }
+
+        const hits = await Promise.all(keys.map((key) => store.increment(key, windowMs)));
+        // The most used key decides what the client sees
+        const worst = hits.reduce((a, b) => (b.count > a.count ? b : a));
+        const resetSeconds = Math.max(0, Math.ceil((worst.resetAt - Date.now()) / 1000));
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(0, max - worst.count)));
+        res.set('RateLimit-Reset', String(resetSeconds));
+
+        if (worst.count > max) {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({ message: 'Too many requests, please try again later' });
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
 };
 module.exports = rateLimitingMiddleware;
+module.exports.MemoryStore = MemoryStore;
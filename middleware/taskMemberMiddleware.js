@@ -0,0 +1,24 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { getMemberRole } = require('../utils/membership');
+
+// Loads the task named by the route parameter and only lets members of its project and the task
+// assignee through. The loaded task and project are exposed to the route handler as req.task and req.project.
+const taskMemberMiddleware = (param = 'taskID') => async (req, res, next) => {
+    try {
+        const task = await Task.findByPk(req.params[param]);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+        const project = await Project.findByPk(task.projectID);
+        if (task.userID !== req.user.userID && !(await getMemberRole(project, req.user.userID))) {
+            return res.status(403).json({ message: 'You are not a member of this project' });
+        }
+        req.task = task;
+        req.project = project;
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+module.exports = taskMemberMiddleware;
@@ -5,6 +5,8 @@ const dbConfig = require('../config/db.config.js');
 const sequelize = new Sequelize(dbConfig.DB, dbConfig.USER, dbConfig.PASSWORD, {
     host: dbConfig.HOST,
     dialect: 'mysql',
+    // Read DECIMAL columns, such as material quantities, as numbers rather than strings
+    dialectOptions: { decimalNumbers: true }
 });
 
 module.exports = sequelize;
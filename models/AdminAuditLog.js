@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+const User = require('./User');
+
+// Every action taken through the /admin router is recorded here
+const AdminAuditLog = sequelize.define('admin_audit_log', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    actorID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'userID'
+        }
+    },
+    action: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    targetType: {
+        type: DataTypes.ENUM('user', 'project', 'material', 'tool'),
+        allowNull: false
+    },
+    targetID: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    details: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'admin_audit_log',
+    timestamps: false
+});
+
+module.exports = AdminAuditLog;
@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+
+// Shared types of materials and tools that owners' inventory rows link to. Quantities of an entry are
+// compared in its defaultUnit; category follows the project categories and is null for entries added
+// by users that nobody has sorted yet.
+const ItemCatalog = sequelize.define('item_catalog', {
+    itemCatalogID: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            notNull: { msg: 'Please enter an item name' }
+        }
+    },
+    kind: {
+        type: DataTypes.ENUM('material', 'tool'),
+        allowNull: false
+    },
+    category: {
+        type: DataTypes.ENUM('textile crafts', 'paper crafts', 'wood crafts', 'metal crafts', 'ceramics and pottery', 'glass crafts', 'jewelry making', 'mixed media crafts'),
+        allowNull: true,
+        defaultValue: null
+    },
+    defaultUnit: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'piece'
+    }
+}, {
+    tableName: 'item_catalog',
+    timestamps: false,
+    indexes: [
+        { unique: true, fields: ['name', 'kind'] }
+    ]
+});
+
+module.exports = ItemCatalog;
@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+const ItemCatalog = require('./ItemCatalog');
+
+// Another unit a catalog entry can be measured in, with how many of the entry's default unit one of it is
+const ItemUnit = sequelize.define('item_unit', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    itemCatalogID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: ItemCatalog,
+            key: 'itemCatalogID'
+        }
+    },
+    unit: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+    },
+    factor: {
+        type: DataTypes.DOUBLE,
+        allowNull: false
+    }
+}, {
+    tableName: 'item_unit',
+    timestamps: false,
+    indexes: [
+        { unique: true, fields: ['itemCatalogID', 'unit'] }
+    ]
+});
+
+module.exports = ItemUnit;
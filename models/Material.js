@@ -2,6 +2,7 @@ const { DataTypes } = require('sequelize');
 const sequelize = require('../modals/db');
 const User = require("./User");
 const ProjectMaterial = require("./project_material"); // Import the ProjectMaterial model
+const ItemCatalog = require('./ItemCatalog');
 const Material = sequelize.define('material', {
     materialID: {
         type: DataTypes.INTEGER,
@@ -15,12 +16,13 @@ const Material = sequelize.define('material', {
             notNull: { msg: 'Please enter a material name' }
         }
     },
+    // Materials are measured, so their quantities keep up to six decimals (a yard of fabric is 0.9144 m)
     quantity: {
-        type: DataTypes.INTEGER,
+        type: DataTypes.DECIMAL(14, 6),
         allowNull: false,
         validate: {
             notNull: { msg: 'Please enter quantity' },
-            isInt: { msg: 'Quantity must be an integer' }
+            isDecimal: { msg: 'Quantity must be a number' }
         }
     },
     cost: {
@@ -31,6 +33,28 @@ const Material = sequelize.define('material', {
             isInt: { msg: 'Cost must be an integer' }
         }
     },
+    // Units the owner has in all, including the ones projects use; quantity is what is still available
+    totalQuantity: {
+        type: DataTypes.DECIMAL(14, 6),
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Catalog entry of the material; null only for rows not linked yet by bin/migrate-inventory
+    itemCatalogID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: null,
+        references: {
+            model: ItemCatalog,
+            key: 'itemCatalogID'
+        }
+    },
+    // Unit quantity, totalQuantity and the quantityUsed of projects are counted in; null is the default unit of the catalog entry
+    unit: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        defaultValue: null
+    },
     userID: {
         type: DataTypes.INTEGER,
         allowNull: false,
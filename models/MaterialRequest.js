@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+const User = require('./User');
+const Material = require('./Material');
+const Project = require('./Project');
+
+// Request of a user (requesterID) for quantity units of another user's material for a project.
+// Approving it moves the units out of the owner's stock into the project.
+const MaterialRequest = sequelize.define('material_request', {
+    requestID: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    // Null once the material is deleted
+    materialID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: Material,
+            key: 'materialID'
+        }
+    },
+    // The owner of the material; null once their account is deleted
+    ownerID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'userID'
+        }
+    },
+    // Null once the requester's account is deleted
+    requesterID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'userID'
+        }
+    },
+    // Null once the project is deleted
+    projectID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: Project,
+            key: 'projectID'
+        }
+    },
+    // In the unit of the material, with up to six decimals like its stock
+    quantity: {
+        type: DataTypes.DECIMAL(14, 6),
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('requested', 'approved', 'rejected', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'requested'
+    },
+    // Message of the requester for the owner
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        defaultValue: null
+    },
+    requestedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    respondedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+    }
+}, {
+    tableName: 'material_request',
+    timestamps: false
+});
+
+module.exports = MaterialRequest;
@@ -91,6 +91,28 @@ const Project = sequelize.define('project', {
         type: DataTypes.BOOLEAN,
         allowNull: false,
         defaultValue: false // Default value is false (not completed)
+    },
+    // Derived from the tasks of the project (see utils/projectStatus) unless the creator overrides it
+    status: {
+        type: DataTypes.ENUM('draft', 'recruiting', 'active', 'completed', 'archived'),
+        allowNull: false,
+        defaultValue: 'draft'
+    },
+    // Whether the creator set the status by hand; the tasks no longer change it then
+    statusOverride: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+    },
+    archivedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
     }
 }, {
     tableName: 'project',
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+const User = require('./User');
+const Project = require('./Project');
+
+// Invitation from a project creator to a user (userID) to join the project
+const ProjectInvitation = sequelize.define('project_invitation', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    projectID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Project,
+            key: 'projectID'
+        }
+    },
+    userID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'userID'
+        }
+    },
+    invitedByID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'userID'
+        }
+    },
+    role: {
+        type: DataTypes.ENUM('collaborator', 'viewer'),
+        allowNull: false,
+        defaultValue: 'collaborator'
+    },
+    message: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        defaultValue: null
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'accepted', 'declined', 'cancelled', 'expired'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    respondedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'project_invitation',
+    timestamps: false
+});
+
+module.exports = ProjectInvitation;
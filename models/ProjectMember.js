@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+const User = require('./User');
+const Project = require('./Project');
+
+const ProjectMember = sequelize.define('project_member', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    projectID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Project,
+            key: 'projectID'
+        }
+    },
+    userID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'userID'
+        }
+    },
+    role: {
+        type: DataTypes.ENUM('owner', 'collaborator', 'viewer'),
+        allowNull: false,
+        defaultValue: 'collaborator',
+        validate: {
+            isIn: {
+                args: [['owner', 'collaborator', 'viewer']],
+                msg: 'Role must be owner, collaborator or viewer'
+            }
+        }
+    },
+    joinedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'project_member',
+    timestamps: false,
+    indexes: [
+        { unique: true, fields: ['projectID', 'userID'] }
+    ]
+});
+
+module.exports = ProjectMember;
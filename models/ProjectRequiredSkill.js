@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+const Project = require('./Project');
+const SkillCatalog = require('./SkillCatalog');
+
+// A skill the project needs, with the proficiency expected from whoever brings it
+const ProjectRequiredSkill = sequelize.define('project_required_skill', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    projectID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Project,
+            key: 'projectID'
+        }
+    },
+    skillName: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            notNull: { msg: 'Please enter a skill name' },
+            notEmpty: { msg: 'Please enter a skill name' }
+        }
+    },
+    skillCatalogID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: null,
+        references: {
+            model: SkillCatalog,
+            key: 'skillCatalogID'
+        }
+    },
+    proficiency: {
+        type: DataTypes.ENUM('beginner', 'intermediate', 'advanced', 'expert'),
+        allowNull: false,
+        defaultValue: 'beginner',
+        validate: {
+            isIn: {
+                args: [['beginner', 'intermediate', 'advanced', 'expert']],
+                msg: 'Proficiency must be beginner, intermediate, advanced or expert'
+            }
+        }
+    }
+}, {
+    tableName: 'project_required_skill',
+    timestamps: false,
+    indexes: [
+        { unique: true, fields: ['projectID', 'skillName'] }
+    ]
+});
+
+module.exports = ProjectRequiredSkill;
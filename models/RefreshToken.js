@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+const User = require('./User');
+
+// One row per issued refresh token. Tokens that descend from the same login share a familyID,
+// which is also the session ID carried in access tokens.
+const RefreshToken = sequelize.define('refresh_token', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    familyID: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    userID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'userID'
+        }
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+    },
+    replacedByID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: null
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'refresh_token',
+    timestamps: false
+});
+
+module.exports = RefreshToken;
@@ -1,6 +1,7 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../modals/db');
 const User = require("./User");
+const SkillCatalog = require('./SkillCatalog');
 
 const Skill = sequelize.define('skill', {
     skillID: {
@@ -31,6 +32,36 @@ const Skill = sequelize.define('skill', {
             }
         }
     },
+    // Catalog entry of the skill; null only for rows not linked yet by bin/migrate-skills
+    skillCatalogID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: null,
+        references: {
+            model: SkillCatalog,
+            key: 'skillCatalogID'
+        }
+    },
+    proficiency: {
+        type: DataTypes.ENUM('beginner', 'intermediate', 'advanced', 'expert'),
+        allowNull: false,
+        defaultValue: 'beginner',
+        validate: {
+            isIn: {
+                args: [['beginner', 'intermediate', 'advanced', 'expert']],
+                msg: 'Proficiency must be beginner, intermediate, advanced or expert'
+            }
+        }
+    },
+    yearsOfExperience: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+            min: { args: [0], msg: 'Years of experience cannot be negative' },
+            max: { args: [80], msg: 'Years of experience is too large' }
+        }
+    }
 }, {
     tableName: 'skill',
     timestamps: false
@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+const SkillCatalog = require('./SkillCatalog');
+
+// Another name for a catalog skill ("knit" for Knitting), stored lower-cased
+const SkillAlias = sequelize.define('skill_alias', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    skillCatalogID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: SkillCatalog,
+            key: 'skillCatalogID'
+        }
+    },
+    alias: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true
+    }
+}, {
+    tableName: 'skill_alias',
+    timestamps: false
+});
+
+module.exports = SkillAlias;
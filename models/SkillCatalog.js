@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+
+// Canonical skills that user skills and project required skills link to.
+// category follows the project categories; it is null for skills added by users that nobody has sorted yet.
+const SkillCatalog = sequelize.define('skill_catalog', {
+    skillCatalogID: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+        validate: {
+            notNull: { msg: 'Please enter a skill name' }
+        }
+    },
+    category: {
+        type: DataTypes.ENUM('textile crafts', 'paper crafts', 'wood crafts', 'metal crafts', 'ceramics and pottery', 'glass crafts', 'jewelry making', 'mixed media crafts'),
+        allowNull: true,
+        defaultValue: null
+    }
+}, {
+    tableName: 'skill_catalog',
+    timestamps: false
+});
+
+module.exports = SkillCatalog;
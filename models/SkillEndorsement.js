@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+const User = require('./User');
+const Skill = require('./Skill');
+const Project = require('./Project');
+
+// A collaborator vouching for a user's skill, on the strength of a completed project they shared
+const SkillEndorsement = sequelize.define('skill_endorsement', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    skillID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Skill,
+            key: 'skillID'
+        }
+    },
+    endorserID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'userID'
+        }
+    },
+    projectID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Project,
+            key: 'projectID'
+        }
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'skill_endorsement',
+    timestamps: false,
+    indexes: [
+        { unique: true, fields: ['skillID', 'endorserID'] }
+    ]
+});
+
+module.exports = SkillEndorsement;
@@ -8,6 +8,11 @@ const Task = sequelize.define('task', {
         primaryKey: true,
         autoIncrement: true
     },
+    title: {
+        type: DataTypes.STRING(150),
+        allowNull: true,
+        defaultValue: null
+    },
     description: {
         type: DataTypes.TEXT,
         allowNull: false,
@@ -15,29 +20,46 @@ const Task = sequelize.define('task', {
             notNull: { msg: 'Please enter description' }
         }
     },
-    Comments:{
-        type: DataTypes.TEXT,
+    // blocked is only ever set automatically, while some prerequisite (task_dependency) is incomplete
+    status: {
+        type: DataTypes.ENUM('pending', 'in progress', 'blocked', 'completed'),
         allowNull: false,
         validate: {
-            notNull: { msg: 'Please enter your comments on your task' }
+            notNull: { msg: 'Please choose status' }
         }
     },
-    status: {
-        type: DataTypes.ENUM('pending', 'in progress', 'completed'),
+    priority: {
+        type: DataTypes.ENUM('low', 'medium', 'high', 'urgent'),
         allowNull: false,
+        defaultValue: 'medium'
+    },
+    dueDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        defaultValue: null
+    },
+    estimatedHours: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+        defaultValue: null,
         validate: {
-            notNull: { msg: 'Please choose status' }
+            min: 0
         }
     },
+    // The assignee; open tasks have none until a collaborator claims them
     userID: {
         type: DataTypes.INTEGER,
-        allowNull: false,
+        allowNull: true,
+        defaultValue: null,
         references: {
             model: User,
             key: 'userID'
         },
         validate: {
             async isUserExists(value) {
+                if (value === null) {
+                    return; // open task
+                }
                 const user = await User.findByPk(value);
                 if (!user) {
                     throw new Error('User does not exist');
@@ -59,11 +81,19 @@ const Task = sequelize.define('task', {
                 }
             }
         }
+    },
+    createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'userID'
+        }
     }
     }
 , {
     tableName: 'task',
-    timestamps: false
+    timestamps: true
 });
 //Task.belongsTo(Project, { foreignKey: 'projectID' });
 module.exports = Task;
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+const User = require('./User');
+const Task = require('./Task');
+
+// A comment in the discussion of a task; replies point at the comment they answer (parentID)
+const TaskComment = sequelize.define('task_comment', {
+    commentID: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    taskID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Task,
+            key: 'taskID'
+        }
+    },
+    // The author; null once their account is deleted
+    userID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'userID'
+        }
+    },
+    parentID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: null,
+        references: {
+            model: 'task_comment',
+            key: 'commentID'
+        }
+    },
+    // Null once the comment is deleted; deleted comments with replies stay to keep the thread together
+    body: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    editedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+    },
+    deletedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+    }
+}, {
+    tableName: 'task_comment',
+    timestamps: false
+});
+
+module.exports = TaskComment;
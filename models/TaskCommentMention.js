@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+const User = require('./User');
+const TaskComment = require('./TaskComment');
+
+// A project member @mentioned in a task comment
+const TaskCommentMention = sequelize.define('task_comment_mention', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    commentID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: TaskComment,
+            key: 'commentID'
+        }
+    },
+    userID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'userID'
+        }
+    }
+}, {
+    tableName: 'task_comment_mention',
+    timestamps: false,
+    indexes: [
+        { unique: true, fields: ['commentID', 'userID'] }
+    ]
+});
+
+module.exports = TaskCommentMention;
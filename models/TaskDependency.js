@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+const Task = require('./Task');
+const Project = require('./Project');
+
+// taskID cannot start before dependsOnID is completed; both tasks belong to projectID
+const TaskDependency = sequelize.define('task_dependency', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    projectID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Project,
+            key: 'projectID'
+        }
+    },
+    taskID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Task,
+            key: 'taskID'
+        }
+    },
+    dependsOnID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Task,
+            key: 'taskID'
+        }
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'task_dependency',
+    timestamps: false,
+    indexes: [
+        { unique: true, fields: ['taskID', 'dependsOnID'] }
+    ]
+});
+
+module.exports = TaskDependency;
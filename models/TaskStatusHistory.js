@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+const User = require('./User');
+const Task = require('./Task');
+
+const STATUSES = ['pending', 'in progress', 'blocked', 'completed'];
+
+// One status change of a task. fromStatus is null for the status a task was created with;
+// automatic changes (blocking, unblocking, members leaving) are caused by userID rather than made by them
+const TaskStatusHistory = sequelize.define('task_status_history', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    taskID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Task,
+            key: 'taskID'
+        }
+    },
+    fromStatus: {
+        type: DataTypes.ENUM(...STATUSES),
+        allowNull: true
+    },
+    toStatus: {
+        type: DataTypes.ENUM(...STATUSES),
+        allowNull: false
+    },
+    // Null once the user's account is deleted
+    userID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'userID'
+        }
+    },
+    automatic: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    changedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'task_status_history',
+    timestamps: false
+});
+
+module.exports = TaskStatusHistory;
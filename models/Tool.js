@@ -1,6 +1,7 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../modals/db');
 const User = require('./User');
+const ItemCatalog = require('./ItemCatalog');
 
 const Tool = sequelize.define('tool', {
     toolID: {
@@ -15,20 +16,28 @@ const Tool = sequelize.define('tool', {
             notNull: { msg: 'Please enter a tool name' }
         }
     },
-    quantity: {
+    cost: {
         type: DataTypes.INTEGER,
         allowNull: false,
         validate: {
-            notNull: { msg: 'Please enter quantity' },
-            isInt: { msg: 'Quantity must be an integer' }
+            notNull: { msg: 'Please enter the cost' },
+            isInt: { msg: 'Cost must be an integer' }
         }
     },
-    cost: {
+    // Units the owner has in all, including the ones projects use or borrowers have; what is still available is computed from it
+    totalQuantity: {
         type: DataTypes.INTEGER,
         allowNull: false,
-        validate: {
-            notNull: { msg: 'Please enter the cost' },
-            isInt: { msg: 'Cost must be an integer' }
+        defaultValue: 0
+    },
+    // Catalog entry of the tool; null only for rows not linked yet by bin/migrate-inventory
+    itemCatalogID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: null,
+        references: {
+            model: ItemCatalog,
+            key: 'itemCatalogID'
         }
     },
     userID: {
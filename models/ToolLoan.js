@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+const User = require('./User');
+const Tool = require('./Tool');
+const Project = require('./Project');
+
+/**
+ * Loan of quantity units of a tool to a borrower working on a project. The owner approves the
+ * request, hands the tool over (checked out) and takes it back (returned). Approved and checked
+ * out loans hold their units out of the tool's stock.
+ */
+const ToolLoan = sequelize.define('tool_loan', {
+    loanID: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    // Null once the tool is deleted
+    toolID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: Tool,
+            key: 'toolID'
+        }
+    },
+    // The owner of the tool; null once their account is deleted
+    ownerID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'userID'
+        }
+    },
+    // Null once the borrower's account is deleted
+    borrowerID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'userID'
+        }
+    },
+    // Null once the project is deleted; a tool checked out for it still has to be returned
+    projectID: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: Project,
+            key: 'projectID'
+        }
+    },
+    quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+    },
+    status: {
+        type: DataTypes.ENUM('requested', 'approved', 'rejected', 'cancelled', 'checked out', 'returned'),
+        allowNull: false,
+        defaultValue: 'requested'
+    },
+    dueDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    // Message of the borrower with the request
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        defaultValue: null
+    },
+    // Condition of the tool when it was handed over and when it came back, as noted by the owner
+    checkoutCondition: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        defaultValue: null
+    },
+    returnCondition: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        defaultValue: null
+    },
+    requestedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    approvedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+    },
+    checkedOutAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+    },
+    returnedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+    },
+    // When the request was rejected or cancelled
+    closedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+    }
+}, {
+    tableName: 'tool_loan',
+    timestamps: false
+});
+
+module.exports = ToolLoan;
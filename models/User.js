@@ -46,6 +46,21 @@ const User = sequelize.define('user', {
         validate: {
             notNull: { msg: 'Please enter a location' }
         }
+    },
+    role: {
+        type: DataTypes.ENUM('member', 'moderator', 'admin'),
+        allowNull: false,
+        defaultValue: 'member'
+    },
+    isSuspended: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    isEmailVerified: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
     }
 }, {
     tableName: 'user',
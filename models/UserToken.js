@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../modals/db');
+const User = require('./User');
+
+// Single-use, expiring tokens sent to users by email
+const UserToken = sequelize.define('user_token', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    purpose: {
+        type: DataTypes.ENUM('email_verification', 'password_reset', 'email_change'),
+        allowNull: false
+    },
+    // Address waiting for confirmation, only set for email_change tokens
+    newEmail: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        defaultValue: null
+    },
+    userID: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'userID'
+        }
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'user_token',
+    timestamps: false
+});
+
+module.exports = UserToken;
@@ -1,7 +1,6 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../modals/db');
 const Material = require("./Material");
-const Project = require("./Project");
 const ProjectMaterial = sequelize.define('project_material', {
     id: {
         type: DataTypes.INTEGER,
@@ -11,8 +10,9 @@ const ProjectMaterial = sequelize.define('project_material', {
     projectID: {
         type: DataTypes.INTEGER,
         allowNull: false,
+        // By table name: Project requires this model, so the Project module is still empty here
         references: {
-            model: Project,
+            model: 'project',
             key: 'projectID'
         }
     },
@@ -24,12 +24,13 @@ const ProjectMaterial = sequelize.define('project_material', {
             key: 'materialID'
         }
     },
+    // In the unit of the material, with up to six decimals like its stock
     quantityUsed: {
-        type: DataTypes.INTEGER,
+        type: DataTypes.DECIMAL(14, 6),
         allowNull: false,
         validate: {
             notNull: { msg: 'Please enter quantity used' },
-            isInt: { msg: 'Quantity used must be an integer' }
+            isDecimal: { msg: 'Quantity used must be a number' }
         }
     }
 }, {
@@ -1,7 +1,6 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../modals/db');
 const Tool = require('./Tool');
-const Project = require('./Project');
 
 const ProjectTool = sequelize.define('project_tool', {
     id: {
@@ -12,8 +11,9 @@ const ProjectTool = sequelize.define('project_tool', {
     projectID: {
         type: DataTypes.INTEGER,
         allowNull: false,
+        // By table name: Project requires this model, so the Project module is still empty here
         references: {
-            model: Project,
+            model: 'project',
             key: 'projectID'
         }
     },
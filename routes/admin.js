@@ -0,0 +1,609 @@
+const express = require('express');
+const router = express.Router();
+const sequelize = require('../modals/db');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const ProjectMember = require('../models/ProjectMember');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const { revokeUserSessions } = require('../utils/session');
+const { destroyProject } = require('../utils/projects');
+const { INVENTORIES, reconcileInventory } = require('../utils/inventory');
+const { deleteAccount } = require('../utils/accountDeletion');
+const { addMember } = require('../utils/membership');
+const authMiddleware = require('../middleware/authMiddleware');
+const permissionMiddleware = require('../middleware/permissionMiddleware');
+const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
+const rateLimitConfig = require('../config/rateLimit.config');
+
+router.use(authMiddleware);
+router.use(rateLimitingMiddleware(rateLimitConfig.admin, { name: 'admin' }));
+
+// Records an admin action; runs inside the caller's transaction when one is given
+const recordAction = (req, action, targetType, targetID, details, transaction) => {
+    return AdminAuditLog.create({
+        actorID: req.user.userID,
+        action,
+        targetType,
+        targetID,
+        details: details || null
+    }, { transaction });
+};
+
+/**
+ * @openapi
+ * /api/admin/users:
+ *   get:
+ *     tags:
+ *       - Admin Controller
+ *     summary: List all users on the platform
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [member, moderator, admin]
+ *         description: Only return users with this role.
+ *       - in: query
+ *         name: suspended
+ *         schema:
+ *           type: boolean
+ *         description: Only return suspended (true) or active (false) users.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Maximum number of users to return (at most 100).
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of users to skip.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       403:
+ *         description: Forbidden - Missing the users:read permission.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/users', permissionMiddleware('users:read'), async (req, res) => {
+    try {
+        const { role, suspended } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+        const offset = parseInt(req.query.offset, 10) || 0;
+
+        const where = {};
+        if (role) where.role = role;
+        if (suspended !== undefined) where.isSuspended = suspended === 'true';
+
+        const { count, rows } = await User.findAndCountAll({
+            where,
+            attributes: { exclude: ['password'] },
+            order: [['userID', 'ASC']],
+            limit,
+            offset
+        });
+        res.status(200).json({ total: count, users: rows });
+    } catch (err) {
+        console.error("Error listing users:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/admin/users/{userID}/suspend:
+ *   put:
+ *     tags:
+ *       - Admin Controller
+ *     summary: Suspend or reinstate a user
+ *     description: Suspending a user revokes all of their sessions and blocks further logins.
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the user to suspend.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               suspended:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Set to false to reinstate the user.
+ *               reason:
+ *                 type: string
+ *                 description: Why the user is suspended, kept in the audit log.
+ *     responses:
+ *       200:
+ *         description: User suspension updated successfully
+ *       403:
+ *         description: Forbidden - Missing the users:suspend permission, or the target has an equal or higher role.
+ *       404:
+ *         description: Not Found - User not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/users/:userID/suspend', permissionMiddleware('users:suspend'), async (req, res) => {
+    try {
+        const { reason } = req.body;
+        const suspended = req.body.suspended !== false;
+
+        const user = await User.findByPk(req.params.userID);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+        // Moderators can only suspend members; nobody can suspend an admin or themselves
+        if (user.userID === req.user.userID || user.role === 'admin' || (user.role === 'moderator' && req.user.role !== 'admin')) {
+            return res.status(403).json({ message: "This user cannot be suspended" });
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            await user.update({ isSuspended: suspended }, { transaction });
+            await recordAction(req, suspended ? 'user.suspend' : 'user.unsuspend', 'user', user.userID, { reason }, transaction);
+        });
+        if (suspended) {
+            await revokeUserSessions(user.userID);
+        }
+
+        res.status(200).json({ message: suspended ? "User suspended successfully" : "User reinstated successfully" });
+    } catch (err) {
+        console.error("Error suspending user:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/admin/users/{userID}/role:
+ *   put:
+ *     tags:
+ *       - Admin Controller
+ *     summary: Change the role of a user
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the user.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [member, moderator, admin]
+ *                 description: The new role of the user.
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *       400:
+ *         description: Bad Request - Invalid role.
+ *       403:
+ *         description: Forbidden - Missing the users:role permission.
+ *       404:
+ *         description: Not Found - User not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/users/:userID/role', permissionMiddleware('users:role'), async (req, res) => {
+    try {
+        const { role } = req.body;
+        if (!User.getAttributes().role.values.includes(role)) {
+            return res.status(400).json({ message: "Role must be one of member, moderator or admin" });
+        }
+
+        const user = await User.findByPk(req.params.userID);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const previousRole = user.role;
+        await sequelize.transaction(async (transaction) => {
+            await user.update({ role }, { transaction });
+            await recordAction(req, 'user.role', 'user', user.userID, { from: previousRole, to: role }, transaction);
+        });
+
+        res.status(200).json({ message: "User role updated successfully" });
+    } catch (err) {
+        console.error("Error changing user role:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/admin/users/{userID}:
+ *   delete:
+ *     tags:
+ *       - Admin Controller
+ *     summary: Delete a user account
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the user to delete.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the account is deleted, kept in the audit log.
+ *     responses:
+ *       204:
+ *         description: User deleted successfully
+ *       403:
+ *         description: Forbidden - Missing the users:delete permission, or the target is an admin.
+ *       404:
+ *         description: Not Found - User not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete('/users/:userID', permissionMiddleware('users:delete'), async (req, res) => {
+    try {
+        const user = await User.findByPk(req.params.userID);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+        if (user.role === 'admin') {
+            return res.status(403).json({ message: "Admin accounts cannot be deleted" });
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            await recordAction(req, 'user.delete', 'user', user.userID, { email: user.email, reason: req.body.reason }, transaction);
+            await deleteAccount(user, transaction);
+        });
+
+        res.status(204).end(); // No content in response
+    } catch (err) {
+        console.error("Error deleting user:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/admin/projects/{projectID}:
+ *   delete:
+ *     tags:
+ *       - Admin Controller
+ *     summary: Force-delete a project with its tasks, materials and tools
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project to delete.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the project is deleted, kept in the audit log.
+ *     responses:
+ *       204:
+ *         description: Project deleted successfully
+ *       403:
+ *         description: Forbidden - Missing the projects:delete permission.
+ *       404:
+ *         description: Not Found - Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete('/projects/:projectID', permissionMiddleware('projects:delete'), async (req, res) => {
+    try {
+        const projectID = req.params.projectID;
+        const project = await Project.findByPk(projectID);
+        if (!project) {
+            return res.status(404).json({ message: "Project not found" });
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            await destroyProject(project, req.user.userID, transaction);
+            await recordAction(req, 'project.delete', 'project', project.projectID, {
+                title: project.title,
+                creatorID: project.creatorID,
+                reason: req.body.reason
+            }, transaction);
+        });
+
+        res.status(204).end(); // No content in response
+    } catch (err) {
+        console.error("Error force-deleting project:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/admin/projects/{projectID}/owner:
+ *   put:
+ *     tags:
+ *       - Admin Controller
+ *     summary: Reassign the ownership of a project
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - creatorID
+ *             properties:
+ *               creatorID:
+ *                 type: integer
+ *                 description: The ID of the new project creator.
+ *     responses:
+ *       200:
+ *         description: Project ownership reassigned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 previousOwnerRole:
+ *                   type: string
+ *                   nullable: true
+ *                   enum: [collaborator, viewer]
+ *                   description: The role the previous owner keeps on the project, viewer when no seat is open; null when the owner did not change.
+ *       400:
+ *         description: Bad Request - creatorID is required.
+ *       403:
+ *         description: Forbidden - Missing the projects:reassign permission.
+ *       404:
+ *         description: Not Found - Project or user not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/projects/:projectID/owner', permissionMiddleware('projects:reassign'), async (req, res) => {
+    try {
+        const { creatorID } = req.body;
+        if (!creatorID) {
+            return res.status(400).json({ message: "creatorID is required" });
+        }
+
+        const project = await Project.findByPk(req.params.projectID);
+        const newOwner = await User.findByPk(creatorID);
+        if (!project || !newOwner) {
+            return res.status(404).json({ message: "Project or user not found" });
+        }
+
+        const previousCreatorID = project.creatorID;
+        const previousOwnerRole = await sequelize.transaction(async (transaction) => {
+            await project.update({ creatorID: newOwner.userID }, { transaction });
+            const [membership] = await ProjectMember.findOrCreate({
+                where: { projectID: project.projectID, userID: newOwner.userID },
+                defaults: { role: 'owner' },
+                transaction
+            });
+            await membership.update({ role: 'owner' }, { transaction });
+            let role = null;
+            if (previousCreatorID !== newOwner.userID) {
+                // The previous owner stays on the project as a collaborator, or as a viewer when no seat is open;
+                // creators of older projects have no membership row to change, so they are added anew
+                await ProjectMember.destroy({ where: { projectID: project.projectID, userID: previousCreatorID }, transaction });
+                const added = await addMember(project.projectID, previousCreatorID, 'collaborator', transaction);
+                role = added.error ? 'viewer' : 'collaborator';
+                if (added.error) {
+                    await addMember(project.projectID, previousCreatorID, 'viewer', transaction);
+                }
+            }
+            await recordAction(req, 'project.reassign', 'project', project.projectID, {
+                from: previousCreatorID,
+                to: newOwner.userID,
+                previousOwnerRole: role
+            }, transaction);
+            return role;
+        });
+
+        res.status(200).json({ message: "Project ownership reassigned successfully", previousOwnerRole });
+    } catch (err) {
+        console.error("Error reassigning project:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/admin/audit-log:
+ *   get:
+ *     tags:
+ *       - Admin Controller
+ *     summary: List recorded admin actions, newest first
+ *     parameters:
+ *       - in: query
+ *         name: actorID
+ *         schema:
+ *           type: integer
+ *         description: Only return actions taken by this user.
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [user, project, material, tool]
+ *         description: Only return actions on this kind of target.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Maximum number of entries to return (at most 100).
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of entries to skip.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       403:
+ *         description: Forbidden - Missing the audit:read permission.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/audit-log', permissionMiddleware('audit:read'), async (req, res) => {
+    try {
+        const { actorID, targetType } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+        const offset = parseInt(req.query.offset, 10) || 0;
+
+        const where = {};
+        if (actorID) where.actorID = actorID;
+        if (targetType) where.targetType = targetType;
+
+        const entries = await AdminAuditLog.findAll({
+            where,
+            order: [['createdAt', 'DESC'], ['id', 'DESC']],
+            limit,
+            offset
+        });
+        res.status(200).json(entries);
+    } catch (err) {
+        console.error("Error getting audit log:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// The inventories to reconcile: the one given by the kind query parameter, or all of them. Only
+// consumable items keep a counter that can drift; the available units of tools are computed
+const inventoryKinds = (kind) => (kind ? [kind] : Object.keys(INVENTORIES)).filter(k => INVENTORIES[k] && INVENTORIES[k].consumable);
+
+/**
+ * @openapi
+ * /api/admin/inventory/reconciliation:
+ *   get:
+ *     tags:
+ *       - Admin Controller
+ *     summary: Report materials whose available quantity drifted from their links
+ *     description: The available quantity of a material should be its totalQuantity minus the quantity the projects using it have. Lists every material where it is not, without changing anything. Tools keep no available quantity to drift, as theirs is computed.
+ *     parameters:
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [material]
+ *         description: Only check this kind of item.
+ *     responses:
+ *       200:
+ *         description: Successful operation. One list of drifted items per kind, each with its totalQuantity, the quantity projects use, the stored and expected available quantity, the drift between them and whether projects use more than the total (overAllocated).
+ *       400:
+ *         description: Bad Request - Unknown kind.
+ *       403:
+ *         description: Forbidden - Missing the inventory:read permission.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/inventory/reconciliation', permissionMiddleware('inventory:read'), async (req, res) => {
+    try {
+        const kinds = inventoryKinds(req.query.kind);
+        if (!kinds.length) {
+            return res.status(400).json({ message: "kind must be material" });
+        }
+        const report = {};
+        for (const kind of kinds) {
+            report[kind] = await reconcileInventory(kind, false);
+        }
+        res.status(200).json(report);
+    } catch (err) {
+        console.error("Error reconciling inventory:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/admin/inventory/reconciliation:
+ *   post:
+ *     tags:
+ *       - Admin Controller
+ *     summary: Recompute the available quantity of drifted materials from their links
+ *     description: Sets the available quantity of every drifted material to its totalQuantity minus what projects use, and records each correction in the audit log. Over-allocated materials are only reported, as no available quantity fits them.
+ *     parameters:
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [material]
+ *         description: Only reconcile this kind of item.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Inventory reconciled. The same report as the GET, with fixed telling which items were corrected.
+ *       400:
+ *         description: Bad Request - Unknown kind.
+ *       403:
+ *         description: Forbidden - Missing the inventory:reconcile permission.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/inventory/reconciliation', permissionMiddleware('inventory:reconcile'), async (req, res) => {
+    try {
+        const kinds = inventoryKinds(req.query.kind);
+        if (!kinds.length) {
+            return res.status(400).json({ message: "kind must be material" });
+        }
+        const report = await sequelize.transaction(async (transaction) => {
+            const result = {};
+            for (const kind of kinds) {
+                const drifted = await reconcileInventory(kind, true, transaction);
+                result[kind] = drifted.map(entry => ({ ...entry, fixed: !entry.overAllocated }));
+                for (const entry of result[kind].filter(e => e.fixed)) {
+                    await recordAction(req, 'inventory.reconcile', kind, entry[INVENTORIES[kind].key], {
+                        quantity: entry.quantity,
+                        expected: entry.expected,
+                        reason: req.body.reason
+                    }, transaction);
+                }
+            }
+            return result;
+        });
+        res.status(200).json(report);
+    } catch (err) {
+        console.error("Error reconciling inventory:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+module.exports = router;
@@ -1,32 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const Material = require('../models/Material');
+const sequelize = require('../modals/db');
+const { INVENTORIES, quantityInUse, isStock, setAvailable } = require('../utils/inventory');
+const { normalizeUnit, unitError, catalogForItem, unitFactors, convertQuantity, stockUnit } = require('../utils/itemCatalog');
+const ItemCatalog = require('../models/ItemCatalog');
+const MaterialRequest = require('../models/MaterialRequest');
+const { closeMaterialRequests } = require('../utils/materialRequests');
 /*
 const loggingMiddleware = require('../middleware/logMiddleware');
-const authMiddleware = require('../middleware/authMiddleware');
 const errorHandlerMiddleware = require('../middleware/errHandMiddleware');
 const validationMiddleware = require('../middleware/validMiddleware');
-const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
 
 router.use(loggingMiddleware);
+router.use(validationMiddleware);*/
+const authMiddleware = require('../middleware/authMiddleware');
+const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
+const rateLimitConfig = require('../config/rateLimit.config');
+const deprecatedParamMiddleware = require('../middleware/deprecatedParamMiddleware');
+const materialRequestsRouter = require('./materialRequests');
+
 router.use(authMiddleware);
-router.use(validationMiddleware);
-router.use(rateLimitingMiddleware);*/
+router.use(rateLimitingMiddleware(rateLimitConfig.api));
 
 /**
  * @openapi
- * /api/material/add-material/{userID}:
+ * /api/material/add-material:
  *   post:
  *     tags:
  *       - Material Controller
  *     summary: Add material for a user
- *     parameters:
- *       - in: path
- *         name: userID
- *         required: true
- *         schema:
- *           type: string
- *         description: The ID of the user to add material for.
  *     requestBody:
  *       required: true
  *       content:
@@ -41,33 +44,52 @@ router.use(rateLimitingMiddleware);*/
  *                 type: string
  *                 description: The name of the material to add.
  *               quantity:
+ *                 type: number
+ *                 description: The quantity of the material to add, in its unit, with at most 6 decimals.
+ *               itemCatalogID:
  *                 type: integer
- *                 description: The quantity of the material to add.
+ *                 description: The catalog entry of the material (GET /api/resources/catalog). Without it, the entry with the material's name is used, and added when there is none.
+ *               unit:
+ *                 type: string
+ *                 description: The unit the material is counted in, one of the units of its catalog entry. Defaults to the entry's default unit.
  *     responses:
  *       201:
  *         description: Material added successfully
  *       400:
- *         description: Bad Request - Missing required fields or invalid data format.
+ *         description: Bad Request - Missing required fields, invalid data format, or a unit the catalog entry cannot be measured in.
+ *       404:
+ *         description: Not Found - No catalog material with this itemCatalogID.
  *       409:
  *         description: Conflict - Material with the same name already exists for this user.
  *       500:
  *         description: Internal server error.
  */
-router.route('/add-material/:userID').post(async (req, res) => {
+const addMaterial = async (req, res) => {
     try {
-        const { materialName, quantity, cost } = req.body;
-        const userID = req.params.userID;
+        const { materialName, quantity, cost, itemCatalogID, unit } = req.body;
+        const userID = req.user.userID;
 
         // Check if required fields are provided
-        if (!materialName || !quantity || !cost) {
+        if (!materialName || quantity === undefined || quantity === null || !cost) {
             return res.status(400).json({ message: "Material name, quantity, and cost are required" });
         }
+        if (!isStock(INVENTORIES.material, quantity)) {
+            return res.status(400).json({ message: "Quantity must be a number of at least zero with at most 6 decimals" });
+        }
+        // "Merino yarn" can be linked to the Yarn entry; otherwise the name picks the entry
+        const catalog = await catalogForItem('material', materialName, itemCatalogID, unit);
+        if (catalog.error) {
+            return res.status(catalog.error.status).json({ message: catalog.error.message });
+        }
 
-        // Create material
+        // Create material; nothing of it is used by projects yet
         const material = await Material.create({
             materialName,
             quantity,
+            totalQuantity: quantity,
             cost,
+            itemCatalogID: catalog.entry.itemCatalogID,
+            unit: catalog.unit,
             userID
         });
 
@@ -77,7 +99,59 @@ router.route('/add-material/:userID').post(async (req, res) => {
         console.error("Error adding material:", err);
         res.status(500).json({ message: "Internal server error" });
     }
-});
+};
+router.post('/add-material', addMaterial);
+/**
+ * @openapi
+ * /api/material/add-material/{userID}:
+ *   post:
+ *     tags:
+ *       - Material Controller
+ *     summary: Add material for a user (deprecated alias of /api/material/add-material)
+ *     deprecated: true
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Must match the authenticated user.
+ *     responses:
+ *       403:
+ *         description: Forbidden - userID does not match the authenticated user.
+ */
+router.post('/add-material/:userID', deprecatedParamMiddleware('userID'), addMaterial);
+
+/**
+ * Switches the material to another unit of its catalog entry, converting its quantities unless the
+ * caller sets a new quantity anyway. Projects and open share requests count the material in its
+ * current unit, so it keeps that unit while there are any. Resolves to an error, or to null.
+ */
+const changeUnit = async (material, unit, convertStock, transaction) => {
+    const entry = material.itemCatalogID ? await ItemCatalog.findByPk(material.itemCatalogID, { transaction }) : null;
+    if (!entry) {
+        return { status: 400, message: "The material is not linked to the catalog yet" };
+    }
+    const factors = await unitFactors(entry, transaction);
+    const target = normalizeUnit(unit);
+    if (!factors.has(target)) {
+        return { status: 400, message: unitError(entry.name, factors, target) };
+    }
+    const current = stockUnit(material, entry);
+    if (target === current) {
+        return null;
+    }
+    const requested = await MaterialRequest.count({ where: { materialID: material.materialID, status: 'requested' }, transaction });
+    if (requested || await quantityInUse(INVENTORIES.material, material.materialID, transaction)) {
+        return { status: 409, message: "The unit of a material cannot change while projects use it or share requests for it are open" };
+    }
+    if (convertStock) {
+        material.quantity = convertQuantity(factors, material.quantity, current, target);
+        material.totalQuantity = convertQuantity(factors, material.totalQuantity, current, target);
+    }
+    material.unit = target;
+    return null;
+};
 
 /**
  * @openapi
@@ -104,23 +178,28 @@ router.route('/add-material/:userID').post(async (req, res) => {
  *                 type: string
  *                 description: The new name for the material.
  *               quantity:
- *                 type: integer
- *                 description: The new quantity for the material.
+ *                 type: number
+ *                 description: The new available quantity for the material, with at most 6 decimals. Its totalQuantity becomes this plus what projects use.
+ *               unit:
+ *                 type: string
+ *                 description: Count the material in another unit of its catalog entry. Its quantities are converted, unless a new quantity is given too, which is taken in the new unit.
  *     responses:
  *       200:
  *         description: Material updated successfully
  *       400:
- *         description: Bad Request - Missing required fields or invalid data format.
+ *         description: Bad Request - Missing required fields, invalid data format or a unit the catalog entry cannot be measured in.
+ *       403:
+ *         description: Forbidden - The material is not owned by the authenticated user.
  *       404:
  *         description: Not Found - Material not found.
  *       409:
- *         description: Conflict - Material with the new name already exists for this user.
+ *         description: Conflict - Material with the new name already exists for this user, or its unit changes while projects use it or share requests for it are open.
  *       500:
  *         description: Internal server error.
  */
 router.route('/edit-material/:materialID').put(async (req, res) => {
     try {
-        const { materialName, quantity, cost } = req.body;
+        const { materialName, quantity, cost, unit } = req.body;
         const materialID = req.params.materialID;
 
         // Find material by ID
@@ -128,27 +207,50 @@ router.route('/edit-material/:materialID').put(async (req, res) => {
         if (!material) {
             return res.status(404).json({ message: "Material not found" });
         }
+        if (material.userID !== req.user.userID) {
+            return res.status(403).json({ message: "You do not own this material" });
+        }
+        if (quantity !== undefined && !isStock(INVENTORIES.material, quantity)) {
+            return res.status(400).json({ message: "Quantity must be a number of at least zero with at most 6 decimals" });
+        }
 
         if (materialName) {
             // Check if material with the new name already exists for the user
             const existingMaterial = await Material.findOne({ where: { userID: material.userID, materialName } });
-            if (existingMaterial && existingMaterial.materialID !== materialID) {
+            if (existingMaterial && existingMaterial.materialID !== material.materialID) {
                 return res.status(409).json({ message: "Material with the new name already exists for this user" });
             }
-            // Update material name
-            material.materialName = materialName;
-        }
-        if (quantity !== undefined) {
-            // Update quantity
-            material.quantity = quantity;
-        }
-        if (cost !== undefined) {
-            // Update cost
-            material.cost = cost;
         }
 
-        // Save changes
-        await material.save();
+        const result = await sequelize.transaction(async (transaction) => {
+            // Lock the material so stock projects take meanwhile is counted in its total
+            await material.reload({ transaction, lock: transaction.LOCK.UPDATE });
+            if (unit !== undefined) {
+                const error = await changeUnit(material, unit, quantity === undefined, transaction);
+                if (error) {
+                    return { error };
+                }
+            }
+            if (materialName) {
+                // Update material name
+                material.materialName = materialName;
+            }
+            if (quantity !== undefined) {
+                // Update the available quantity and the total that follows from it
+                await setAvailable(INVENTORIES.material, material, quantity, transaction);
+            }
+            if (cost !== undefined) {
+                // Update cost
+                material.cost = cost;
+            }
+
+            // Save changes
+            await material.save({ transaction });
+            return {};
+        });
+        if (result.error) {
+            return res.status(result.error.status).json({ message: result.error.message });
+        }
 
         res.status(200).json({ message: "Material updated successfully", material });
 
@@ -207,19 +309,14 @@ router.route('/get-materials/:userID').get(async (req, res) => {
 
 /**
  * @openapi
- * /api/material/delete-material/{userID}/{materialID}:
+ * /api/material/delete-material/{materialID}:
  *   delete:
  *     tags:
  *       - Material Controller
  *     summary: Delete a specific material for a user
+ *     description: Share requests still waiting for the material are cancelled, and its past requests are kept without it.
  *     parameters:
  *       - in: path
- *         name: userID
- *         required: true
- *         schema:
- *           type: string
- *         description: The ID of the user who owns the material.
- *       - in: path
  *         name: materialID
  *         required: true
  *         schema:
@@ -228,23 +325,40 @@ router.route('/get-materials/:userID').get(async (req, res) => {
  *     responses:
  *       204:
  *         description: Material deleted successfully
+ *       403:
+ *         description: Forbidden - The material is not owned by the authenticated user.
  *       404:
- *         description: Not Found - Material not found or not owned by the user.
+ *         description: Not Found - Material not found.
+ *       409:
+ *         description: Conflict - Projects still use the material.
  *       500:
  *         description: Internal server error.
  */
-router.delete('/delete-material/:userID/:materialID', async (req, res) => {
+const deleteMaterial = async (req, res) => {
     try {
-        const userID = req.params.userID;
         const materialID = req.params.materialID;
 
-        // Find material by ID and user ID
-        const material = await Material.findOne({ where: { materialID, userID } });
+        // Find material by ID and check it is owned by the authenticated user
+        const material = await Material.findByPk(materialID);
         if (!material) {
-            return res.status(404).json({ message: "Material not found or not owned by the user" });
+            return res.status(404).json({ message: "Material not found" });
+        }
+        if (material.userID !== req.user.userID) {
+            return res.status(403).json({ message: "You do not own this material" });
+        }
+        // Delete the material, unless projects still use some of it; its share requests stay without it
+        const inUse = await sequelize.transaction(async (transaction) => {
+            await material.reload({ transaction, lock: transaction.LOCK.UPDATE });
+            const used = await quantityInUse(INVENTORIES.material, material.materialID, transaction);
+            if (!used) {
+                await closeMaterialRequests(material.materialID, transaction);
+                await material.destroy({ transaction });
+            }
+            return used;
+        });
+        if (inUse) {
+            return res.status(409).json({ message: `Projects still use ${inUse} of this material; remove it from them first` });
         }
-        // Delete the material
-        await material.destroy();
 
         res.status(204).end(); // No content in response
 
@@ -252,7 +366,37 @@ router.delete('/delete-material/:userID/:materialID', async (req, res) => {
         console.error("Error deleting material:", err);
         res.status(500).json({ message: "Internal server error" });
     }
-});
+};
+router.delete('/delete-material/:materialID', deleteMaterial);
+/**
+ * @openapi
+ * /api/material/delete-material/{userID}/{materialID}:
+ *   delete:
+ *     tags:
+ *       - Material Controller
+ *     summary: Delete a specific material for a user (deprecated alias of /api/material/delete-material/{materialID})
+ *     deprecated: true
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Must match the authenticated user.
+ *       - in: path
+ *         name: materialID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the material to delete.
+ *     responses:
+ *       403:
+ *         description: Forbidden - userID does not match the authenticated user.
+ */
+router.delete('/delete-material/:userID/:materialID', deprecatedParamMiddleware('userID'), deleteMaterial);
+
+// Sharing materials with projects of other users: /requests and /requests/:requestID
+router.use('/requests', materialRequestsRouter);
 //router.use(errorHandlerMiddleware);
 
 module.exports = router;
\ No newline at end of file
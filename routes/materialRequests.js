@@ -0,0 +1,324 @@
+const express = require('express');
+// Mounted by the material router under /requests, which already authenticates and rate limits
+const router = express.Router({ mergeParams: true });
+const { Op } = require('sequelize');
+const sequelize = require('../modals/db');
+const Material = require('../models/Material');
+const Project = require('../models/Project');
+const MaterialRequest = require('../models/MaterialRequest');
+const { SEAT_ROLES, getMemberRole } = require('../utils/membership');
+const { INVENTORIES, isQuantity, attachProjectItem } = require('../utils/inventory');
+const { toStockQuantity } = require('../utils/itemCatalog');
+
+const STATUS_AFTER = { approve: 'approved', reject: 'rejected', cancel: 'cancelled' };
+// Who answers a request: the owner approves or rejects it, the requester can take it back
+const RESPONDER = { approve: 'ownerID', reject: 'ownerID', cancel: 'requesterID' };
+
+const isParty = (request, userID) => request.ownerID === userID || request.requesterID === userID;
+
+/**
+ * @openapi
+ * /api/material/requests:
+ *   post:
+ *     tags:
+ *       - Material Controller
+ *     summary: Ask another user to share some of their material with a project
+ *     description: Once the owner approves, the quantity moves out of their stock into the project's materials. The requester must be the creator or a collaborator of the project.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - materialID
+ *               - projectID
+ *               - quantity
+ *             properties:
+ *               materialID:
+ *                 type: integer
+ *               projectID:
+ *                 type: integer
+ *               quantity:
+ *                 type: number
+ *                 description: The quantity asked for, in unit. It is stored in the material's own unit, rounded to 6 decimals.
+ *               unit:
+ *                 type: string
+ *                 description: The unit of quantity, one of the units of the material's catalog entry. Defaults to the material's unit.
+ *               notes:
+ *                 type: string
+ *                 description: Message for the owner.
+ *     responses:
+ *       201:
+ *         description: Share requested successfully
+ *       400:
+ *         description: Bad Request - Invalid quantity, a unit the material cannot be measured in, more than the owner has left, or a material of your own.
+ *       403:
+ *         description: Forbidden - You are not the creator or a collaborator of the project.
+ *       404:
+ *         description: Not Found - Material or project not found.
+ *       409:
+ *         description: Conflict - You already requested this material for the project.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { materialID, projectID, unit, notes } = req.body;
+        const requesterID = req.user.userID;
+
+        const material = await Material.findByPk(materialID);
+        if (!material) {
+            return res.status(404).json({ message: "Material not found" });
+        }
+        const project = await Project.findByPk(projectID);
+        if (!project) {
+            return res.status(404).json({ message: "Project not found" });
+        }
+        if (material.userID === requesterID) {
+            return res.status(400).json({ message: "Add your own materials to the project directly" });
+        }
+        if (!SEAT_ROLES.includes(await getMemberRole(project, requesterID))) {
+            return res.status(403).json({ message: "Only the creator and collaborators of the project can request materials for it" });
+        }
+        const { quantity, error } = await toStockQuantity(material, req.body.quantity, unit);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        if (!isQuantity(INVENTORIES.material, quantity)) {
+            return res.status(400).json({ message: "Quantity must be a number greater than zero with at most 6 decimals" });
+        }
+        if (quantity > material.quantity) {
+            return res.status(400).json({ message: "Insufficient quantity of the material available" });
+        }
+        const pending = await MaterialRequest.findOne({
+            where: { materialID: material.materialID, projectID: project.projectID, requesterID, status: 'requested' }
+        });
+        if (pending) {
+            return res.status(409).json({ message: "You already requested this material for the project" });
+        }
+
+        const request = await MaterialRequest.create({
+            materialID: material.materialID,
+            ownerID: material.userID,
+            requesterID,
+            projectID: project.projectID,
+            quantity,
+            notes: notes || null
+        });
+        res.status(201).json(request);
+    } catch (err) {
+        console.error("Error requesting material:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/material/requests:
+ *   get:
+ *     tags:
+ *       - Material Controller
+ *     summary: List the share requests for your materials and the ones you made
+ *     parameters:
+ *       - in: query
+ *         name: as
+ *         schema:
+ *           type: string
+ *           enum: [owner, requester]
+ *         description: Only list requests for your materials (owner) or the ones you made (requester).
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, cancelled]
+ *     responses:
+ *       200:
+ *         description: Successful operation, newest first.
+ *       400:
+ *         description: Bad Request - Invalid as or status.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { as, status } = req.query;
+        const userID = req.user.userID;
+        if (as !== undefined && as !== 'owner' && as !== 'requester') {
+            return res.status(400).json({ message: "as must be owner or requester" });
+        }
+        if (status !== undefined && !MaterialRequest.rawAttributes.status.values.includes(status)) {
+            return res.status(400).json({ message: "Invalid status" });
+        }
+        const where = as ? { [`${as}ID`]: userID } : { [Op.or]: [{ ownerID: userID }, { requesterID: userID }] };
+        if (status) {
+            where.status = status;
+        }
+        const requests = await MaterialRequest.findAll({ where, order: [['requestedAt', 'DESC'], ['requestID', 'DESC']] });
+        res.status(200).json(requests);
+    } catch (err) {
+        console.error("Error listing material requests:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/material/requests/{requestID}:
+ *   get:
+ *     tags:
+ *       - Material Controller
+ *     summary: Get a share request you made or received
+ *     parameters:
+ *       - in: path
+ *         name: requestID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       404:
+ *         description: Not Found - Request not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:requestID', async (req, res) => {
+    try {
+        const request = await MaterialRequest.findByPk(req.params.requestID);
+        if (!request || !isParty(request, req.user.userID)) {
+            return res.status(404).json({ message: "Request not found" });
+        }
+        res.status(200).json(request);
+    } catch (err) {
+        console.error("Error getting material request:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * Builds the handler that approves, rejects or cancels a pending share request. Approving adds the
+ * quantity to the project's materials in the same transaction; when the owner no longer has enough
+ * the request stays pending.
+ */
+const respond = (action) => async (req, res) => {
+    try {
+        const result = await sequelize.transaction(async (transaction) => {
+            const request = await MaterialRequest.findByPk(req.params.requestID, { transaction, lock: transaction.LOCK.UPDATE });
+            if (!request || !isParty(request, req.user.userID)) {
+                return { error: { status: 404, message: "Request not found" } };
+            }
+            if (request[RESPONDER[action]] !== req.user.userID) {
+                return { error: { status: 403, message: `You are not allowed to ${action} this request` } };
+            }
+            if (request.status !== 'requested') {
+                return { error: { status: 409, message: `Request is already ${request.status}` } };
+            }
+            let projectMaterial = null;
+            if (action === 'approve') {
+                if (!request.projectID) {
+                    return { error: { status: 409, message: "The project of this request was deleted" } };
+                }
+                projectMaterial = await attachProjectItem(INVENTORIES.material, request.projectID, request.materialID, request.quantity, transaction);
+                if (!projectMaterial) {
+                    return { error: { status: 400, message: "Insufficient quantity of the material available" } };
+                }
+            }
+            await request.update({ status: STATUS_AFTER[action], respondedAt: new Date() }, { transaction });
+            return { request, projectMaterial };
+        });
+        if (result.error) {
+            return res.status(result.error.status).json({ message: result.error.message });
+        }
+        res.status(200).json(result.projectMaterial ? { request: result.request, projectMaterial: result.projectMaterial } : result.request);
+    } catch (err) {
+        console.error(`Error on material request ${action}:`, err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+/**
+ * @openapi
+ * /api/material/requests/{requestID}/approve:
+ *   put:
+ *     tags:
+ *       - Material Controller
+ *     summary: Approve a share request for your material
+ *     description: Moves the requested quantity out of your stock into the project's materials.
+ *     parameters:
+ *       - in: path
+ *         name: requestID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Request approved; returns the request and the project's entry for the material.
+ *       400:
+ *         description: Bad Request - Not enough of the material left.
+ *       403:
+ *         description: Forbidden - You are not the owner of the material.
+ *       404:
+ *         description: Not Found - Request not found.
+ *       409:
+ *         description: Conflict - The request was already answered, or its project deleted.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/:requestID/approve', respond('approve'));
+
+/**
+ * @openapi
+ * /api/material/requests/{requestID}/reject:
+ *   put:
+ *     tags:
+ *       - Material Controller
+ *     summary: Reject a share request for your material
+ *     parameters:
+ *       - in: path
+ *         name: requestID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Request rejected successfully
+ *       403:
+ *         description: Forbidden - You are not the owner of the material.
+ *       404:
+ *         description: Not Found - Request not found.
+ *       409:
+ *         description: Conflict - The request was already answered.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/:requestID/reject', respond('reject'));
+
+/**
+ * @openapi
+ * /api/material/requests/{requestID}/cancel:
+ *   put:
+ *     tags:
+ *       - Material Controller
+ *     summary: Take back a share request you made
+ *     parameters:
+ *       - in: path
+ *         name: requestID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Request cancelled successfully
+ *       403:
+ *         description: Forbidden - You did not make this request.
+ *       404:
+ *         description: Not Found - Request not found.
+ *       409:
+ *         description: Conflict - The request was already answered.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/:requestID/cancel', respond('cancel'));
+
+module.exports = router;
@@ -3,32 +3,39 @@ const router = express.Router();
 const Project = require('../models/Project');
 const User = require('../models/User');
 const Task = require('../models/Task');
+const ProjectMember = require('../models/ProjectMember');
+const TaskComment = require('../models/TaskComment');
+const sequelize = require('../modals/db');
 const { Op } = require('sequelize');
+const { SEAT_ROLES, getMemberRole, addMember, removeMember } = require('../utils/membership');
+const { recommendCollaborators } = require('../utils/recommendations');
+const { PROJECT_STATUSES, applyStatus, refreshProjectStatus } = require('../utils/projectStatus');
+const { buildDashboard } = require('../utils/projectDashboard');
+const { destroyProject } = require('../utils/projects');
 /*
 const loggingMiddleware = require('../middleware/logMiddleware');
-const authMiddleware = require('../middleware/authMiddleware');
 const errorHandlerMiddleware = require('../middleware/errHandMiddleware');
 const validationMiddleware = require('../middleware/validMiddleware');
-const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
 
 router.use(loggingMiddleware);
+router.use(validationMiddleware);*/
+const authMiddleware = require('../middleware/authMiddleware');
+const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
+const rateLimitConfig = require('../config/rateLimit.config');
+const deprecatedParamMiddleware = require('../middleware/deprecatedParamMiddleware');
+const projectOwnerMiddleware = require('../middleware/projectOwnerMiddleware');
+const projectRequestsRouter = require('./projectRequests');
+const projectSkillsRouter = require('./projectSkills');
+
 router.use(authMiddleware);
-router.use(validationMiddleware);
-router.use(rateLimitingMiddleware);*/
+router.use(rateLimitingMiddleware(rateLimitConfig.api));
 /**
  * @openapi
- * /api/project/add-project/{creatorID}:
+ * /api/project/add-project:
  *   post:
  *     tags:
  *       - Project Controller
  *     summary: Add a project for a user
- *     parameters:
- *       - in: path
- *         name: creatorID
- *         required: true
- *         schema:
- *           type: string
- *         description: The ID of the user who created the project.
  *     requestBody:
  *       required: true
  *       content:
@@ -81,10 +88,10 @@ router.use(rateLimitingMiddleware);*/
  *       500:
  *         description: Internal server error.
  */
-router.route('/add-project/:creatorID').post(async (req, res) => {
+const addProject = async (req, res) => {
     try {
-        const { title, description, groupSize, difficulty, category, cost,isCompleted } = req.body;
-        const creatorID = req.params.creatorID;
+        const { title, description, groupSize, difficulty, category, cost } = req.body;
+        const creatorID = req.user.userID;
         // Check if storeID is provided, if not, consider it as null
         const projectData = {
             title,
@@ -94,8 +101,7 @@ router.route('/add-project/:creatorID').post(async (req, res) => {
             category,
             creatorID,
            // storeID: storeID !== undefined ? storeID : null, // Set storeID to null if not provided
-            cost,
-            isCompleted
+            cost
         };
         // Check if required fields are provided
         if (!title || !description || !groupSize || !difficulty || !category || !creatorID || !cost) {
@@ -108,8 +114,11 @@ router.route('/add-project/:creatorID').post(async (req, res) => {
             return res.status(409).json({ message: "Project with the same title already exists for this user" });
         }
 
-        // Create project using Sequelize
-        await Project.create(projectData);
+        // Create the project together with the creator's owner membership
+        await sequelize.transaction(async (transaction) => {
+            const project = await Project.create(projectData, { transaction });
+            await ProjectMember.create({ projectID: project.projectID, userID: creatorID, role: 'owner' }, { transaction });
+        });
 
         res.status(201).json({ message: "Project added successfully" });
 
@@ -117,7 +126,28 @@ router.route('/add-project/:creatorID').post(async (req, res) => {
         console.error("Error adding project:", err);
         res.status(500).json({ message: "Internal server error" });
     }
-});
+};
+router.post('/add-project', addProject);
+/**
+ * @openapi
+ * /api/project/add-project/{creatorID}:
+ *   post:
+ *     tags:
+ *       - Project Controller
+ *     summary: Add a new project (deprecated alias of /api/project/add-project)
+ *     deprecated: true
+ *     parameters:
+ *       - in: path
+ *         name: creatorID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Must match the authenticated user.
+ *     responses:
+ *       403:
+ *         description: Forbidden - creatorID does not match the authenticated user.
+ */
+router.post('/add-project/:creatorID', deprecatedParamMiddleware('creatorID'), addProject);
 
 /**
  * @openapi
@@ -165,6 +195,8 @@ router.route('/add-project/:creatorID').post(async (req, res) => {
  *         description: Project updated successfully
  *       400:
  *         description: Bad Request - Missing required fields or invalid data format.
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
  *       404:
  *         description: Not Found - Project not found.
  *       409:
@@ -172,16 +204,11 @@ router.route('/add-project/:creatorID').post(async (req, res) => {
  *       500:
  *         description: Internal server error.
  */
-router.put('/edit-project/:projectID', async (req, res) => {
+router.put('/edit-project/:projectID', projectOwnerMiddleware(), async (req, res) => {
     try {
         const { title, description, groupSize, difficulty, category, cost } = req.body;
         const projectID = req.params.projectID;
-
-        // Fetch project from the database using projectID
-        const project = await Project.findByPk(projectID);
-        if (!project) {
-            return res.status(404).json({ message: "Project not found" });
-        }
+        const project = req.project;
 
         // Update project properties if provided in the request
         if (title) {
@@ -312,19 +339,14 @@ router.get('/get-projects/:creatorID', async (req, res) => {
 });
 /**
  * @openapi
- * /api/project/delete-project/{creatorID}/{projectID}:
+ * /api/project/delete-project/{projectID}:
  *   delete:
  *     tags:
  *       - Project Controller
  *     summary: Delete a specific project for a creator
+ *     description: Deletes the project with its tasks, members and requests. The materials and tools it used go back in stock.
  *     parameters:
  *       - in: path
- *         name: creatorID
- *         required: true
- *         schema:
- *           type: string
- *         description: The ID of the creator who owns the project.
- *       - in: path
  *         name: projectID
  *         required: true
  *         schema:
@@ -333,24 +355,19 @@ router.get('/get-projects/:creatorID', async (req, res) => {
  *     responses:
  *       204:
  *         description: Project deleted successfully
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
  *       404:
  *         description: Not Found - Project not found or not owned by the specified creator.
  *       500:
  *         description: Internal server error.
  */
-router.delete('/delete-project/:creatorID/:projectID', async (req, res) => {
+const deleteProject = async (req, res) => {
     try {
-        const creatorID = req.params.creatorID;
-        const projectID = req.params.projectID;
-
-        // Check if the project exists and is owned by the specified creator using Sequelize
-        const project = await Project.findOne({ where: { projectID, creatorID } });
-        if (!project) {
-            return res.status(404).json({ message: "Project not found or not owned by the specified creator" });
-        }
+        const project = req.project;
 
-        // Delete the project using Sequelize
-        await project.destroy();
+        // Delete the project with its tasks and everything else attached to it, returning its materials and tools to stock
+        await sequelize.transaction((transaction) => destroyProject(project, req.user.userID, transaction));
 
         res.status(204).end(); // No content in response
 
@@ -358,29 +375,88 @@ router.delete('/delete-project/:creatorID/:projectID', async (req, res) => {
         console.error("Error deleting project:", err);
         res.status(500).json({ message: "Internal server error" });
     }
-});
-
-
+};
+router.delete('/delete-project/:projectID', projectOwnerMiddleware(), deleteProject);
 /**
  * @openapi
- * /projectuser/{projectID}/creater/{userID}:
- *   get:
+ * /api/project/delete-project/{creatorID}/{projectID}:
+ *   delete:
  *     tags:
  *       - Project Controller
- *     summary: Get all workers in a project owned by the specified user
+ *     summary: Delete a project (deprecated alias of /api/project/delete-project/{projectID})
+ *     deprecated: true
  *     parameters:
  *       - in: path
+ *         name: creatorID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Must match the authenticated user.
+ *       - in: path
  *         name: projectID
  *         required: true
  *         schema:
  *           type: integer
- *         description: The ID of the project.
+ *         description: The ID of the project to delete.
+ *     responses:
+ *       403:
+ *         description: Forbidden - creatorID does not match the authenticated user.
+ */
+router.delete('/delete-project/:creatorID/:projectID', deprecatedParamMiddleware('creatorID'), projectOwnerMiddleware(), deleteProject);
+
+
+// Lists the members of the project (the creator first) with the tasks assigned to each of them
+const listMembersWithTasks = async (project, userAttributes) => {
+    const memberships = await ProjectMember.findAll({ where: { projectID: project.projectID } });
+    // Projects created before memberships existed have no owner row for their creator
+    if (!memberships.some(m => m.userID === project.creatorID)) {
+        memberships.unshift({ userID: project.creatorID, role: 'owner', joinedAt: null });
+    }
+    const userIDs = memberships.map(m => m.userID);
+    const users = await User.findAll({
+        where: { userID: { [Op.in]: userIDs } },
+        attributes: userAttributes
+    });
+    const tasks = await Task.findAll({
+        where: { projectID: project.projectID, userID: { [Op.in]: userIDs } },
+        attributes: ['taskID', 'userID', 'title', 'description', 'status', 'priority', 'dueDate']
+    });
+    const commentCounts = await TaskComment.count({
+        where: { taskID: { [Op.in]: tasks.map(task => task.taskID) }, deletedAt: null },
+        group: ['taskID']
+    });
+    return memberships
+        .sort((a, b) => (b.userID === project.creatorID) - (a.userID === project.creatorID))
+        .map(m => ({
+            user: users.find(u => u.userID === m.userID),
+            role: m.userID === project.creatorID ? 'owner' : m.role,
+            joinedAt: m.joinedAt,
+            tasks: tasks.filter(task => task.userID === m.userID).map(task => ({
+                taskID: task.taskID,
+                title: task.title,
+                description: task.description,
+                commentCount: (commentCounts.find(c => c.taskID === task.taskID) || { count: 0 }).count,
+                status: task.status,
+                priority: task.priority,
+                dueDate: task.dueDate
+            }))
+        }));
+};
+
+/**
+ * @openapi
+ * /projectuser/{projectID}:
+ *   get:
+ *     tags:
+ *       - Project Controller
+ *     summary: Get all members of a project owned by the authenticated user, with their tasks
+ *     parameters:
  *       - in: path
- *         name: userID
+ *         name: projectID
  *         required: true
  *         schema:
  *           type: integer
- *         description: The ID of the user who owns the project.
+ *         description: The ID of the project.
  *     responses:
  *       '200':
  *         description: Successful operation
@@ -391,131 +467,103 @@ router.delete('/delete-project/:creatorID/:projectID', async (req, res) => {
  *               items:
  *                 type: object
  *                 properties:
- *                   task:
- *                     type: object
- *                     properties:
- *                       taskID:
- *                         type: integer
- *                         description: The ID of the task.
- *                       description:
- *                         type: string
- *                         description: The description of the task.
- *                       comments:
- *                         type: string
- *                         description: Comments related to the task.
- *                       status:
- *                         type: string
- *                         description: The status of the task.
  *                   user:
  *                     type: object
  *                     properties:
  *                       userID:
  *                         type: integer
- *                         description: The ID of the user.
  *                       userName:
  *                         type: string
- *                         description: The username of the user.
  *                       email:
  *                         type: string
- *                         description: The email of the user.
  *                       location:
  *                         type: string
- *                         description: The location of the user.
+ *                   role:
+ *                     type: string
+ *                     enum: [owner, collaborator, viewer]
+ *                   joinedAt:
+ *                     type: string
+ *                     format: date-time
+ *                   tasks:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         taskID:
+ *                           type: integer
+ *                         title:
+ *                           type: string
+ *                         description:
+ *                           type: string
+ *                         commentCount:
+ *                           type: integer
+ *                         status:
+ *                           type: string
+ *                         priority:
+ *                           type: string
+ *                         dueDate:
+ *                           type: string
+ *                           format: date
+ *       '403':
+ *         description: You are not the creator of the project
  *       '404':
- *         description: Project not found or user is not the creator of the project
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   description: Error message indicating that the specified project was not found or the user is not the creator of the project.
+ *         description: Project not found
  *       '500':
  *         description: Internal server error
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   description: Error message indicating an internal server error.
  */
 //project owner can see all worker in his/her project
-router.get('/projectuser/:projectID/creater/:userID', async (req, res) => {
+const getProjectWorkers = async (req, res) => {
     try {
-        const projectID = parseInt(req.params.projectID, 10); // Parse projectID as integer
-        const userID = parseInt(req.params.userID, 10); // Parse userID as integer
-
-        const assignedUser = await Project.findOne({
-            where: { projectID, creatorID: userID }
-        });
-        if (!assignedUser) {
-            return res.status(404).json({ message: 'You are not the creator of the project or project not found' });
-        }
-        // Find tasks for the specified project
-        const tasks = await Task.findAll({
-            where: { projectID },
-            attributes: ['taskID', 'userID', 'description', 'comments', 'status']
-        });
-
-        // Extract user IDs from the tasks
-        const userIDs = tasks.map(task => task.userID);
-
-        // Find user details for the extracted user IDs
-        const users = await User.findAll({
-            where: { userID: { [Op.in]: userIDs } },
-            attributes: ['userID', 'userName', 'email', 'location']
-        });
-
-        // Map user details to tasks
-        const usersTasksInfo = tasks.map(task => {
-            const user = users.find(u => u.userID === task.userID);
-            return {
-                task: {
-                    taskID: task.taskID,
-                    description: task.description,
-                    comments: task.comments,
-                    status: task.status
-                },
-                user: {
-                    userID: user.userID,
-                    userName: user.userName,
-                    email: user.email,
-                    location: user.location
-                }
-            };
-        });
-
-        return res.status(200).json(usersTasksInfo);
+        const members = await listMembersWithTasks(req.project, ['userID', 'userName', 'email', 'location']);
+        return res.status(200).json(members);
     } catch (error) {
         console.error(error);
         return res.status(500).json({ message: 'Internal server error' });
     }
-});
-
-
+};
+router.get('/projectuser/:projectID', projectOwnerMiddleware(), getProjectWorkers);
 /**
  * @openapi
- * /userinproject/{projectID}/users/{userID}:
+ * /projectuser/{projectID}/creater/{userID}:
  *   get:
  *     tags:
  *       - Project Controller
- *     summary: Get users with tasks in the same project as the specified user
+ *     summary: Get all workers in a project owned by the specified user (deprecated alias of /projectuser/{projectID})
+ *     deprecated: true
  *     parameters:
  *       - in: path
+ *         name: userID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Must match the authenticated user.
+ *       - in: path
  *         name: projectID
  *         required: true
  *         schema:
  *           type: integer
  *         description: The ID of the project.
+ *     responses:
+ *       403:
+ *         description: Forbidden - userID does not match the authenticated user.
+ */
+router.get('/projectuser/:projectID/creater/:userID', deprecatedParamMiddleware('userID'), projectOwnerMiddleware(), getProjectWorkers);
+
+
+/**
+ * @openapi
+ * /userinproject/{projectID}:
+ *   get:
+ *     tags:
+ *       - Project Controller
+ *     summary: Get the members of a project the authenticated user belongs to
+ *     parameters:
  *       - in: path
- *         name: userID
+ *         name: projectID
  *         required: true
  *         schema:
  *           type: integer
- *         description: The ID of the user to check for tasks in the project.
+ *         description: The ID of the project.
  *     responses:
  *       '200':
  *         description: Successful operation
@@ -526,103 +574,447 @@ router.get('/projectuser/:projectID/creater/:userID', async (req, res) => {
  *               items:
  *                 type: object
  *                 properties:
- *                   userID:
- *                     type: integer
- *                     description: The ID of the user.
- *                   userName:
+ *                   user:
+ *                     type: object
+ *                     properties:
+ *                       userID:
+ *                         type: integer
+ *                       userName:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       location:
+ *                         type: string
+ *                   role:
  *                     type: string
- *                     description: The username of the user.
- *                   email:
+ *                     enum: [owner, collaborator, viewer]
+ *                   joinedAt:
  *                     type: string
- *                     description: The email of the user.
+ *                     format: date-time
+ *                   tasks:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         taskID:
+ *                           type: integer
+ *                         title:
+ *                           type: string
+ *                         description:
+ *                           type: string
+ *                         commentCount:
+ *                           type: integer
+ *                         status:
+ *                           type: string
+ *                         priority:
+ *                           type: string
+ *                         dueDate:
+ *                           type: string
+ *                           format: date
  *       '403':
- *         description: You are not authorized to access this information
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   description: Error message indicating unauthorized access.
+ *         description: You are not a member of the project
  *       '404':
  *         description: Project not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   description: Error message indicating that the specified project was not found.
  *       '500':
  *         description: Internal server error
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   description: Error message indicating an internal server error.
  */
 //worker can see some information about other workers with them in same project to easly communicate
-router.get('/userinproject/:projectID/users/:userID', async (req, res) => {
+const getProjectCoworkers = async (req, res) => {
     try {
-        const projectID = parseInt(req.params.projectID, 10); // Parse projectID as integer
-        const userID = parseInt(req.params.userID, 10); // Parse userID as integer
-
-        // Check if the specified projectID exists
-        const projectExists = await Project.findOne({
-            where: { projectID }
-        });
-
-        if (!projectExists) {
+        const project = await Project.findByPk(req.params.projectID);
+        if (!project) {
             return res.status(404).json({ message: 'Project not found' });
         }
 
-        // Check if the specified user has a task in the specified project
-        const userHasTask = await Task.findOne({
-            where: { projectID, userID }
-        });
-
-        if (!userHasTask) {
+        // Only members of the project can see who they work with
+        if (!(await getMemberRole(project, req.user.userID))) {
             return res.status(403).json({ message: 'You are not authorized to access this information' });
         }
 
-        // Find tasks for the specified project
-        const tasks = await Task.findAll({
-            where: { projectID }
-        });
-        // Extract user IDs from the tasks
-        const userIDs = tasks.map(task => task.userID);
-        // Find user details for the extracted user IDs
-        const users = await User.findAll({
-            where: { userID: { [Op.in]: userIDs } },
-            attributes: ['userID', 'userName', 'email', 'location']
-        });
-        // Map user details to tasks
-        const usersTasksInfo = tasks.map(task => {
-            const user = users.find(u => u.userID === task.userID);
-            return {
-                user: {
-                    userName: user.userName,
-                    email: user.email,
-                    location: user.location
-                },
-                task: {
-                    description: task.description,
-                    comments: task.comments,
-                    status: task.status
-                }
-            };
-        });
-
-        return res.status(200).json(usersTasksInfo);
+        const members = await listMembersWithTasks(project, ['userID', 'userName', 'email', 'location']);
+        return res.status(200).json(members);
     } catch (error) {
         console.error(error);
         return res.status(500).json({ message: 'Internal server error' });
     }
+};
+router.get('/userinproject/:projectID', getProjectCoworkers);
+/**
+ * @openapi
+ * /userinproject/{projectID}/users/{userID}:
+ *   get:
+ *     tags:
+ *       - Project Controller
+ *     summary: Get users with tasks in the same project as the specified user (deprecated alias of /userinproject/{projectID})
+ *     deprecated: true
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Must match the authenticated user.
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *     responses:
+ *       403:
+ *         description: Forbidden - userID does not match the authenticated user.
+ */
+router.get('/userinproject/:projectID/users/:userID', deprecatedParamMiddleware('userID'), getProjectCoworkers);
+
+/**
+ * @openapi
+ * /api/project/{projectID}/members:
+ *   get:
+ *     tags:
+ *       - Project Controller
+ *     summary: Get the members of a project and their roles
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       403:
+ *         description: Forbidden - You are not a member of this project.
+ *       404:
+ *         description: Not Found - Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:projectID/members', async (req, res) => {
+    try {
+        const project = await Project.findByPk(req.params.projectID);
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+        if (!(await getMemberRole(project, req.user.userID))) {
+            return res.status(403).json({ message: 'You are not a member of this project' });
+        }
+        const members = await listMembersWithTasks(project, ['userID', 'userName']);
+        res.status(200).json(members.map(({ user, role, joinedAt }) => ({ user, role, joinedAt })));
+    } catch (err) {
+        console.error("Error getting project members:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/project/{projectID}/join:
+ *   post:
+ *     tags:
+ *       - Project Controller
+ *     summary: Join a project as a collaborator or a viewer
+ *     description: Collaborators take one of the project's groupSize seats (the creator holds one); viewers do not.
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [collaborator, viewer]
+ *                 default: collaborator
+ *     responses:
+ *       201:
+ *         description: Joined the project successfully
+ *       400:
+ *         description: Bad Request - Invalid role.
+ *       404:
+ *         description: Not Found - Project not found.
+ *       409:
+ *         description: Conflict - Already a member, or the project has no open seats left.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:projectID/join', async (req, res) => {
+    try {
+        const role = req.body.role || 'collaborator';
+        if (!['collaborator', 'viewer'].includes(role)) {
+            return res.status(400).json({ message: "Role must be collaborator or viewer" });
+        }
+        const result = await sequelize.transaction((transaction) =>
+            addMember(req.params.projectID, req.user.userID, role, transaction)
+        );
+        if (result.error) {
+            return res.status(result.error.status).json({ message: result.error.message });
+        }
+        res.status(201).json({ message: "Joined the project successfully", role: result.member.role });
+    } catch (err) {
+        console.error("Error joining project:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/project/{projectID}/leave:
+ *   delete:
+ *     tags:
+ *       - Project Controller
+ *     summary: Leave a project
+ *     description: The owner cannot leave their own project; they can delete it or have it reassigned instead. Your unfinished tasks go back to the project as open tasks.
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *     responses:
+ *       204:
+ *         description: Left the project successfully
+ *       403:
+ *         description: Forbidden - The owner cannot leave the project.
+ *       404:
+ *         description: Not Found - Project not found or you are not a member of it.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete('/:projectID/leave', async (req, res) => {
+    try {
+        const project = await Project.findByPk(req.params.projectID);
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+        if (project.creatorID === req.user.userID) {
+            return res.status(403).json({ message: 'The owner cannot leave the project' });
+        }
+        if (!(await removeMember(project.projectID, req.user.userID))) {
+            return res.status(404).json({ message: 'You are not a member of this project' });
+        }
+        res.status(204).end();
+    } catch (err) {
+        console.error("Error leaving project:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/project/{projectID}/members/{userID}:
+ *   delete:
+ *     tags:
+ *       - Project Controller
+ *     summary: Remove a member from a project
+ *     description: The member's unfinished tasks go back to the project as open tasks.
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *       - in: path
+ *         name: userID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the member to remove.
+ *     responses:
+ *       204:
+ *         description: Member removed successfully
+ *       403:
+ *         description: Forbidden - You are not the creator of this project, or tried to remove yourself.
+ *       404:
+ *         description: Not Found - Project not found or the user is not a member of it.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete('/:projectID/members/:userID', projectOwnerMiddleware(), async (req, res) => {
+    try {
+        const userID = parseInt(req.params.userID, 10);
+        if (userID === req.project.creatorID) {
+            return res.status(403).json({ message: 'The owner cannot be removed from the project' });
+        }
+        if (!(await removeMember(req.project.projectID, userID))) {
+            return res.status(404).json({ message: 'User is not a member of this project' });
+        }
+        res.status(204).end();
+    } catch (err) {
+        console.error("Error removing project member:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/project/{projectID}/recommended-collaborators:
+ *   get:
+ *     tags:
+ *       - Project Controller
+ *     summary: Recommend users who could collaborate on a project
+ *     description: Ranks users who are not members yet by how well their skills and interests match the project's category, with a bonus for living in the same location as the project creator. Each result explains why it matched.
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   user:
+ *                     type: object
+ *                     properties:
+ *                       userID:
+ *                         type: integer
+ *                       userName:
+ *                         type: string
+ *                       location:
+ *                         type: string
+ *                   score:
+ *                     type: integer
+ *                   reasons:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *       400:
+ *         description: Bad Request - limit is not an integer from 1 to 50.
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
+ *       404:
+ *         description: Not Found - Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:projectID/recommended-collaborators', projectOwnerMiddleware(), async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+            return res.status(400).json({ message: "limit must be an integer from 1 to 50" });
+        }
+        const recommendations = await recommendCollaborators(req.project, limit);
+        res.status(200).json(recommendations);
+    } catch (err) {
+        console.error("Error recommending collaborators:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/project/{projectID}/dashboard:
+ *   get:
+ *     tags:
+ *       - Project Controller
+ *     summary: Get the progress, budget and recent activity of a project
+ *     description: Open tasks are counted under a null assignee. Materials and tools cost quantityUsed times the unit cost of the item, and are compared with the cost budgeted for the project.
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project:
+ *                   type: object
+ *                 tasks:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     byStatus:
+ *                       type: object
+ *                       description: Number of tasks in each status.
+ *                     completion:
+ *                       type: integer
+ *                       description: Percentage of the tasks that are completed.
+ *                     estimatedHours:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: number
+ *                         completed:
+ *                           type: number
+ *                     byAssignee:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     overdue:
+ *                       type: array
+ *                       description: Unfinished tasks past their due date, the most overdue first.
+ *                       items:
+ *                         type: object
+ *                 budget:
+ *                   type: object
+ *                   properties:
+ *                     cost:
+ *                       type: integer
+ *                       description: The cost budgeted for the project.
+ *                     materials:
+ *                       type: object
+ *                     tools:
+ *                       type: object
+ *                     spent:
+ *                       type: number
+ *                     remaining:
+ *                       type: number
+ *                     used:
+ *                       type: integer
+ *                       description: Percentage of the budget spent.
+ *                     overBudget:
+ *                       type: boolean
+ *                 recentActivity:
+ *                   type: array
+ *                   description: The latest status changes, comments and new members, newest first.
+ *                   items:
+ *                     type: object
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
+ *       404:
+ *         description: Not Found - Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:projectID/dashboard', projectOwnerMiddleware(), async (req, res) => {
+    try {
+        res.status(200).json(await buildDashboard(req.project));
+    } catch (err) {
+        console.error("Error building project dashboard:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
 });
 
 /**
@@ -631,7 +1023,11 @@ router.get('/userinproject/:projectID/users/:userID', async (req, res) => {
  *   put:
  *     tags:
  *       - Project Controller
- *     summary: Update project status based on task completion
+ *     summary: Override the status of a project, or hand it back to its tasks
+ *     description: |
+ *       The status of a project follows its tasks on its own: draft without tasks, recruiting while none has been
+ *       started, active once one has, and completed once all are. With a status, the creator sets it by hand and
+ *       the tasks stop changing it; archived can only be set this way. Without one, the status follows the tasks again.
  *     parameters:
  *       - in: path
  *         name: projectID
@@ -639,29 +1035,72 @@ router.get('/userinproject/:projectID/users/:userID', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: The ID of the project to update.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [draft, recruiting, active, completed, archived]
+ *                 description: The status to set, or null to derive it from the tasks again.
  *     responses:
  *       200:
  *         description: Project status updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 statusOverride:
+ *                   type: boolean
+ *                 completedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 archivedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       400:
+ *         description: Bad Request - Invalid status.
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
  *       404:
  *         description: Not Found - Project not found.
  *       500:
  *         description: Internal server error.
  */
-router.put('/update-status/:projectID', async (req, res) => {
+router.put('/update-status/:projectID', projectOwnerMiddleware(), async (req, res) => {
     try {
-        const projectID = req.params.projectID;
-        // Find project by ID
-        const project = await Project.findByPk(projectID);
-        if (!project) {
-            return res.status(404).json({ message: "Project not found" });
+        const status = req.body ? req.body.status : undefined;
+        if (status !== undefined && status !== null && !PROJECT_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `Status must be one of ${PROJECT_STATUSES.join(', ')}` });
         }
-
-        // Fetch tasks for the project
-        const tasks = await Task.findAll({ where: { projectID } });
-        // Update project status based on task completion
-        project.isCompleted = tasks.every(task => task.status === 'completed');
-        await project.save();
-        res.status(200).json({ message: "Project status updated successfully" });
+        const project = await sequelize.transaction(async (transaction) => {
+            const project = req.project;
+            if (status === undefined || status === null) {
+                project.statusOverride = false;
+                await project.save({ transaction });
+                return refreshProjectStatus(project.projectID, transaction);
+            }
+            applyStatus(project, status);
+            project.statusOverride = true;
+            return project.save({ transaction });
+        });
+        res.status(200).json({
+            message: "Project status updated successfully",
+            status: project.status,
+            statusOverride: project.statusOverride,
+            completedAt: project.completedAt,
+            archivedAt: project.archivedAt
+        });
     } catch (err) {
         console.error("Error updating project status:", err);
         res.status(500).json({ message: "Internal server error" });
@@ -697,6 +1136,230 @@ router.get('/completed-projects', async (req, res) => {
         res.status(500).json({ message: "Internal server error" });
     }
 });
+// Seats left in the project: groupSize minus the creator and the other seat-holding members
+const openSeatsLiteral = sequelize.literal(
+    `project.groupSize - 1 - (SELECT COUNT(*) FROM project_member AS pm WHERE pm.projectID = project.projectID ` +
+    `AND pm.role IN (${SEAT_ROLES.map(role => `'${role}'`).join(', ')}) AND pm.userID <> project.creatorID)`
+);
+const DIFFICULTY_RANK = { easy: 1, medium: 2, hard: 3 };
+const difficultyLiteral = sequelize.literal("CASE project.difficulty WHEN 'easy' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END");
+
+// Every sort ends with projectID in the same direction, so (sort value, projectID) is a unique cursor
+const SEARCH_SORTS = {
+    newest: { key: sequelize.col('project.projectID'), direction: 'DESC', value: p => p.projectID },
+    cost_asc: { key: sequelize.col('project.cost'), direction: 'ASC', value: p => p.cost },
+    cost_desc: { key: sequelize.col('project.cost'), direction: 'DESC', value: p => p.cost },
+    difficulty_asc: { key: difficultyLiteral, direction: 'ASC', value: p => DIFFICULTY_RANK[p.difficulty] },
+    difficulty_desc: { key: difficultyLiteral, direction: 'DESC', value: p => DIFFICULTY_RANK[p.difficulty] }
+};
+const SEARCH_NUMBERS = ['minCost', 'maxCost', 'minGroupSize', 'maxGroupSize', 'minOpenSeats'];
+
+const encodeCursor = (sort, value, projectID) => Buffer.from(JSON.stringify([sort, value, projectID])).toString('base64url');
+
+// Resolves to [value, projectID], or to null when the cursor is malformed or belongs to another sort
+const decodeCursor = (cursor, sort) => {
+    try {
+        const [cursorSort, value, projectID] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (cursorSort !== sort || !Number.isInteger(value) || !Number.isInteger(projectID)) {
+            return null;
+        }
+        return [value, projectID];
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * @openapi
+ * /api/project/search:
+ *   get:
+ *     tags:
+ *       - Project Controller
+ *     summary: Search the projects of every user
+ *     description: Results are returned a page at a time; pass the nextCursor of a page as cursor (with the same filters and sort) to get the next one.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Text to look for in the title or the description.
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [textile crafts, paper crafts, wood crafts, metal crafts, ceramics and pottery, glass crafts, jewelry making, mixed media crafts]
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *       - in: query
+ *         name: minCost
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxCost
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: minGroupSize
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxGroupSize
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: minOpenSeats
+ *         schema:
+ *           type: integer
+ *         description: Only return projects with at least this many open seats (1 for projects that can still be joined).
+ *       - in: query
+ *         name: isCompleted
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, recruiting, active, completed, archived]
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, cost_asc, cost_desc, difficulty_asc, difficulty_desc]
+ *           default: newest
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: The nextCursor returned with the previous page.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 projects:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Project'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor of the next page, null on the last page.
+ *       400:
+ *         description: Bad Request - Invalid filter, sort, limit or cursor.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/search', async (req, res) => {
+    try {
+        const { q, category, difficulty, isCompleted, status, cursor } = req.query;
+        const sortName = req.query.sort || 'newest';
+        const sort = SEARCH_SORTS[sortName];
+        if (!sort) {
+            return res.status(400).json({ message: `sort must be one of ${Object.keys(SEARCH_SORTS).join(', ')}` });
+        }
+        const numbers = {};
+        for (const name of SEARCH_NUMBERS) {
+            if (req.query[name] === undefined) {
+                continue;
+            }
+            numbers[name] = Number(req.query[name]);
+            if (!Number.isInteger(numbers[name]) || numbers[name] < 0) {
+                return res.status(400).json({ message: `${name} must be a non-negative integer` });
+            }
+        }
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            return res.status(400).json({ message: "limit must be an integer from 1 to 100" });
+        }
+        if (isCompleted !== undefined && !['true', 'false'].includes(isCompleted)) {
+            return res.status(400).json({ message: "isCompleted must be true or false" });
+        }
+        if (status !== undefined && !PROJECT_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `status must be one of ${PROJECT_STATUSES.join(', ')}` });
+        }
+
+        const conditions = [];
+        if (q) {
+            conditions.push({ [Op.or]: [{ title: { [Op.substring]: q } }, { description: { [Op.substring]: q } }] });
+        }
+        if (category) {
+            conditions.push({ category });
+        }
+        if (difficulty) {
+            conditions.push({ difficulty });
+        }
+        if (isCompleted !== undefined) {
+            conditions.push({ isCompleted: isCompleted === 'true' });
+        }
+        if (status) {
+            conditions.push({ status });
+        }
+        if (numbers.minCost !== undefined) {
+            conditions.push({ cost: { [Op.gte]: numbers.minCost } });
+        }
+        if (numbers.maxCost !== undefined) {
+            conditions.push({ cost: { [Op.lte]: numbers.maxCost } });
+        }
+        if (numbers.minGroupSize !== undefined) {
+            conditions.push({ groupSize: { [Op.gte]: numbers.minGroupSize } });
+        }
+        if (numbers.maxGroupSize !== undefined) {
+            conditions.push({ groupSize: { [Op.lte]: numbers.maxGroupSize } });
+        }
+        if (numbers.minOpenSeats !== undefined) {
+            conditions.push(sequelize.where(openSeatsLiteral, { [Op.gte]: numbers.minOpenSeats }));
+        }
+        if (cursor) {
+            const position = decodeCursor(cursor, sortName);
+            if (!position) {
+                return res.status(400).json({ message: "Invalid cursor" });
+            }
+            const [value, projectID] = position;
+            const after = sort.direction === 'ASC' ? Op.gt : Op.lt;
+            conditions.push({
+                [Op.or]: [
+                    sequelize.where(sort.key, { [after]: value }),
+                    { [Op.and]: [sequelize.where(sort.key, value), { projectID: { [after]: projectID } }] }
+                ]
+            });
+        }
+
+        // One extra row tells whether there is a next page
+        const projects = await Project.findAll({
+            attributes: { include: [[openSeatsLiteral, 'openSeats']] },
+            where: { [Op.and]: conditions },
+            order: [[sort.key, sort.direction], ['projectID', sort.direction]],
+            limit: limit + 1
+        });
+        const page = projects.slice(0, limit);
+        const last = page[page.length - 1];
+        res.status(200).json({
+            projects: page,
+            nextCursor: projects.length > limit ? encodeCursor(sortName, sort.value(last), last.projectID) : null
+        });
+    } catch (err) {
+        console.error("Error searching projects:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Invitations and join requests: /:projectID/invitations and /:projectID/join-requests
+router.use('/:projectID', projectRequestsRouter);
+// Required skills and their coverage: /:projectID/required-skills
+router.use('/:projectID', projectSkillsRouter);
 //router.use(errorHandlerMiddleware);
 
 module.exports = router;
\ No newline at end of file
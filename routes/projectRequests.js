@@ -0,0 +1,566 @@
+const express = require('express');
+// Mounted by the project router under /:projectID, which already authenticates and rate limits
+const router = express.Router({ mergeParams: true });
+const { Op } = require('sequelize');
+const {isEmail} = require("validator");
+const sequelize = require('../modals/db');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const ProjectInvitation = require('../models/ProjectInvitation');
+const JoinRequest = require('../models/JoinRequest');
+const { getMemberRole, addMember } = require('../utils/membership');
+const { sendMail } = require('../utils/mailer');
+const projectConfig = require('../config/project.config');
+const mailConfig = require('../config/mail.config');
+const projectOwnerMiddleware = require('../middleware/projectOwnerMiddleware');
+
+const ROLES = ['collaborator', 'viewer'];
+const STATUS_AFTER = { accept: 'accepted', decline: 'declined', cancel: 'cancelled' };
+
+const isExpired = (record) => record.status === 'pending' && record.expiresAt <= new Date();
+
+// Pending rows past their expiry are reported as expired even before anyone touches them
+const toJSON = (record) => {
+    const json = record.toJSON();
+    if (isExpired(record)) {
+        json.status = 'expired';
+    }
+    return json;
+};
+
+const findPending = (Model, projectID, userID) => Model.findOne({
+    where: { projectID, userID, status: 'pending', expiresAt: { [Op.gt]: new Date() } }
+});
+
+// The creator sees every row of the project, anybody else only their own
+const listRequests = (Model) => async (req, res) => {
+    try {
+        const project = await Project.findByPk(req.params.projectID);
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+        const where = { projectID: project.projectID };
+        if (project.creatorID !== req.user.userID) {
+            where.userID = req.user.userID;
+        }
+        const records = await Model.findAll({ where, order: [['createdAt', 'DESC']] });
+        const { status } = req.query;
+        res.status(200).json(records.map(toJSON).filter(r => !status || r.status === status));
+    } catch (err) {
+        console.error("Error listing project requests:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+/**
+ * Builds the handler that accepts, declines or cancels a pending invitation or join request.
+ * canRespond(record, project, userID) decides who may do it. Accepting adds the user to the project
+ * in the same transaction, so a full project (groupSize) leaves the row pending, and cancels the
+ * user's other pending invitations and join requests for the project.
+ */
+const respond = (Model, label, action, canRespond) => async (req, res) => {
+    try {
+        const result = await sequelize.transaction(async (transaction) => {
+            const record = await Model.findOne({
+                where: { id: req.params.id, projectID: req.params.projectID },
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (!record) {
+                return { error: { status: 404, message: `${label} not found` } };
+            }
+            const project = await Project.findByPk(record.projectID, { transaction });
+            if (!canRespond(record, project, req.user.userID)) {
+                return { error: { status: 403, message: `You are not allowed to ${action} this ${label.toLowerCase()}` } };
+            }
+            if (isExpired(record)) {
+                await record.update({ status: 'expired' }, { transaction });
+                return { error: { status: 410, message: `${label} has expired` } };
+            }
+            if (record.status !== 'pending') {
+                return { error: { status: 409, message: `${label} is already ${record.status}` } };
+            }
+            if (action === 'accept') {
+                const added = await addMember(record.projectID, record.userID, record.role, transaction);
+                if (added.error) {
+                    return added;
+                }
+                const others = { projectID: record.projectID, userID: record.userID, status: 'pending' };
+                await ProjectInvitation.update({ status: 'cancelled', respondedAt: new Date() }, { where: others, transaction });
+                await JoinRequest.update({ status: 'cancelled', respondedAt: new Date() }, { where: others, transaction });
+            }
+            await record.update({ status: STATUS_AFTER[action], respondedAt: new Date() }, { transaction });
+            return { record };
+        });
+        if (result.error) {
+            return res.status(result.error.status).json({ message: result.error.message });
+        }
+        res.status(200).json(toJSON(result.record));
+    } catch (err) {
+        console.error("Error answering project request:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+const isInvitee = (invitation, project, userID) => invitation.userID === userID;
+const isCreator = (record, project, userID) => project.creatorID === userID;
+const isApplicant = (joinRequest, project, userID) => joinRequest.userID === userID;
+
+/**
+ * @openapi
+ * /api/project/{projectID}/invitations:
+ *   post:
+ *     tags:
+ *       - Project Controller
+ *     summary: Invite a user to a project
+ *     description: Only the project creator can invite. The user is identified by userID or email and receives the invitation by email.
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userID:
+ *                 type: integer
+ *                 description: The ID of the user to invite.
+ *               email:
+ *                 type: string
+ *                 description: The email of the user to invite, when userID is not given.
+ *               role:
+ *                 type: string
+ *                 enum: [collaborator, viewer]
+ *                 default: collaborator
+ *               message:
+ *                 type: string
+ *                 description: A note for the invited user.
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *       400:
+ *         description: Bad Request - userID or email is required, or the role is invalid.
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
+ *       404:
+ *         description: Not Found - Project or user not found.
+ *       409:
+ *         description: Conflict - The user is already a member or already has a pending invitation.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/invitations', projectOwnerMiddleware(), async (req, res) => {
+    try {
+        const { userID, email, message } = req.body;
+        const role = req.body.role || 'collaborator';
+        if (!userID && !email) {
+            return res.status(400).json({ message: "userID or email is required" });
+        }
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ message: "Role must be collaborator or viewer" });
+        }
+        if (!userID && !isEmail(email)) {
+            return res.status(400).json({ message: "Invalid email format" });
+        }
+
+        const project = req.project;
+        const user = userID ? await User.findByPk(userID) : await User.findOne({ where: { email } });
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+        if (await getMemberRole(project, user.userID)) {
+            return res.status(409).json({ message: "User is already a member of this project" });
+        }
+        if (await findPending(ProjectInvitation, project.projectID, user.userID)) {
+            return res.status(409).json({ message: "User already has a pending invitation to this project" });
+        }
+
+        const invitation = await ProjectInvitation.create({
+            projectID: project.projectID,
+            userID: user.userID,
+            invitedByID: req.user.userID,
+            role,
+            message: message || null,
+            expiresAt: new Date(Date.now() + projectConfig.INVITATION_EXPIRES_IN * 1000)
+        });
+        await sendMail({
+            to: user.email,
+            subject: `You are invited to join "${project.title}" on CommuniCraft`,
+            text: `Hi ${user.userName},\n\n${req.user.userName} invited you to join "${project.title}" as a ${role}.\n` +
+                (message ? `\n${message}\n` : '') +
+                `\nAnswer the invitation here:\n${mailConfig.APP_URL}/project/${project.projectID}/invitations\n`
+        });
+        res.status(201).json(toJSON(invitation));
+    } catch (err) {
+        console.error("Error inviting user:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/project/{projectID}/invitations:
+ *   get:
+ *     tags:
+ *       - Project Controller
+ *     summary: List the invitations of a project
+ *     description: The project creator sees every invitation, other users only the ones addressed to them.
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined, cancelled, expired]
+ *         description: Only return invitations with this status.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       404:
+ *         description: Not Found - Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/invitations', listRequests(ProjectInvitation));
+
+/**
+ * @openapi
+ * /api/project/{projectID}/invitations/{id}/accept:
+ *   put:
+ *     tags:
+ *       - Project Controller
+ *     summary: Accept an invitation and join the project
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the invitation.
+ *     responses:
+ *       200:
+ *         description: Invitation accepted, the user is now a member
+ *       403:
+ *         description: Forbidden - The invitation is not addressed to you.
+ *       404:
+ *         description: Not Found - Invitation not found.
+ *       409:
+ *         description: Conflict - The invitation was already answered, or the project has no open seats left.
+ *       410:
+ *         description: Gone - The invitation has expired.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/invitations/:id/accept', respond(ProjectInvitation, 'Invitation', 'accept', isInvitee));
+
+/**
+ * @openapi
+ * /api/project/{projectID}/invitations/{id}/decline:
+ *   put:
+ *     tags:
+ *       - Project Controller
+ *     summary: Decline an invitation
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the invitation.
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       403:
+ *         description: Forbidden - The invitation is not addressed to you.
+ *       404:
+ *         description: Not Found - Invitation not found.
+ *       409:
+ *         description: Conflict - The invitation was already answered.
+ *       410:
+ *         description: Gone - The invitation has expired.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/invitations/:id/decline', respond(ProjectInvitation, 'Invitation', 'decline', isInvitee));
+
+/**
+ * @openapi
+ * /api/project/{projectID}/invitations/{id}/cancel:
+ *   put:
+ *     tags:
+ *       - Project Controller
+ *     summary: Cancel an invitation sent by the project creator
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the invitation.
+ *     responses:
+ *       200:
+ *         description: Invitation cancelled
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
+ *       404:
+ *         description: Not Found - Invitation not found.
+ *       409:
+ *         description: Conflict - The invitation was already answered.
+ *       410:
+ *         description: Gone - The invitation has expired.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/invitations/:id/cancel', respond(ProjectInvitation, 'Invitation', 'cancel', isCreator));
+
+/**
+ * @openapi
+ * /api/project/{projectID}/join-requests:
+ *   post:
+ *     tags:
+ *       - Project Controller
+ *     summary: Ask to join a project
+ *     description: The project creator is notified by email and can accept or decline the request.
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [collaborator, viewer]
+ *                 default: collaborator
+ *               message:
+ *                 type: string
+ *                 description: Why you want to join, shown to the project creator.
+ *     responses:
+ *       201:
+ *         description: Join request sent successfully
+ *       400:
+ *         description: Bad Request - Invalid role.
+ *       404:
+ *         description: Not Found - Project not found.
+ *       409:
+ *         description: Conflict - You are already a member or already have a pending join request.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/join-requests', async (req, res) => {
+    try {
+        const { message } = req.body;
+        const role = req.body.role || 'collaborator';
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ message: "Role must be collaborator or viewer" });
+        }
+
+        const project = await Project.findByPk(req.params.projectID);
+        if (!project) {
+            return res.status(404).json({ message: "Project not found" });
+        }
+        if (await getMemberRole(project, req.user.userID)) {
+            return res.status(409).json({ message: "You are already a member of this project" });
+        }
+        if (await findPending(JoinRequest, project.projectID, req.user.userID)) {
+            return res.status(409).json({ message: "You already have a pending join request for this project" });
+        }
+
+        const joinRequest = await JoinRequest.create({
+            projectID: project.projectID,
+            userID: req.user.userID,
+            role,
+            message: message || null,
+            expiresAt: new Date(Date.now() + projectConfig.JOIN_REQUEST_EXPIRES_IN * 1000)
+        });
+        const creator = await User.findByPk(project.creatorID);
+        await sendMail({
+            to: creator.email,
+            subject: `${req.user.userName} wants to join "${project.title}"`,
+            text: `Hi ${creator.userName},\n\n${req.user.userName} asked to join "${project.title}" as a ${role}.\n` +
+                (message ? `\n${message}\n` : '') +
+                `\nAnswer the request here:\n${mailConfig.APP_URL}/project/${project.projectID}/join-requests\n`
+        });
+        res.status(201).json(toJSON(joinRequest));
+    } catch (err) {
+        console.error("Error requesting to join project:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/project/{projectID}/join-requests:
+ *   get:
+ *     tags:
+ *       - Project Controller
+ *     summary: List the join requests of a project
+ *     description: The project creator sees every join request, other users only their own.
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined, cancelled, expired]
+ *         description: Only return join requests with this status.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       404:
+ *         description: Not Found - Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/join-requests', listRequests(JoinRequest));
+
+/**
+ * @openapi
+ * /api/project/{projectID}/join-requests/{id}/accept:
+ *   put:
+ *     tags:
+ *       - Project Controller
+ *     summary: Accept a join request and add the user to the project
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the join request.
+ *     responses:
+ *       200:
+ *         description: Join request accepted, the user is now a member
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
+ *       404:
+ *         description: Not Found - Join request not found.
+ *       409:
+ *         description: Conflict - The join request was already answered, or the project has no open seats left.
+ *       410:
+ *         description: Gone - The join request has expired.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/join-requests/:id/accept', respond(JoinRequest, 'Join request', 'accept', isCreator));
+
+/**
+ * @openapi
+ * /api/project/{projectID}/join-requests/{id}/decline:
+ *   put:
+ *     tags:
+ *       - Project Controller
+ *     summary: Decline a join request
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the join request.
+ *     responses:
+ *       200:
+ *         description: Join request declined
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
+ *       404:
+ *         description: Not Found - Join request not found.
+ *       409:
+ *         description: Conflict - The join request was already answered.
+ *       410:
+ *         description: Gone - The join request has expired.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/join-requests/:id/decline', respond(JoinRequest, 'Join request', 'decline', isCreator));
+
+/**
+ * @openapi
+ * /api/project/{projectID}/join-requests/{id}/cancel:
+ *   put:
+ *     tags:
+ *       - Project Controller
+ *     summary: Withdraw your own join request
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the join request.
+ *     responses:
+ *       200:
+ *         description: Join request cancelled
+ *       403:
+ *         description: Forbidden - The join request is not yours.
+ *       404:
+ *         description: Not Found - Join request not found.
+ *       409:
+ *         description: Conflict - The join request was already answered.
+ *       410:
+ *         description: Gone - The join request has expired.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/join-requests/:id/cancel', respond(JoinRequest, 'Join request', 'cancel', isApplicant));
+
+module.exports = router;
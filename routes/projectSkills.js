@@ -0,0 +1,378 @@
+const express = require('express');
+// Mounted by the project router under /:projectID, which already authenticates and rate limits
+const router = express.Router({ mergeParams: true });
+const { Op } = require('sequelize');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Skill = require('../models/Skill');
+const ProjectMember = require('../models/ProjectMember');
+const ProjectRequiredSkill = require('../models/ProjectRequiredSkill');
+const { getMemberRole } = require('../utils/membership');
+const { PROFICIENCY_LEVELS, sameSkill, meetsProficiency } = require('../utils/skills');
+const { resolveCatalogSkill } = require('../utils/skillCatalog');
+const projectOwnerMiddleware = require('../middleware/projectOwnerMiddleware');
+
+// Finds another required skill of the project linked to the same catalog skill
+const findSameSkill = (projectID, skillCatalogID, exceptID) => ProjectRequiredSkill.findOne({
+    where: { projectID, skillCatalogID, id: { [Op.ne]: exceptID || 0 } }
+});
+
+/**
+ * @openapi
+ * /api/project/{projectID}/required-skills:
+ *   get:
+ *     tags:
+ *       - Project Controller
+ *     summary: Get the skills a project requires
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       404:
+ *         description: Not Found - Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/required-skills', async (req, res) => {
+    try {
+        const project = await Project.findByPk(req.params.projectID);
+        if (!project) {
+            return res.status(404).json({ message: "Project not found" });
+        }
+        const skills = await ProjectRequiredSkill.findAll({ where: { projectID: project.projectID }, order: [['id', 'ASC']] });
+        res.status(200).json(skills);
+    } catch (err) {
+        console.error("Error getting required skills:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/project/{projectID}/required-skills:
+ *   post:
+ *     tags:
+ *       - Project Controller
+ *     summary: Add a skill the project requires
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - skillName
+ *             properties:
+ *               skillName:
+ *                 type: string
+ *                 description: The name of the skill, matched against the skill catalog and its aliases.
+ *               proficiency:
+ *                 type: string
+ *                 enum: [beginner, intermediate, advanced, expert]
+ *                 default: beginner
+ *                 description: The proficiency the project expects.
+ *     responses:
+ *       201:
+ *         description: Required skill added successfully
+ *       400:
+ *         description: Bad Request - Missing skill name or invalid proficiency.
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
+ *       404:
+ *         description: Not Found - Project not found.
+ *       409:
+ *         description: Conflict - The project already requires this skill.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/required-skills', projectOwnerMiddleware(), async (req, res) => {
+    try {
+        const { skillName } = req.body;
+        const proficiency = req.body.proficiency || 'beginner';
+        if (!skillName || !skillName.trim()) {
+            return res.status(400).json({ message: "Skill name is required" });
+        }
+        if (!PROFICIENCY_LEVELS.includes(proficiency)) {
+            return res.status(400).json({ message: `Proficiency must be one of ${PROFICIENCY_LEVELS.join(', ')}` });
+        }
+        const catalogSkill = await resolveCatalogSkill(skillName);
+        if (await findSameSkill(req.project.projectID, catalogSkill.skillCatalogID)) {
+            return res.status(409).json({ message: "The project already requires this skill" });
+        }
+        const requiredSkill = await ProjectRequiredSkill.create({
+            projectID: req.project.projectID,
+            skillName: catalogSkill.name,
+            skillCatalogID: catalogSkill.skillCatalogID,
+            proficiency
+        });
+        res.status(201).json(requiredSkill);
+    } catch (err) {
+        console.error("Error adding required skill:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/project/{projectID}/required-skills/coverage:
+ *   get:
+ *     tags:
+ *       - Project Controller
+ *     summary: Show which required skills the project members already cover
+ *     description: Members are the project creator, the users holding a membership and the users assigned a task in the project. A required skill is covered once a member has it at the required proficiency or above.
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 coverage:
+ *                   type: integer
+ *                   description: Percentage of the required skills covered by at least one member.
+ *                 covered:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       requiredSkillID:
+ *                         type: integer
+ *                       skillName:
+ *                         type: string
+ *                       proficiency:
+ *                         type: string
+ *                       coveredBy:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             userID:
+ *                               type: integer
+ *                             userName:
+ *                               type: string
+ *                             skillName:
+ *                               type: string
+ *                             proficiency:
+ *                               type: string
+ *                 missing:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       requiredSkillID:
+ *                         type: integer
+ *                       skillName:
+ *                         type: string
+ *                       proficiency:
+ *                         type: string
+ *                       belowLevel:
+ *                         type: array
+ *                         description: Members who have the skill, but below the required proficiency.
+ *                         items:
+ *                           type: object
+ *       403:
+ *         description: Forbidden - You are not a member of this project.
+ *       404:
+ *         description: Not Found - Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/required-skills/coverage', async (req, res) => {
+    try {
+        const project = await Project.findByPk(req.params.projectID);
+        if (!project) {
+            return res.status(404).json({ message: "Project not found" });
+        }
+        const userID = req.user.userID;
+        const hasTask = await Task.findOne({ where: { projectID: project.projectID, userID } });
+        if (!hasTask && !(await getMemberRole(project, userID))) {
+            return res.status(403).json({ message: "You are not a member of this project" });
+        }
+
+        const requiredSkills = await ProjectRequiredSkill.findAll({ where: { projectID: project.projectID }, order: [['id', 'ASC']] });
+        const memberships = await ProjectMember.findAll({ where: { projectID: project.projectID }, attributes: ['userID'] });
+        const assignees = await Task.findAll({ where: { projectID: project.projectID }, attributes: ['userID'] });
+        const memberIDs = [...new Set([project.creatorID, ...memberships.map(m => m.userID), ...assignees.map(t => t.userID).filter(Boolean)])];
+        const users = await User.findAll({ where: { userID: { [Op.in]: memberIDs } }, attributes: ['userID', 'userName'] });
+        const memberSkills = await Skill.findAll({
+            where: { userID: { [Op.in]: memberIDs } },
+            attributes: ['userID', 'skillName', 'skillCatalogID', 'proficiency']
+        });
+
+        const covered = [];
+        const missing = [];
+        for (const required of requiredSkills) {
+            const entry = { requiredSkillID: required.id, skillName: required.skillName, proficiency: required.proficiency };
+            const holders = memberSkills.filter(s => sameSkill(s, required)).map(s => ({
+                userID: s.userID,
+                userName: users.find(u => u.userID === s.userID).userName,
+                skillName: s.skillName,
+                proficiency: s.proficiency
+            }));
+            const coveredBy = holders.filter(h => meetsProficiency(h.proficiency, required.proficiency));
+            if (coveredBy.length) {
+                covered.push({ ...entry, coveredBy });
+            } else {
+                missing.push({ ...entry, belowLevel: holders });
+            }
+        }
+        res.status(200).json({
+            coverage: requiredSkills.length ? Math.round(covered.length * 100 / requiredSkills.length) : 100,
+            covered,
+            missing
+        });
+    } catch (err) {
+        console.error("Error getting required skill coverage:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/project/{projectID}/required-skills/{requiredSkillID}:
+ *   put:
+ *     tags:
+ *       - Project Controller
+ *     summary: Edit a skill the project requires
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *       - in: path
+ *         name: requiredSkillID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the required skill.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               skillName:
+ *                 type: string
+ *                 description: The new name of the skill.
+ *               proficiency:
+ *                 type: string
+ *                 enum: [beginner, intermediate, advanced, expert]
+ *                 description: The new expected proficiency.
+ *     responses:
+ *       200:
+ *         description: Required skill updated successfully
+ *       400:
+ *         description: Bad Request - Empty skill name or invalid proficiency.
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
+ *       404:
+ *         description: Not Found - Project or required skill not found.
+ *       409:
+ *         description: Conflict - The project already requires a skill with this name.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/required-skills/:requiredSkillID', projectOwnerMiddleware(), async (req, res) => {
+    try {
+        const { skillName, proficiency } = req.body;
+        const requiredSkill = await ProjectRequiredSkill.findOne({
+            where: { id: req.params.requiredSkillID, projectID: req.project.projectID }
+        });
+        if (!requiredSkill) {
+            return res.status(404).json({ message: "Required skill not found" });
+        }
+        if (skillName !== undefined && (!skillName || !skillName.trim())) {
+            return res.status(400).json({ message: "Skill name cannot be empty" });
+        }
+        if (proficiency !== undefined && !PROFICIENCY_LEVELS.includes(proficiency)) {
+            return res.status(400).json({ message: `Proficiency must be one of ${PROFICIENCY_LEVELS.join(', ')}` });
+        }
+        if (skillName) {
+            const catalogSkill = await resolveCatalogSkill(skillName);
+            if (await findSameSkill(req.project.projectID, catalogSkill.skillCatalogID, requiredSkill.id)) {
+                return res.status(409).json({ message: "The project already requires this skill" });
+            }
+            requiredSkill.set({ skillName: catalogSkill.name, skillCatalogID: catalogSkill.skillCatalogID });
+        }
+        if (proficiency) {
+            requiredSkill.set({ proficiency });
+        }
+        await requiredSkill.save();
+        res.status(200).json(requiredSkill);
+    } catch (err) {
+        console.error("Error updating required skill:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/project/{projectID}/required-skills/{requiredSkillID}:
+ *   delete:
+ *     tags:
+ *       - Project Controller
+ *     summary: Remove a skill the project requires
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *       - in: path
+ *         name: requiredSkillID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the required skill.
+ *     responses:
+ *       204:
+ *         description: Required skill removed successfully
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
+ *       404:
+ *         description: Not Found - Project or required skill not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete('/required-skills/:requiredSkillID', projectOwnerMiddleware(), async (req, res) => {
+    try {
+        const removed = await ProjectRequiredSkill.destroy({
+            where: { id: req.params.requiredSkillID, projectID: req.project.projectID }
+        });
+        if (!removed) {
+            return res.status(404).json({ message: "Required skill not found" });
+        }
+        res.status(204).end();
+    } catch (err) {
+        console.error("Error removing required skill:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+module.exports = router;
@@ -1,20 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const ProjectMaterial = require('../models/project_material');
-const Material = require('../models/material');
+const Material = require('../models/Material');
 const Project = require('../models/Project');
+const ItemCatalog = require('../models/ItemCatalog');
+const sequelize = require('../modals/db');
+const { INVENTORIES, takeStock, returnStock, isQuantity, attachProjectItem, removeProjectItem } = require('../utils/inventory');
+const { loadCatalog, convertQuantity, roundQuantity, stockUnit, toStockQuantity } = require('../utils/itemCatalog');
 /*
 const loggingMiddleware = require('../middleware/logMiddleware');
-const authMiddleware = require('../middleware/authMiddleware');
 const errorHandlerMiddleware = require('../middleware/errHandMiddleware');
 const validationMiddleware = require('../middleware/validMiddleware');
-const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
 router.use(loggingMiddleware);
-router.use(authMiddleware);
 router.use(validationMiddleware);
-router.use(rateLimitingMiddleware);
 */
+const authMiddleware = require('../middleware/authMiddleware');
+const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
+const rateLimitConfig = require('../config/rateLimit.config');
+const projectOwnerMiddleware = require('../middleware/projectOwnerMiddleware');
 
+router.use(authMiddleware);
+router.use(rateLimitingMiddleware(rateLimitConfig.api));
+
+
+// The unit the stock of the material is kept in
+const materialUnit = async (material) => {
+    const entry = material.unit || !material.itemCatalogID ? null : await ItemCatalog.findByPk(material.itemCatalogID);
+    return stockUnit(material, entry);
+};
 
 /**@openapi
 # Add Material to Project API
@@ -24,7 +37,7 @@ paths:
       tags:
         - Project Materials Controller
       summary: Add Material to Project
-      description: Add a material to a specific project and update the material quantity.
+      description: Add a material to a specific project and take the quantity used out of the material's stock. Stock never goes below zero, also under concurrent requests. The quantity can be given in any unit of the material's catalog entry (0.5 kg of clay counted in g) and is stored in the material's own unit.
       parameters:
         - in: path
           name: projectID
@@ -46,9 +59,11 @@ paths:
               type: object
               properties:
                 quantityUsed:
-                  type: integer
-                  minimum: 1
-                  description: The quantity of the material used in the project. Must be greater than zero.
+                  type: number
+                  description: The quantity of the material used in the project, in unit. Must be greater than zero; it is converted to the material's unit and rounded to 6 decimals.
+                unit:
+                  type: string
+                  description: The unit of quantityUsed, one of the units of the material's catalog entry. Defaults to the material's unit.
       responses:
         '200':
           description: Material added to project successfully.
@@ -67,58 +82,50 @@ paths:
                     type: integer
                     description: The ID of the material.
                   quantityUsed:
-                    type: integer
-                    description: The quantity of the material used in the project.
+                    type: number
+                    description: The quantity of the material used in the project, in the material's unit.
+                  unit:
+                    type: string
+                    description: The unit of the material.
         '400':
-          description: Bad Request - Invalid quantity or insufficient quantity of the material available.
+          description: Bad Request - Invalid quantity, a unit the material cannot be measured in, or insufficient quantity of the material available.
         '404':
           description: Not Found - Project or material not found.
         '500':
           description: Internal Server Error - Something went wrong on the server side.
 
  */
-router.post('/:projectID/materials/add/:materialID', async (req, res) => {
+router.post('/:projectID/materials/add/:materialID', projectOwnerMiddleware(), async (req, res) => {
     try {
-        const { projectID, materialID } = req.params;
-        const { quantityUsed } = req.body;
-
-        const project = await Project.findByPk(projectID);
-        const material = await Material.findByPk(materialID);
+        const { unit } = req.body;
+        const projectID = req.project.projectID;
 
-        if (!project || !material) {
+        const material = await Material.findByPk(req.params.materialID);
+        if (!material) {
             return res.status(404).json({ message: 'Project or material not found' });
         }
-
-        if (quantityUsed <= 0) {
-            return res.status(400).json({ message: 'Quantity used must be greater than zero' });
+        if (material.userID !== req.user.userID) {
+            return res.status(403).json({ message: 'Materials of other users are added with a share request' });
         }
 
-        // Check if there is an existing entry in project_material
-        let projectMaterial = await ProjectMaterial.findOne({
-            where: { projectID: projectID, materialID: materialID },
-        });
+        const { quantity: quantityUsed, error } = await toStockQuantity(material, req.body.quantityUsed, unit);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        if (!isQuantity(INVENTORIES.material, quantityUsed)) {
+            return res.status(400).json({ message: 'Quantity used must be a number greater than zero with at most 6 decimals' });
+        }
 
+        const projectMaterial = await sequelize.transaction((transaction) =>
+            attachProjectItem(INVENTORIES.material, projectID, material.materialID, quantityUsed, transaction));
         if (!projectMaterial) {
-            // Create a new entry in project_material if it doesn't exist
-            projectMaterial = await ProjectMaterial.create({
-                projectID: projectID,
-                materialID: materialID,
-                quantityUsed: quantityUsed,
-            });
-        } else {
-            // Update the quantity used in the existing project_material entry
-            const updatedQuantity = projectMaterial.quantityUsed + quantityUsed;
-            projectMaterial.quantityUsed = updatedQuantity;
-            await projectMaterial.save();
+            return res.status(400).json({ message: 'Insufficient quantity of the material available' });
         }
 
-        // Update the quantity in the Material model
-        const updatedQuantity = material.quantity - quantityUsed;
-        await material.update({ quantity: updatedQuantity });
-
-        res.status(200).json(projectMaterial);
-    } catch (error) {
-        res.status(500).json({ message: error.message });
+        res.status(200).json({ ...projectMaterial.toJSON(), unit: await materialUnit(material) });
+    } catch (err) {
+        console.error("Error adding material to project:", err);
+        res.status(500).json({ message: "Internal server error" });
     }
 });
 
@@ -130,6 +137,7 @@ router.post('/:projectID/materials/add/:materialID', async (req, res) => {
     *     tags:
     *       - Project Materials
 *     summary: Edit Material Quantity in Project
+*     description: Takes the extra quantity out of the material's stock, or puts back what is no longer used. Stock never goes below zero, also under concurrent requests. The quantity can be given in any unit of the material's catalog entry.
 *     parameters:
 *       - in: path
 *         name: projectID
@@ -151,9 +159,11 @@ router.post('/:projectID/materials/add/:materialID', async (req, res) => {
     *             type: object
 *             properties:
 *               quantityUsed:
-    *                 type: integer
-*                 minimum: 1
-*                 description: The new quantity of the material used in the project.
+    *                 type: number
+*                 description: The new quantity of the material used in the project, in unit. It is converted to the material's unit and rounded to 6 decimals.
+*               unit:
+*                 type: string
+*                 description: The unit of quantityUsed, one of the units of the material's catalog entry. Defaults to the material's unit.
 *     responses:
 *       200:
 *         description: Material quantity updated in project successfully.
@@ -172,48 +182,65 @@ router.post('/:projectID/materials/add/:materialID', async (req, res) => {
 *                   type: integer
 *                   description: The ID of the material.
 *                 quantityUsed:
-*                   type: integer
-*                   description: The updated quantity of the material used in the project.
+*                   type: number
+*                   description: The updated quantity of the material used in the project, in the material's unit.
+*                 unit:
+*                   type: string
+*                   description: The unit of the material.
 *       400:
-*         description: Bad Request - Invalid quantity or insufficient quantity of the material available.
+*         description: Bad Request - Invalid quantity, a unit the material cannot be measured in, or insufficient quantity of the material available.
 *       404:
 *         description: Not Found - Project material or material not found.
 *       500:
 *         description: Internal Server Error - Something went wrong on the server side.
 */
 // Edit Material in Project API
-router.put('/:projectID/materials/edit/:materialID', async (req, res) => {
+router.put('/:projectID/materials/edit/:materialID', projectOwnerMiddleware(), async (req, res) => {
     try {
-        const { projectID, materialID } = req.params;
-        const { quantityUsed } = req.body;
-        const projectMaterial = await ProjectMaterial.findOne({
-            where: { projectID: projectID, materialID: materialID },
-        });
-        if (!projectMaterial) {
-            return res.status(404).json({ message: 'Project material not found' });
-        }
+        const { materialID } = req.params;
         const material = await Material.findByPk(materialID);
         if (!material) {
             return res.status(404).json({ message: 'Material not found' });
         }
-        const quantityDifference = quantityUsed - projectMaterial.quantityUsed;
-        if (quantityDifference < 0) {
-            const updatedQuantity = material.quantity + Math.abs(quantityDifference);
-            await material.update({ quantity: updatedQuantity });
+        const { quantity: quantityUsed, error } = await toStockQuantity(material, req.body.quantityUsed, req.body.unit);
+        if (error) {
+            return res.status(400).json({ message: error });
         }
-        else if (quantityDifference > 0 && quantityDifference <= material.quantity) {
-            const updatedQuantity = material.quantity - quantityDifference
-            await material.update({ quantity: updatedQuantity });
+        if (!isQuantity(INVENTORIES.material, quantityUsed)) {
+            return res.status(400).json({ message: 'Quantity used must be a number greater than zero with at most 6 decimals' });
         }
-        else {
-            return res.status(400).json({ message: 'Insufficient quantity of the material available' });
+        const result = await sequelize.transaction(async (transaction) => {
+            // Lock the entry so concurrent edits each see the quantity the previous one left
+            const projectMaterial = await ProjectMaterial.findOne({
+                where: { projectID: req.project.projectID, materialID: material.materialID },
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (!projectMaterial) {
+                return { error: { status: 404, message: 'Project material not found' } };
+            }
+            const quantityDifference = roundQuantity(quantityUsed - projectMaterial.quantityUsed);
+            // Material shared by another user can only be given back; more of it takes a new share request
+            if (quantityDifference > 0 && material.userID !== req.user.userID) {
+                return { error: { status: 403, message: 'Ask the owner for more of this material with a share request' } };
+            }
+            if (quantityDifference > 0 && !(await takeStock(Material, material.materialID, quantityDifference, transaction))) {
+                return { error: { status: 400, message: 'Insufficient quantity of the material available' } };
+            }
+            if (quantityDifference < 0) {
+                await returnStock(Material, material.materialID, -quantityDifference, transaction);
+            }
+            await projectMaterial.update({ quantityUsed }, { transaction });
+            return { projectMaterial };
+        });
+        if (result.error) {
+            return res.status(result.error.status).json({ message: result.error.message });
         }
 
-        await projectMaterial.update({ quantityUsed: quantityUsed });
-
-        res.status(200).json(projectMaterial);
-    } catch (error) {
-        res.status(500).json({ message: error.message });
+        res.status(200).json({ ...result.projectMaterial.toJSON(), unit: await materialUnit(material) });
+    } catch (err) {
+        console.error("Error editing project material:", err);
+        res.status(500).json({ message: "Internal server error" });
     }
 });
 
@@ -255,8 +282,24 @@ router.put('/:projectID/materials/edit/:materialID', async (req, res) => {
  *                     type: integer
  *                     description: The ID of the user associated with the material.
  *                   quantityUsed:
- *                     type: integer
- *                     description: The quantity of the material used in the project.
+ *                     type: number
+ *                     description: The quantity of the material used in the project, in unit.
+ *                   unit:
+ *                     type: string
+ *                     description: The unit of the material.
+ *                   catalog:
+ *                     type: object
+ *                     nullable: true
+ *                     description: The catalog entry of the material, with the quantity used in its default unit, so materials of different owners compare.
+ *                     properties:
+ *                       itemCatalogID:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       defaultUnit:
+ *                         type: string
+ *                       quantityUsed:
+ *                         type: number
  *       '404':
  *         description: Not Found - Project materials not found.
  *       '500':
@@ -270,20 +313,30 @@ router.get('/:projectID/materials/get', async (req, res) => {
         const projectMaterials = await ProjectMaterial.findAll({
             where: { projectID: projectID },
         });
-        const materialDetails = await Promise.all(
-            projectMaterials.map(async (pm) => {
-                const material = await Material.findByPk(pm.materialID, {
-                    attributes: ['materialName', 'cost', 'materialID', 'userID'],
-                });
-                return {
-                    materialName: material.materialName,
-                    cost: material.cost,
-                    materialID: material.materialID,
-                    userID: material.userID,
-                    quantityUsed: pm.quantityUsed,
-                };
-            })
-        );
+        const materials = await Material.findAll({
+            where: { materialID: projectMaterials.map(pm => pm.materialID) },
+            attributes: ['materialName', 'cost', 'materialID', 'userID', 'itemCatalogID', 'unit'],
+        });
+        const catalog = await loadCatalog(materials.map(m => m.itemCatalogID).filter(Boolean));
+        const materialDetails = projectMaterials.map((pm) => {
+            const material = materials.find(m => m.materialID === pm.materialID);
+            const { entry, factors } = catalog.get(material.itemCatalogID) || {};
+            const unit = stockUnit(material, entry);
+            return {
+                materialName: material.materialName,
+                cost: material.cost,
+                materialID: material.materialID,
+                userID: material.userID,
+                quantityUsed: pm.quantityUsed,
+                unit,
+                catalog: entry ? {
+                    itemCatalogID: entry.itemCatalogID,
+                    name: entry.name,
+                    defaultUnit: entry.defaultUnit,
+                    quantityUsed: convertQuantity(factors, pm.quantityUsed, unit, entry.defaultUnit)
+                } : null
+            };
+        });
         res.status(200).json(materialDetails);
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -297,7 +350,7 @@ router.get('/:projectID/materials/get', async (req, res) => {
  *     tags:
  *       - Project Materials Controller
  *     summary: Delete Material from Project
- *     description: Delete a material from a specific project.
+ *     description: Delete a material from a specific project and put the quantity it used back in the material's stock.
  *     parameters:
  *       - in: path
  *         name: projectID
@@ -322,24 +375,25 @@ router.get('/:projectID/materials/get', async (req, res) => {
  *                 message:
  *                   type: string
  *                   description: Confirmation message indicating successful deletion.
+ *                 quantityReturned:
+ *                   type: integer
+ *                   description: The quantity put back in the material's stock.
  *       '404':
  *         description: Not Found - Project material not found.
  *       '500':
  *         description: Internal Server Error - Failed to delete project material.
  */
-router.delete('/:projectID/materials/delete/:materialID', async (req, res) => {
+router.delete('/:projectID/materials/delete/:materialID', projectOwnerMiddleware(), async (req, res) => {
     try {
-        const { projectID, materialID } = req.params;
-        const projectMaterial = await ProjectMaterial.findOne({
-            where: { projectID: projectID, materialID: materialID },
-        });
-        if (!projectMaterial) {
+        const returned = await sequelize.transaction((transaction) =>
+            removeProjectItem(INVENTORIES.material, req.project.projectID, req.params.materialID, transaction));
+        if (returned === null) {
             return res.status(404).json({ message: 'Project material not found' });
         }
-        await projectMaterial.destroy();
-        res.status(200).json({ message: 'Project material deleted successfully' });
-    } catch (error) {
-        res.status(500).json({ message: error.message });
+        res.status(200).json({ message: 'Project material deleted successfully', quantityReturned: returned });
+    } catch (err) {
+        console.error("Error deleting project material:", err);
+        res.status(500).json({ message: "Internal server error" });
     }
 });
 //router.use(errorHandlerMiddleware);
@@ -1,20 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const ProjectTool = require('../models/project_tool');
-const Tool = require('../models/tool');
-const Project = require('../models/project');
+const Tool = require('../models/Tool');
+const Project = require('../models/Project');
+const sequelize = require('../modals/db');
+const { Op } = require('sequelize');
+const ToolLoan = require('../models/ToolLoan');
+const { ACTIVE_LOAN_STATUSES, INVENTORIES, takeUnits, isQuantity, attachProjectItem, removeProjectItem } = require('../utils/inventory');
 /*
 const loggingMiddleware = require('../middleware/logMiddleware');
-const authMiddleware = require('../middleware/authMiddleware');
 const errorHandlerMiddleware = require('../middleware/errHandMiddleware');
 const validationMiddleware = require('../middleware/validMiddleware');
-const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
 
 router.use(loggingMiddleware);
-router.use(authMiddleware);
 router.use(validationMiddleware);
-router.use(rateLimitingMiddleware);
 */
+const authMiddleware = require('../middleware/authMiddleware');
+const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
+const rateLimitConfig = require('../config/rateLimit.config');
+const projectOwnerMiddleware = require('../middleware/projectOwnerMiddleware');
+
+router.use(authMiddleware);
+router.use(rateLimitingMiddleware(rateLimitConfig.api));
 /**
  * @openapi
  * /api/projects/{projectID}/tools/add/{toolID}:
@@ -22,6 +29,7 @@ router.use(rateLimitingMiddleware);
  *     tags:
  *       - Project Tools
  *     summary: Add Tool to Project
+ *     description: Sets the quantity used aside from the tool's available units, which are its totalQuantity less what projects use and active loans hold. Never more than is available is set aside, also under concurrent requests. Only your own tools can be added; tools of other users are borrowed through /api/tool/loans.
  *     parameters:
  *       - in: path
  *         name: projectID
@@ -68,39 +76,37 @@ router.use(rateLimitingMiddleware);
  *                   description: The quantity of the tool used in the project.
  *       400:
  *         description: Bad Request - Invalid quantity or insufficient quantity of the tool available.
+ *       403:
+ *         description: Forbidden - The tool belongs to another user.
  *       404:
  *         description: Not Found - Project or tool not found.
  *       500:
  *         description: Internal Server Error - Something went wrong on the server side.
  */
 // Add Tool to Project
-router.post('/:projectID/tools/add/:toolID', async (req, res) => {
+router.post('/:projectID/tools/add/:toolID', projectOwnerMiddleware(), async (req, res) => {
     try {
-        const { projectID, toolID } = req.params;
         const { quantityUsed } = req.body;
-        const project = await Project.findByPk(projectID);
-        const tool = await Tool.findByPk(toolID);
-        if (!project || !tool) {
+        const projectID = req.project.projectID;
+        const tool = await Tool.findByPk(req.params.toolID);
+        if (!tool) {
             return res.status(404).json({ message: 'Project or tool not found' });
         }
-        if (quantityUsed <= 0) {
-            return res.status(400).json({ message: 'Quantity used must be greater than zero' });
+        if (tool.userID !== req.user.userID) {
+            return res.status(403).json({ message: 'Tools of other users are borrowed with a loan request' });
+        }
+        if (!isQuantity(INVENTORIES.tool, quantityUsed)) {
+            return res.status(400).json({ message: 'Quantity used must be a whole number greater than zero' });
         }
-        if (quantityUsed > tool.quantity) {
+        const projectTool = await sequelize.transaction((transaction) =>
+            attachProjectItem(INVENTORIES.tool, projectID, tool.toolID, quantityUsed, transaction));
+        if (!projectTool) {
             return res.status(400).json({ message: 'Insufficient quantity of the tool available' });
         }
-        // Update the quantity in the Tool model
-        const updatedQuantity = tool.quantity - quantityUsed;
-        await tool.update({ quantity: updatedQuantity });
-        // Create the ProjectTool entry
-        const projectTool = await ProjectTool.create({
-            projectID: projectID,
-            toolID: toolID,
-            quantityUsed: quantityUsed,
-        });
         res.status(200).json(projectTool);
-    } catch (error) {
-        res.status(500).json({ message: error.message });
+    } catch (err) {
+        console.error("Error adding tool to project:", err);
+        res.status(500).json({ message: "Internal server error" });
     }
 });
 
@@ -111,6 +117,7 @@ router.post('/:projectID/tools/add/:toolID', async (req, res) => {
  *     tags:
  *       - Project Tools
  *     summary: Edit Tool Quantity in Project
+ *     description: Sets the extra quantity aside from the tool's available units, or frees what is no longer used.
  *     parameters:
  *       - in: path
  *         name: projectID
@@ -164,48 +171,45 @@ router.post('/:projectID/tools/add/:toolID', async (req, res) => {
  */
 
 // Edit Tool in Project API
-router.put('/:projectID/tools/edit/:toolID', async (req, res) => {
+router.put('/:projectID/tools/edit/:toolID', projectOwnerMiddleware(), async (req, res) => {
     try {
-        const { projectID, toolID } = req.params;
         const { quantityUsed } = req.body;
-
-        // Find the project tool
-        const projectTool = await ProjectTool.findOne({
-            where: { projectID: projectID, toolID: toolID },
-        });
-
-        if (!projectTool) {
-            return res.status(404).json({ message: 'Project tool not found' });
+        if (!isQuantity(INVENTORIES.tool, quantityUsed)) {
+            return res.status(400).json({ message: 'Quantity used must be a whole number greater than zero' });
         }
-
-        // Get the associated tool
-        const tool = await Tool.findByPk(toolID);
-
+        const tool = await Tool.findByPk(req.params.toolID);
         if (!tool) {
             return res.status(404).json({ message: 'Tool not found' });
         }
-
-        // Calculate the difference in quantity
-        const quantityDifference = quantityUsed - projectTool.quantityUsed;
-
-        // Check if the new quantity used is less than the previous one
-        if (quantityDifference < 0) {
-            const updatedQuantity = tool.quantity + Math.abs(quantityDifference);
-            await tool.update({ quantity: updatedQuantity });
-        } else if (quantityDifference > 0 && quantityDifference <= tool.quantity) {
-            // Check if the new quantity used is more than the previous one but within the available quantity of the tool
-            const updatedQuantity = tool.quantity - quantityDifference;
-            await tool.update({ quantity: updatedQuantity });
-        } else {
-            return res.status(400).json({ message: 'Insufficient quantity of the tool available' });
+        const result = await sequelize.transaction(async (transaction) => {
+            // Lock the entry so concurrent edits each see the quantity the previous one left
+            const projectTool = await ProjectTool.findOne({
+                where: { projectID: req.project.projectID, toolID: tool.toolID },
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (!projectTool) {
+                return { error: { status: 404, message: 'Project tool not found' } };
+            }
+            const quantityDifference = quantityUsed - projectTool.quantityUsed;
+            // Tools of other users added before loans existed can only be given back
+            if (quantityDifference > 0 && tool.userID !== req.user.userID) {
+                return { error: { status: 403, message: 'Tools of other users are borrowed with a loan request' } };
+            }
+            if (quantityDifference > 0 && !(await takeUnits(INVENTORIES.tool, tool.toolID, quantityDifference, transaction))) {
+                return { error: { status: 400, message: 'Insufficient quantity of the tool available' } };
+            }
+            // Update the quantity used in the project tool
+            await projectTool.update({ quantityUsed }, { transaction });
+            return { projectTool };
+        });
+        if (result.error) {
+            return res.status(result.error.status).json({ message: result.error.message });
         }
-
-        // Update the quantity used in the project tool
-        await projectTool.update({ quantityUsed: quantityUsed });
-
-        res.status(200).json(projectTool);
-    } catch (error) {
-        res.status(500).json({ message: error.message });
+        res.status(200).json(result.projectTool);
+    } catch (err) {
+        console.error("Error editing project tool:", err);
+        res.status(500).json({ message: "Internal server error" });
     }
 });
 /**
@@ -215,7 +219,7 @@ router.put('/:projectID/tools/edit/:toolID', async (req, res) => {
  *     tags:
  *       - Project Tools Controller
  *     summary: Delete Tool from Project
- *     description: Delete a tool from a specific project.
+ *     description: Delete a tool from a specific project and free the quantity it used.
  *     parameters:
  *       - in: path
  *         name: projectID
@@ -240,6 +244,9 @@ router.put('/:projectID/tools/edit/:toolID', async (req, res) => {
  *                 message:
  *                   type: string
  *                   description: Confirmation message indicating successful deletion.
+ *                 quantityReturned:
+ *                   type: integer
+ *                   description: The quantity of the tool freed.
  *       '404':
  *         description: Not Found - Project tool not found.
  *       '500':
@@ -247,19 +254,17 @@ router.put('/:projectID/tools/edit/:toolID', async (req, res) => {
  */
 
 // Delete Tool from Project API
-router.delete('/:projectID/tools/delete/:toolID', async (req, res) => {
+router.delete('/:projectID/tools/delete/:toolID', projectOwnerMiddleware(), async (req, res) => {
     try {
-        const { projectID, toolID } = req.params;
-        const projectTool = await ProjectTool.findOne({
-            where: { projectID: projectID, toolID: toolID },
-        });
-        if (!projectTool) {
+        const returned = await sequelize.transaction((transaction) =>
+            removeProjectItem(INVENTORIES.tool, req.project.projectID, req.params.toolID, transaction));
+        if (returned === null) {
             return res.status(404).json({ message: 'Project tool not found' });
         }
-        await projectTool.destroy();
-        res.status(200).json({ message: 'Project tool deleted successfully' });
-    } catch (error) {
-        res.status(500).json({ message: error.message });
+        res.status(200).json({ message: 'Project tool deleted successfully', quantityReturned: returned });
+    } catch (err) {
+        console.error("Error deleting project tool:", err);
+        res.status(500).json({ message: "Internal server error" });
     }
 });
 
@@ -303,6 +308,9 @@ router.delete('/:projectID/tools/delete/:toolID', async (req, res) => {
  *                   quantityUsed:
  *                     type: integer
  *                     description: The quantity of the tool used in the project.
+ *                   loan:
+ *                     type: object
+ *                     description: For tools borrowed for the project, the approved or checked out loan (loanID, status, dueDate, borrowerID).
  *       '400':
  *         description: Bad Request - Missing project ID or invalid data format.
  *       '404':
@@ -335,7 +343,28 @@ router.get('/:projectID/tools/get', async (req, res) => {
             })
         );
 
-        res.status(200).json(toolDetails);
+        // Tools borrowed for the project are part of it once the owner approved the loan
+        const loans = await ToolLoan.findAll({
+            where: { projectID, status: { [Op.in]: ACTIVE_LOAN_STATUSES } },
+            order: [['loanID', 'ASC']]
+        });
+        const borrowed = await Promise.all(
+            loans.map(async (loan) => {
+                const tool = await Tool.findByPk(loan.toolID, {
+                    attributes: ['toolName', 'cost', 'toolID', 'userID'],
+                });
+                return {
+                    toolName: tool.toolName,
+                    cost: tool.cost,
+                    toolID: tool.toolID,
+                    userID: tool.userID,
+                    quantityUsed: loan.quantity,
+                    loan: { loanID: loan.loanID, status: loan.status, dueDate: loan.dueDate, borrowerID: loan.borrowerID },
+                };
+            })
+        );
+
+        res.status(200).json([...toolDetails, ...borrowed]);
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
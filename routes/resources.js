@@ -0,0 +1,296 @@
+const express = require('express');
+const router = express.Router();
+const { Op, fn, col, literal } = require('sequelize');
+const sequelize = require('../modals/db');
+const User = require('../models/User');
+const ItemCatalog = require('../models/ItemCatalog');
+const { INVENTORIES, availableSQL } = require('../utils/inventory');
+const { loadCatalog, stockUnit } = require('../utils/itemCatalog');
+const authMiddleware = require('../middleware/authMiddleware');
+const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
+const rateLimitConfig = require('../config/rateLimit.config');
+
+router.use(authMiddleware);
+router.use(rateLimitingMiddleware(rateLimitConfig.api));
+
+const PUBLIC_OWNER_ATTRIBUTES = ['userID', 'userName', 'location'];
+
+/**
+ * @openapi
+ * /api/resources/search:
+ *   get:
+ *     tags:
+ *       - Resource Controller
+ *     summary: Browse the tools and materials other users can share
+ *     description: Searches the items of every user but you and suspended users, sorted by name. Tools are borrowed with POST /api/tool/loans, materials requested with POST /api/material/requests.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Only return items whose name contains this text.
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [tool, material]
+ *         description: Only return this kind of item.
+ *       - in: query
+ *         name: itemCatalogID
+ *         schema:
+ *           type: integer
+ *         description: Only return items of this catalog entry, whatever their owners named them.
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [textile crafts, paper crafts, wood crafts, metal crafts, ceramics and pottery, glass crafts, jewelry making, mixed media crafts]
+ *         description: Only return items whose catalog entry has this project category.
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Only return items of owners in this location (case-insensitive).
+ *       - in: query
+ *         name: minAvailable
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Only return items with at least this many units available; 1 leaves out everything in use or on loan.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 resources:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kind:
+ *                         type: string
+ *                         enum: [tool, material]
+ *                       itemID:
+ *                         type: integer
+ *                         description: The toolID or materialID.
+ *                       name:
+ *                         type: string
+ *                       available:
+ *                         type: number
+ *                       totalQuantity:
+ *                         type: number
+ *                       unit:
+ *                         type: string
+ *                         description: The unit available and totalQuantity are counted in.
+ *                       itemCatalogID:
+ *                         type: integer
+ *                         nullable: true
+ *                       category:
+ *                         type: string
+ *                         nullable: true
+ *                       cost:
+ *                         type: integer
+ *                       owner:
+ *                         type: object
+ *                         properties:
+ *                           userID:
+ *                             type: integer
+ *                           userName:
+ *                             type: string
+ *                           location:
+ *                             type: string
+ *       400:
+ *         description: Bad Request - Unknown kind, or invalid minAvailable, limit or offset.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/search', async (req, res) => {
+    try {
+        const { q, kind, category, location } = req.query;
+        const itemCatalogID = req.query.itemCatalogID === undefined ? undefined : Number(req.query.itemCatalogID);
+        const minAvailable = req.query.minAvailable === undefined ? 0 : Number(req.query.minAvailable);
+        if (kind !== undefined && !INVENTORIES[kind]) {
+            return res.status(400).json({ message: "kind must be tool or material" });
+        }
+        if (!Number.isInteger(minAvailable) || minAvailable < 0) {
+            return res.status(400).json({ message: "minAvailable must be a whole number of at least zero" });
+        }
+        if (itemCatalogID !== undefined && !Number.isInteger(itemCatalogID)) {
+            return res.status(400).json({ message: "itemCatalogID must be a whole number" });
+        }
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            return res.status(400).json({ message: "limit must be a whole number from 1 to 100" });
+        }
+        const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+        if (!Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({ message: "offset must be a whole number of at least zero" });
+        }
+
+        // Owners whose items are listed: anybody else who is not suspended, in the location when one is given
+        const inLocation = location ? ` AND LOWER(TRIM(u.location)) = ${sequelize.escape(location.trim().toLowerCase())}` : '';
+        const owners = literal(`(SELECT u.userID FROM user AS u WHERE u.isSuspended = false${inLocation})`);
+
+        // Each kind is sorted and cut in SQL to the first offset + limit items, which hold every item of the page
+        let total = 0;
+        const resources = [];
+        for (const [name, inventory] of Object.entries(INVENTORIES)) {
+            if (kind && kind !== name) {
+                continue;
+            }
+            const available = literal(availableSQL(inventory));
+            const where = {
+                userID: { [Op.in]: owners, [Op.ne]: req.user.userID },
+                [Op.and]: [sequelize.where(available, { [Op.gte]: minAvailable })]
+            };
+            if (q) {
+                where[inventory.nameColumn] = { [Op.substring]: q };
+            }
+            if (itemCatalogID !== undefined) {
+                where.itemCatalogID = itemCatalogID;
+            }
+            if (category) {
+                where[Op.and].push({ itemCatalogID: { [Op.in]: literal(`(SELECT c.itemCatalogID FROM item_catalog AS c WHERE c.category = ${sequelize.escape(category)})`) } });
+            }
+            total += await inventory.Model.count({ where });
+            const items = await inventory.Model.findAll({
+                where,
+                attributes: [inventory.key, inventory.nameColumn, [available, 'available'], 'totalQuantity', 'cost', 'userID', 'itemCatalogID', ...(inventory.Model.rawAttributes.unit ? ['unit'] : [])],
+                order: [[fn('LOWER', col(inventory.nameColumn)), 'ASC'], [inventory.key, 'ASC']],
+                limit: offset + limit
+            });
+            resources.push(...items.map(item => ({
+                kind: name,
+                itemID: item[inventory.key],
+                name: item[inventory.nameColumn],
+                available: Math.max(Number(item.get('available')), 0),
+                totalQuantity: item.totalQuantity,
+                cost: item.cost,
+                userID: item.userID,
+                item
+            })));
+        }
+        resources.sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()) || a.kind.localeCompare(b.kind) || a.itemID - b.itemID);
+
+        const page = resources.slice(offset, offset + limit);
+        const users = await User.findAll({
+            where: { userID: { [Op.in]: [...new Set(page.map(r => r.userID))] } },
+            attributes: PUBLIC_OWNER_ATTRIBUTES
+        });
+        const catalog = await loadCatalog([...new Set(page.map(r => r.item.itemCatalogID).filter(Boolean))]);
+        res.status(200).json({
+            total,
+            resources: page.map(({ userID, item, ...resource }) => {
+                const { entry } = catalog.get(item.itemCatalogID) || {};
+                return {
+                    ...resource,
+                    unit: stockUnit(item, entry),
+                    itemCatalogID: item.itemCatalogID,
+                    category: entry ? entry.category : null,
+                    owner: users.find(u => u.userID === userID) || null
+                };
+            })
+        });
+    } catch (err) {
+        console.error("Error searching resources:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/resources/catalog:
+ *   get:
+ *     tags:
+ *       - Resource Controller
+ *     summary: Browse the catalog of material and tool types
+ *     description: Every material and tool users keep links to one of these entries. Quantities of an entry can be given in its default unit or any of its other units.
+ *     parameters:
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [tool, material]
+ *         description: Only return this kind of entry.
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [textile crafts, paper crafts, wood crafts, metal crafts, ceramics and pottery, glass crafts, jewelry making, mixed media crafts]
+ *         description: Only return entries of this project category.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   itemCatalogID:
+ *                     type: integer
+ *                   name:
+ *                     type: string
+ *                   kind:
+ *                     type: string
+ *                     enum: [tool, material]
+ *                   category:
+ *                     type: string
+ *                     nullable: true
+ *                   defaultUnit:
+ *                     type: string
+ *                   units:
+ *                     type: object
+ *                     description: Every unit the entry can be measured in, mapped to how many of the default unit one of it is.
+ *                     additionalProperties:
+ *                       type: number
+ *       400:
+ *         description: Bad Request - Unknown kind.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/catalog', async (req, res) => {
+    try {
+        const { kind, category } = req.query;
+        if (kind !== undefined && !INVENTORIES[kind]) {
+            return res.status(400).json({ message: "kind must be tool or material" });
+        }
+        const where = {};
+        if (kind) {
+            where.kind = kind;
+        }
+        if (category) {
+            where.category = category;
+        }
+        const entries = await ItemCatalog.findAll({ where, order: [['kind', 'ASC'], ['name', 'ASC']] });
+        const catalog = await loadCatalog(entries.map(entry => entry.itemCatalogID));
+        res.status(200).json(entries.map(entry => ({
+            ...entry.toJSON(),
+            units: Object.fromEntries(catalog.get(entry.itemCatalogID).factors)
+        })));
+    } catch (err) {
+        console.error("Error getting item catalog:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+module.exports = router;
@@ -1,31 +1,48 @@
 const express = require('express');
 const router = express.Router();
+const { Op, QueryTypes } = require('sequelize');
 const Skill = require('../models/Skill');
 const User = require('../models/User');
+const Project = require('../models/Project');
+const SkillCatalog = require('../models/SkillCatalog');
+const SkillAlias = require('../models/SkillAlias');
+const SkillEndorsement = require('../models/SkillEndorsement');
+const sequelize = require('../modals/db');
+const { PROFICIENCY_LEVELS, MATCH_KINDS, normalizeSkillName, matchSkillName } = require('../utils/skills');
+const { findCatalogSkill, resolveCatalogSkill, catalogNames } = require('../utils/skillCatalog');
+const { hasWorkedOn } = require('../utils/membership');
 /*const loggingMiddleware = require('../middleware/logMiddleware');
-const authMiddleware = require('../middleware/authMiddleware');
 const errorHandlerMiddleware = require('../middleware/errHandMiddleware');
 const validationMiddleware = require('../middleware/validMiddleware');
-const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
 
 router.use(loggingMiddleware);
+router.use(validationMiddleware);*/
+const authMiddleware = require('../middleware/authMiddleware');
+const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
+const rateLimitConfig = require('../config/rateLimit.config');
+const deprecatedParamMiddleware = require('../middleware/deprecatedParamMiddleware');
+
 router.use(authMiddleware);
-router.use(validationMiddleware);
-router.use(rateLimitingMiddleware);*/
+router.use(rateLimitingMiddleware(rateLimitConfig.api));
+
+// Checks the optional proficiency and yearsOfExperience of a request body; resolves to an error message or null
+const checkSkillLevel = ({ proficiency, yearsOfExperience }) => {
+    if (proficiency !== undefined && !PROFICIENCY_LEVELS.includes(proficiency)) {
+        return `Proficiency must be one of ${PROFICIENCY_LEVELS.join(', ')}`;
+    }
+    if (yearsOfExperience !== undefined && (!Number.isInteger(yearsOfExperience) || yearsOfExperience < 0 || yearsOfExperience > 80)) {
+        return "Years of experience must be a whole number between 0 and 80";
+    }
+    return null;
+};
+
 /**
  * @openapi
- * /api/skill/add-skill/{userID}:
+ * /api/skill/add-skill:
  *   post:
  *     tags:
  *       - Skill Controller
  *     summary: Add a skill for a user
- *     parameters:
- *       - in: path
- *         name: userID
- *         required: true
- *         schema:
- *           type: string
- *         description: The ID of the user to add the skill for.
  *     requestBody:
  *       required: true
  *       content:
@@ -37,7 +54,15 @@ router.use(rateLimitingMiddleware);*/
  *             properties:
  *               skillName:
  *                 type: string
- *                 description: The name of the skill to add.
+ *                 description: The name of the skill to add, matched against the skill catalog and its aliases. Unknown names are added to the catalog.
+ *               proficiency:
+ *                 type: string
+ *                 enum: [beginner, intermediate, advanced, expert]
+ *                 default: beginner
+ *                 description: Your own rating of the skill.
+ *               yearsOfExperience:
+ *                 type: integer
+ *                 default: 0
  *     responses:
  *       201:
  *         description: Skill added successfully
@@ -48,32 +73,64 @@ router.use(rateLimitingMiddleware);*/
  *       500:
  *         description: Internal server error.
  */
-router.route('/add-skill/:userID').post(async (req, res) => {
+const addSkill = async (req, res) => {
     try {
         const { skillName } = req.body;
-        const userID = req.params.userID;
+        const userID = req.user.userID;
 
         // Check if required fields are provided
-        if (!skillName) {
+        if (!skillName || !skillName.trim()) {
             return res.status(400).json({ message: "Skill name is required" });
         }
+        const levelError = checkSkillLevel(req.body);
+        if (levelError) {
+            return res.status(400).json({ message: levelError });
+        }
 
-        // Check if skill with the same name already exists for the user
-        const existingSkill = await Skill.findOne({ where: { userID, skillName } });
+        // "knit" and "Knitting" are the same catalog skill
+        const catalogSkill = await resolveCatalogSkill(skillName);
+        const existingSkill = await Skill.findOne({ where: { userID, skillCatalogID: catalogSkill.skillCatalogID } });
         if (existingSkill) {
             return res.status(409).json({ message: "Skill with the same name already exists for this user" });
         }
 
         // Insert skill into the database
-        await Skill.create({ skillName, userID });
+        const skill = await Skill.create({
+            skillName: catalogSkill.name,
+            skillCatalogID: catalogSkill.skillCatalogID,
+            userID,
+            proficiency: req.body.proficiency,
+            yearsOfExperience: req.body.yearsOfExperience
+        });
 
-        res.status(201).json({ message: "Skill added successfully" });
+        res.status(201).json({ message: "Skill added successfully", skill });
 
     } catch (err) {
         console.error("Error adding skill:", err);
         res.status(500).json({ message: "Internal server error" });
     }
-});
+};
+router.post('/add-skill', addSkill);
+/**
+ * @openapi
+ * /api/skill/add-skill/{userID}:
+ *   post:
+ *     tags:
+ *       - Skill Controller
+ *     summary: Add a skill for a user (deprecated alias of /api/skill/add-skill)
+ *     deprecated: true
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Must match the authenticated user.
+ *     responses:
+ *       403:
+ *         description: Forbidden - userID does not match the authenticated user.
+ */
+router.post('/add-skill/:userID', deprecatedParamMiddleware('userID'), addSkill);
 
 /**
  * @openapi
@@ -99,11 +156,18 @@ router.route('/add-skill/:userID').post(async (req, res) => {
  *               skillName:
  *                 type: string
  *                 description: The new name for the skill.
+ *               proficiency:
+ *                 type: string
+ *                 enum: [beginner, intermediate, advanced, expert]
+ *               yearsOfExperience:
+ *                 type: integer
  *     responses:
  *       201:
  *         description: Skill updated successfully
  *       400:
  *         description: Bad Request - Missing required fields or invalid data format.
+ *       403:
+ *         description: Forbidden - The skill is not owned by the authenticated user.
  *       404:
  *         description: Not Found - Skill not found.
  *       409:
@@ -121,17 +185,32 @@ router.route('/edit-skill/:skillID').put(async (req, res) => {
         if (!skill) {
             return res.status(404).json({ message: "Skill not found" });
         }
+        if (skill.userID !== req.user.userID) {
+            return res.status(403).json({ message: "You do not own this skill" });
+        }
+
+        const levelError = checkSkillLevel(req.body);
+        if (levelError) {
+            return res.status(400).json({ message: levelError });
+        }
 
         // Update skill name if provided in the request
         if (skillName) {
             // Check if skill with the new name already exists for the user
-            const existingSkill = await Skill.findOne({ where: { userID: skill.userID, skillName } });
-            if (existingSkill && existingSkill.skillID !== skillID) {
+            const catalogSkill = await resolveCatalogSkill(skillName);
+            const existingSkill = await Skill.findOne({ where: { userID: skill.userID, skillCatalogID: catalogSkill.skillCatalogID } });
+            if (existingSkill && existingSkill.skillID !== skill.skillID) {
                 return res.status(409).json({ message: "Skill with the new name already exists for this user" });
             }
-            // Update skill name
-            await skill.update({ skillName });
+            skill.set({ skillName: catalogSkill.name, skillCatalogID: catalogSkill.skillCatalogID });
+        }
+        if (req.body.proficiency !== undefined) {
+            skill.set({ proficiency: req.body.proficiency });
         }
+        if (req.body.yearsOfExperience !== undefined) {
+            skill.set({ yearsOfExperience: req.body.yearsOfExperience });
+        }
+        await skill.save();
 
         res.status(201).json({ message: "Skill updated successfully" });
 
@@ -171,6 +250,19 @@ router.route('/edit-skill/:skillID').put(async (req, res) => {
  *                   skillName:
  *                     type: string
  *                     description: The name of the skill.
+ *                   skillCatalogID:
+ *                     type: integer
+ *                     description: The catalog entry of the skill.
+ *                   category:
+ *                     type: string
+ *                     description: The project category the skill belongs to, if any.
+ *                   proficiency:
+ *                     type: string
+ *                   yearsOfExperience:
+ *                     type: integer
+ *                   endorsements:
+ *                     type: integer
+ *                     description: How many collaborators endorsed the skill.
  *       404:
  *         description: Not Found - User not found or no skills found for the user.
  *       500:
@@ -185,8 +277,17 @@ router.route('/get-skills/:userID').get(async (req, res) => {
         if (skills.length === 0) {
             return res.status(404).json({ message: "No skills found for the user" });
         }
+        const catalogSkills = await SkillCatalog.findAll({ where: { skillCatalogID: skills.map(s => s.skillCatalogID).filter(Boolean) } });
+        const endorsements = await SkillEndorsement.findAll({ where: { skillID: skills.map(s => s.skillID) }, attributes: ['skillID'] });
 
-        res.status(200).json(skills);
+        res.status(200).json(skills.map(skill => {
+            const catalogSkill = catalogSkills.find(c => c.skillCatalogID === skill.skillCatalogID);
+            return {
+                ...skill.toJSON(),
+                category: catalogSkill ? catalogSkill.category : null,
+                endorsements: endorsements.filter(e => e.skillID === skill.skillID).length
+            };
+        }));
 
     } catch (err) {
         console.error("Error getting skills:", err);
@@ -196,19 +297,13 @@ router.route('/get-skills/:userID').get(async (req, res) => {
 
 /**
  * @openapi
- * /api/skill/delete-skill/{userID}/{skillID}:
+ * /api/skill/delete-skill/{skillID}:
  *   delete:
  *     tags:
  *       - Skill Controller
  *     summary: Delete a specific skill for a user
  *     parameters:
  *       - in: path
- *         name: userID
- *         required: true
- *         schema:
- *           type: integer
- *         description: The ID of the user who owns the skill.
- *       - in: path
  *         name: skillID
  *         required: true
  *         schema:
@@ -217,23 +312,28 @@ router.route('/get-skills/:userID').get(async (req, res) => {
  *     responses:
  *       204:
  *         description: Skill deleted successfully
+ *       403:
+ *         description: Forbidden - The skill is not owned by the authenticated user.
  *       404:
- *         description: Not Found - Skill not found or not owned by the user.
+ *         description: Not Found - Skill not found.
  *       500:
  *         description: Internal server error.
  */
-router.delete('/delete-skill/:userID/:skillID', async (req, res) => {
+const deleteSkill = async (req, res) => {
     try {
-        const userID = req.params.userID;
         const skillID = req.params.skillID;
 
-        // Check if the skill exists and is owned by the user
-        const skill = await Skill.findOne({ where: { skillID, userID } });
+        // Check if the skill exists and is owned by the authenticated user
+        const skill = await Skill.findByPk(skillID);
         if (!skill) {
-            return res.status(404).json({ message: "Skill not found or not owned by the user" });
+            return res.status(404).json({ message: "Skill not found" });
+        }
+        if (skill.userID !== req.user.userID) {
+            return res.status(403).json({ message: "You do not own this skill" });
         }
 
-        // Delete the skill
+        // Delete the skill and the endorsements it received
+        await SkillEndorsement.destroy({ where: { skillID: skill.skillID } });
         await skill.destroy();
 
         res.status(204).end(); // No content in response
@@ -242,7 +342,34 @@ router.delete('/delete-skill/:userID/:skillID', async (req, res) => {
         console.error("Error deleting skill:", err);
         res.status(500).json({ message: "Internal server error" });
     }
-});
+};
+router.delete('/delete-skill/:skillID', deleteSkill);
+/**
+ * @openapi
+ * /api/skill/delete-skill/{userID}/{skillID}:
+ *   delete:
+ *     tags:
+ *       - Skill Controller
+ *     summary: Delete a specific skill for a user (deprecated alias of /api/skill/delete-skill/{skillID})
+ *     deprecated: true
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Must match the authenticated user.
+ *       - in: path
+ *         name: skillID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the skill to delete.
+ *     responses:
+ *       403:
+ *         description: Forbidden - userID does not match the authenticated user.
+ */
+router.delete('/delete-skill/:userID/:skillID', deprecatedParamMiddleware('userID'), deleteSkill);
 
 /**
  * @openapi
@@ -251,7 +378,7 @@ router.delete('/delete-skill/:userID/:skillID', async (req, res) => {
  *     tags:
  *       - Skills Controller
  *     summary: Get users with specific skills
- *     description: Retrieves information about users who have a specific skill.
+ *     description: Retrieves information about users who have a specific skill. The name is matched against the skill catalog and its aliases, so "knit" also finds users who listed Knitting.
  *     parameters:
  *       - in: path
  *         name: skillName
@@ -259,6 +386,12 @@ router.delete('/delete-skill/:userID/:skillID', async (req, res) => {
  *         schema:
  *           type: string
  *         description: The name of the skill to search for.
+ *       - in: query
+ *         name: minProficiency
+ *         schema:
+ *           type: string
+ *           enum: [beginner, intermediate, advanced, expert]
+ *         description: Only return users who rated themselves at this level or above.
  *     responses:
  *       200:
  *         description: Successful operation
@@ -280,9 +413,21 @@ router.get('/skills/:skillName', async (req, res) => {
         if (!skillName) {
             return res.status(400).json({ message: "Skill name parameter is required" });
         }
+        const { minProficiency } = req.query;
+        if (minProficiency !== undefined && !PROFICIENCY_LEVELS.includes(minProficiency)) {
+            return res.status(400).json({ message: `minProficiency must be one of ${PROFICIENCY_LEVELS.join(', ')}` });
+        }
+        // Rows not linked to the catalog yet can only be found by their exact name
+        const catalogSkill = await findCatalogSkill(skillName);
+        const where = catalogSkill
+            ? { [Op.or]: [{ skillCatalogID: catalogSkill.skillCatalogID }, { skillCatalogID: null, skillName }] }
+            : { skillName };
+        if (minProficiency) {
+            where.proficiency = { [Op.in]: PROFICIENCY_LEVELS.slice(PROFICIENCY_LEVELS.indexOf(minProficiency)) };
+        }
         // Find all userIDs with the specified skill
         const userIDs = await Skill.findAll({
-            where: { skillName },
+            where,
             attributes: ['userID'], // Only select the userID column
             raw: true // Return plain JSON objects
         });
@@ -292,7 +437,7 @@ router.get('/skills/:skillName', async (req, res) => {
         // Find user details based on the extracted userIDs
         const usersWithSkill = await User.findAll({
             where: { userID: userIDArray },
-            attributes: { exclude: ['password'] } // Exclude password from user details
+            attributes: PUBLIC_USER_ATTRIBUTES
         });
 
         res.status(200).json(usersWithSkill);
@@ -301,6 +446,407 @@ router.get('/skills/:skillName', async (req, res) => {
         res.status(500).json({ message: "Internal server error" });
     }
 });
+// Only these user columns are ever returned by the skill searches
+const PUBLIC_USER_ATTRIBUTES = ['userID', 'userName', 'interests', 'location'];
+const MAX_SEARCH_SKILLS = 10;
+
+/**
+ * SQL ranking the holders of the matched catalog skills, one row per user. For every query it keeps
+ * the user's best skill, the closest match first and then the highest proficiency, as
+ * `match * 10 + level` in q<i> and the match alone in m<i> (0 when the user has none). Users are
+ * ranked by how many queries they match, then by how closely, then at which proficiency.
+ */
+const skillRankingSQL = (matchesByQuery, matchAll, location) => {
+    const level = `CASE s.proficiency ${PROFICIENCY_LEVELS.map((name, i) => `WHEN ${sequelize.escape(name)} THEN ${i}`).join(' ')} ELSE 0 END`;
+    const columns = matchesByQuery.map((matches, i) => {
+        const whens = MATCH_KINDS.map((kind, k) => {
+            const ids = [...matches].filter(([, matched]) => matched === kind).map(([id]) => Number(id));
+            return ids.length ? `WHEN s.skillCatalogID IN (${ids.join(', ')}) THEN ${MATCH_KINDS.length - k}` : '';
+        }).join(' ');
+        const score = whens.trim() ? `CASE ${whens} ELSE 0 END` : '0';
+        return { best: `MAX(CASE WHEN ${score} > 0 THEN ${score} * 10 + ${level} ELSE 0 END)`, match: `MAX(${score})` };
+    });
+    const catalogIDs = [...new Set(matchesByQuery.flatMap(matches => [...matches.keys()].map(Number)))];
+    const inLocation = location ? ` AND LOWER(TRIM(u.location)) = ${sequelize.escape(location.trim().toLowerCase())}` : '';
+    const matched = columns.map(c => `(CASE WHEN ${c.best} > 0 THEN 1 ELSE 0 END)`).join(' + ');
+    return {
+        select: `SELECT s.userID, ${columns.map((c, i) => `${c.best} AS q${i}, ${c.match} AS m${i}`).join(', ')} ` +
+            `FROM skill AS s ` +
+            `WHERE s.skillCatalogID IN (${catalogIDs.join(', ')}) ` +
+            `AND s.userID IN (SELECT u.userID FROM user AS u WHERE u.isSuspended = false${inLocation}) ` +
+            `GROUP BY s.userID` +
+            (matchAll ? ` HAVING ${columns.map(c => `${c.best} > 0`).join(' AND ')}` : ''),
+        order: `(${matched}) DESC, (${columns.map(c => c.match).join(' + ')}) DESC, ` +
+            `(${columns.map(c => `${c.best} - ${c.match} * 10`).join(' + ')}) DESC, s.userID ASC`
+    };
+};
+
+/**
+ * @openapi
+ * /api/skill/search:
+ *   get:
+ *     tags:
+ *       - Skill Controller
+ *     summary: Find users by one or more skills
+ *     description: Each requested skill is matched against the skill catalog and its aliases, ignoring case, as a prefix ("knit" finds Knitting) or with a typo ("embroidry" finds Embroidery). Users are ranked by how many of the requested skills they hold, then by how closely and at which proficiency.
+ *     parameters:
+ *       - in: query
+ *         name: skills
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma-separated skill names, at most 10.
+ *       - in: query
+ *         name: match
+ *         schema:
+ *           type: string
+ *           enum: [all, any]
+ *           default: any
+ *         description: Whether users must hold all of the requested skills or at least one.
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Only return users in this location (case-insensitive).
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         type: object
+ *                         properties:
+ *                           userID:
+ *                             type: integer
+ *                           userName:
+ *                             type: string
+ *                           interests:
+ *                             type: string
+ *                           location:
+ *                             type: string
+ *                       matched:
+ *                         type: integer
+ *                         description: How many of the requested skills the user holds.
+ *                       skills:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             query:
+ *                               type: string
+ *                             skillName:
+ *                               type: string
+ *                             match:
+ *                               type: string
+ *                               enum: [exact, prefix, fuzzy]
+ *                             proficiency:
+ *                               type: string
+ *                             yearsOfExperience:
+ *                               type: integer
+ *       400:
+ *         description: Bad Request - Missing or too many skills, or an invalid match mode.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/search', async (req, res) => {
+    try {
+        const queries = [...new Set(String(req.query.skills || '').split(',').map(normalizeSkillName).filter(Boolean))];
+        const match = req.query.match || 'any';
+        if (!queries.length) {
+            return res.status(400).json({ message: "skills is required" });
+        }
+        if (queries.length > MAX_SEARCH_SKILLS) {
+            return res.status(400).json({ message: `At most ${MAX_SEARCH_SKILLS} skills can be searched at once` });
+        }
+        if (!['all', 'any'].includes(match)) {
+            return res.status(400).json({ message: "match must be all or any" });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        // For every query, the catalog skills it matches and how closely
+        const catalog = await catalogNames();
+        const matchesByQuery = queries.map(query => {
+            const matches = new Map();
+            for (const entry of catalog) {
+                const kinds = entry.names.map(name => matchSkillName(query, name)).filter(Boolean);
+                if (kinds.length) {
+                    matches.set(entry.skillCatalogID, MATCH_KINDS.find(kind => kinds.includes(kind)));
+                }
+            }
+            return matches;
+        });
+        const catalogIDs = [...new Set(matchesByQuery.flatMap(matches => [...matches.keys()]))];
+        if (!catalogIDs.length) {
+            return res.status(200).json({ total: 0, users: [] });
+        }
+
+        // Users are ranked and paged in the database; only the page's users and skills are loaded
+        const ranking = skillRankingSQL(matchesByQuery, match === 'all', req.query.location);
+        const [{ total }] = await sequelize.query(`SELECT COUNT(*) AS total FROM (${ranking.select}) AS ranked`, { type: QueryTypes.SELECT });
+        const page = await sequelize.query(`${ranking.select} ORDER BY ${ranking.order} LIMIT ${limit} OFFSET ${offset}`, { type: QueryTypes.SELECT });
+        const userIDs = page.map(row => row.userID);
+        const users = await User.findAll({ where: { userID: { [Op.in]: userIDs } }, attributes: PUBLIC_USER_ATTRIBUTES });
+        const skills = await Skill.findAll({ where: { userID: { [Op.in]: userIDs }, skillCatalogID: { [Op.in]: catalogIDs } } });
+
+        const results = userIDs.map(userID => {
+            const userSkills = skills.filter(s => s.userID === userID);
+            // The user's best skill for each query
+            const matched = queries.map((query, i) => {
+                const candidates = userSkills
+                    .filter(s => matchesByQuery[i].has(s.skillCatalogID))
+                    .map(s => ({ query, skillName: s.skillName, match: matchesByQuery[i].get(s.skillCatalogID), proficiency: s.proficiency, yearsOfExperience: s.yearsOfExperience }))
+                    .sort((a, b) => MATCH_KINDS.indexOf(a.match) - MATCH_KINDS.indexOf(b.match) ||
+                        PROFICIENCY_LEVELS.indexOf(b.proficiency) - PROFICIENCY_LEVELS.indexOf(a.proficiency));
+                return candidates[0];
+            }).filter(Boolean);
+            return { user: users.find(u => u.userID === userID), matched: matched.length, skills: matched };
+        });
+
+        res.status(200).json({ total: Number(total), users: results });
+    } catch (err) {
+        console.error("Error searching users by skill:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/skill/catalog:
+ *   get:
+ *     tags:
+ *       - Skill Controller
+ *     summary: Browse the skill catalog
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [textile crafts, paper crafts, wood crafts, metal crafts, ceramics and pottery, glass crafts, jewelry making, mixed media crafts]
+ *         description: Only return skills of this project category.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   skillCatalogID:
+ *                     type: integer
+ *                   name:
+ *                     type: string
+ *                   category:
+ *                     type: string
+ *                     nullable: true
+ *                   aliases:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/catalog', async (req, res) => {
+    try {
+        const { category } = req.query;
+        const catalogSkills = await SkillCatalog.findAll({
+            where: category ? { category } : {},
+            order: [['name', 'ASC']]
+        });
+        const aliases = await SkillAlias.findAll({ where: { skillCatalogID: catalogSkills.map(c => c.skillCatalogID) } });
+        res.status(200).json(catalogSkills.map(catalogSkill => ({
+            ...catalogSkill.toJSON(),
+            aliases: aliases.filter(a => a.skillCatalogID === catalogSkill.skillCatalogID).map(a => a.alias)
+        })));
+    } catch (err) {
+        console.error("Error getting skill catalog:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/skill/{skillID}/endorsements:
+ *   get:
+ *     tags:
+ *       - Skill Controller
+ *     summary: Get the endorsements of a user's skill
+ *     parameters:
+ *       - in: path
+ *         name: skillID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the skill.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       404:
+ *         description: Not Found - Skill not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:skillID/endorsements', async (req, res) => {
+    try {
+        const skill = await Skill.findByPk(req.params.skillID);
+        if (!skill) {
+            return res.status(404).json({ message: "Skill not found" });
+        }
+        const endorsements = await SkillEndorsement.findAll({ where: { skillID: skill.skillID }, order: [['createdAt', 'DESC']] });
+        const endorsers = await User.findAll({
+            where: { userID: endorsements.map(e => e.endorserID) },
+            attributes: ['userID', 'userName']
+        });
+        const projects = await Project.findAll({
+            where: { projectID: endorsements.map(e => e.projectID) },
+            attributes: ['projectID', 'title']
+        });
+        res.status(200).json(endorsements.map(endorsement => ({
+            id: endorsement.id,
+            endorser: endorsers.find(u => u.userID === endorsement.endorserID),
+            project: projects.find(p => p.projectID === endorsement.projectID),
+            createdAt: endorsement.createdAt
+        })));
+    } catch (err) {
+        console.error("Error getting endorsements:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/skill/{skillID}/endorsements:
+ *   post:
+ *     tags:
+ *       - Skill Controller
+ *     summary: Endorse the skill of someone you worked with
+ *     description: The endorser and the skill owner must both have worked on the given project (as its creator, a collaborator or a task assignee), and the project must be completed.
+ *     parameters:
+ *       - in: path
+ *         name: skillID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the skill to endorse.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - projectID
+ *             properties:
+ *               projectID:
+ *                 type: integer
+ *                 description: The completed project you worked on together.
+ *     responses:
+ *       201:
+ *         description: Skill endorsed successfully
+ *       400:
+ *         description: Bad Request - projectID is required.
+ *       403:
+ *         description: Forbidden - You cannot endorse your own skill, or you did not both work on the project.
+ *       404:
+ *         description: Not Found - Skill or project not found.
+ *       409:
+ *         description: Conflict - The project is not completed, or you already endorsed this skill.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:skillID/endorsements', async (req, res) => {
+    try {
+        const { projectID } = req.body;
+        const endorserID = req.user.userID;
+        if (!projectID) {
+            return res.status(400).json({ message: "projectID is required" });
+        }
+        const skill = await Skill.findByPk(req.params.skillID);
+        if (!skill) {
+            return res.status(404).json({ message: "Skill not found" });
+        }
+        if (skill.userID === endorserID) {
+            return res.status(403).json({ message: "You cannot endorse your own skill" });
+        }
+        const project = await Project.findByPk(projectID);
+        if (!project) {
+            return res.status(404).json({ message: "Project not found" });
+        }
+        if (!project.isCompleted) {
+            return res.status(409).json({ message: "Skills can only be endorsed for completed projects" });
+        }
+        if (!(await hasWorkedOn(project, endorserID)) || !(await hasWorkedOn(project, skill.userID))) {
+            return res.status(403).json({ message: "You and the skill owner must both have worked on this project" });
+        }
+        const existing = await SkillEndorsement.findOne({ where: { skillID: skill.skillID, endorserID } });
+        if (existing) {
+            return res.status(409).json({ message: "You already endorsed this skill" });
+        }
+        const endorsement = await SkillEndorsement.create({ skillID: skill.skillID, endorserID, projectID: project.projectID });
+        res.status(201).json(endorsement);
+    } catch (err) {
+        console.error("Error endorsing skill:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/skill/{skillID}/endorsements:
+ *   delete:
+ *     tags:
+ *       - Skill Controller
+ *     summary: Withdraw your endorsement of a skill
+ *     parameters:
+ *       - in: path
+ *         name: skillID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the endorsed skill.
+ *     responses:
+ *       204:
+ *         description: Endorsement withdrawn successfully
+ *       404:
+ *         description: Not Found - You have not endorsed this skill.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete('/:skillID/endorsements', async (req, res) => {
+    try {
+        const removed = await SkillEndorsement.destroy({ where: { skillID: req.params.skillID, endorserID: req.user.userID } });
+        if (!removed) {
+            return res.status(404).json({ message: "You have not endorsed this skill" });
+        }
+        res.status(204).end();
+    } catch (err) {
+        console.error("Error withdrawing endorsement:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
 //router.use(errorHandlerMiddleware);
 
 module.exports = router;
@@ -1,20 +1,273 @@
 const express = require('express');
 const router = express.Router();
+const { Op } = require('sequelize');
 const Task = require('../models/Task');
 const User = require('../models/User');
 const Project = require('../models/Project');
+const TaskDependency = require('../models/TaskDependency');
+const sequelize = require('../modals/db');
+const { SEAT_ROLES, getMemberRole } = require('../utils/membership');
+const { addComment, notifyMentioned } = require('../utils/taskComments');
+const { destroyTasks } = require('../utils/tasks');
+const { findDependents, refreshBlocked, planTasks } = require('../utils/taskDependencies');
+const { checkTransition, recordStatusChange, setStatus } = require('../utils/taskStatus');
+const { refreshProjectStatus } = require('../utils/projectStatus');
+const { isDateOnly } = require('../utils/dates');
+const TaskStatusHistory = require('../models/TaskStatusHistory');
+const taskCommentsRouter = require('./taskComments');
+const taskDependenciesRouter = require('./taskDependencies');
 /*
 const loggingMiddleware = require('../middleware/logMiddleware');
-const authMiddleware = require('../middleware/authMiddleware');
 const errorHandlerMiddleware = require('../middleware/errHandMiddleware');
 const validationMiddleware = require('../middleware/validMiddleware');
-const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
 
 router.use(loggingMiddleware);
+router.use(validationMiddleware);*/
+const authMiddleware = require('../middleware/authMiddleware');
+const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
+const rateLimitConfig = require('../config/rateLimit.config');
+const projectOwnerMiddleware = require('../middleware/projectOwnerMiddleware');
+const taskMemberMiddleware = require('../middleware/taskMemberMiddleware');
+
 router.use(authMiddleware);
-router.use(validationMiddleware);
-router.use(rateLimitingMiddleware);*/
+router.use(rateLimitingMiddleware(rateLimitConfig.api));
+
+const TASK_STATUSES = ['pending', 'in progress', 'blocked', 'completed'];
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Checks the optional task fields of a request body; resolves to an error message or null
+const checkTaskFields = ({ title, status, priority, dueDate, estimatedHours }) => {
+    if (title !== undefined && title !== null && (typeof title !== 'string' || !title.trim() || title.length > 150)) {
+        return "Title must be between 1 and 150 characters";
+    }
+    if (status !== undefined && !TASK_STATUSES.includes(status)) {
+        return `Status must be one of ${TASK_STATUSES.join(', ')}`;
+    }
+    if (status === 'blocked') {
+        return "Tasks are blocked automatically while they wait for incomplete prerequisites";
+    }
+    if (priority !== undefined && !TASK_PRIORITIES.includes(priority)) {
+        return `Priority must be one of ${TASK_PRIORITIES.join(', ')}`;
+    }
+    if (dueDate !== undefined && dueDate !== null && !isDateOnly(dueDate)) {
+        return "Due date must be a date formatted as YYYY-MM-DD";
+    }
+    if (estimatedHours !== undefined && estimatedHours !== null && (typeof estimatedHours !== 'number' || !(estimatedHours >= 0) || estimatedHours > 10000)) {
+        return "Estimated hours must be a number between 0 and 10000";
+    }
+    return null;
+};
+
+// Query parameters of the task lists filtering on a timestamp column, inclusive
+const TIMESTAMP_FILTERS = {
+    createdAfter: ['createdAt', Op.gte],
+    createdBefore: ['createdAt', Op.lte],
+    updatedAfter: ['updatedAt', Op.gte],
+    updatedBefore: ['updatedAt', Op.lte]
+};
+
+/**
+ * Builds the where clause of a task list from its query string: status, priority, title (text in the
+ * title), assignee (a user ID or "none" for open tasks), createdBy, dueBefore/dueAfter,
+ * minEstimatedHours/maxEstimatedHours and the TIMESTAMP_FILTERS. Resolves to { where } or { error }.
+ */
+const taskListFilters = (query) => {
+    const conditions = [];
+    if (query.status !== undefined) {
+        if (!TASK_STATUSES.includes(query.status)) {
+            return { error: `status must be one of ${TASK_STATUSES.join(', ')}` };
+        }
+        conditions.push({ status: query.status });
+    }
+    if (query.priority !== undefined) {
+        if (!TASK_PRIORITIES.includes(query.priority)) {
+            return { error: `priority must be one of ${TASK_PRIORITIES.join(', ')}` };
+        }
+        conditions.push({ priority: query.priority });
+    }
+    if (query.title) {
+        conditions.push({ title: { [Op.substring]: query.title } });
+    }
+    if (query.assignee === 'none') {
+        conditions.push({ userID: null });
+    } else if (query.assignee !== undefined) {
+        if (!Number.isInteger(Number(query.assignee))) {
+            return { error: 'assignee must be a user ID or none' };
+        }
+        conditions.push({ userID: Number(query.assignee) });
+    }
+    if (query.createdBy !== undefined) {
+        if (!Number.isInteger(Number(query.createdBy))) {
+            return { error: 'createdBy must be a user ID' };
+        }
+        conditions.push({ createdBy: Number(query.createdBy) });
+    }
+    for (const [name, operator] of [['dueAfter', Op.gte], ['dueBefore', Op.lte]]) {
+        if (query[name] === undefined) {
+            continue;
+        }
+        if (!isDateOnly(query[name])) {
+            return { error: `${name} must be a date formatted as YYYY-MM-DD` };
+        }
+        conditions.push({ dueDate: { [operator]: query[name] } });
+    }
+    for (const [name, operator] of [['minEstimatedHours', Op.gte], ['maxEstimatedHours', Op.lte]]) {
+        if (query[name] === undefined) {
+            continue;
+        }
+        const hours = Number(query[name]);
+        if (query[name] === '' || !(hours >= 0)) {
+            return { error: `${name} must be a non-negative number` };
+        }
+        conditions.push({ estimatedHours: { [operator]: hours } });
+    }
+    for (const [name, [column, operator]] of Object.entries(TIMESTAMP_FILTERS)) {
+        if (query[name] === undefined) {
+            continue;
+        }
+        const time = new Date(query[name]);
+        if (isNaN(time)) {
+            return { error: `${name} must be a date` };
+        }
+        conditions.push({ [column]: { [operator]: time } });
+    }
+    return { where: { [Op.and]: conditions } };
+};
 
+// Tasks can only be assigned to members holding a seat, not to viewers or outsiders.
+// Resolves to an error { status, message } or null.
+const checkAssignee = async (project, userID) => {
+    const user = await User.findByPk(userID);
+    if (!user) {
+        return { status: 404, message: "User not found" };
+    }
+    if (!SEAT_ROLES.includes(await getMemberRole(project, user.userID))) {
+        return { status: 409, message: "User is not a collaborator on this project" };
+    }
+    return null;
+};
+
+const addTask = async (req, res) => {
+    try {
+        const { title, description, Comments, priority, dueDate, estimatedHours } = req.body;
+        const status = req.body.status || 'pending';
+        // The assignee comes from the URL on the older route and is optional in the body otherwise
+        const assignee = req.params.userID !== undefined ? req.params.userID : req.body.userID;
+        const userID = assignee === undefined || assignee === null ? null : parseInt(assignee, 10);
+        // Check if required fields are provided
+        if (!description) {
+            return res.status(400).json({ message: "Description is required" });
+        }
+        const invalid = checkTaskFields({ title, status, priority, dueDate, estimatedHours });
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+        if (Number.isNaN(userID)) {
+            return res.status(400).json({ message: "userID must be a number" });
+        }
+        if (status !== 'pending') {
+            return res.status(409).json({ message: "New tasks start as pending" });
+        }
+        if (userID !== null) {
+            const assigneeError = await checkAssignee(req.project, userID);
+            if (assigneeError) {
+                return res.status(assigneeError.status).json({ message: assigneeError.message });
+            }
+        }
+        // Create task using Sequelize; Comments become the first comment of its discussion
+        const { task, mentioned } = await sequelize.transaction(async (transaction) => {
+            const task = await Task.create({
+                title: title ? title.trim() : null,
+                description,
+                status,
+                priority,
+                dueDate,
+                estimatedHours,
+                userID,
+                projectID: req.project.projectID,
+                createdBy: req.user.userID
+            }, { transaction });
+            await recordStatusChange(task, null, status, req.user.userID, false, transaction);
+            await refreshProjectStatus(task.projectID, transaction);
+            if (!Comments || !Comments.trim()) {
+                return { task, mentioned: [] };
+            }
+            const { mentioned } = await addComment(task, req.user, Comments.trim(), null, transaction);
+            return { task, mentioned };
+        });
+        await notifyMentioned(task, req.user, mentioned);
+        res.status(201).json({ message: "Task added successfully", taskID: task.taskID });
+    } catch (err) {
+        console.error("Error adding task:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+/**
+ * @openapi
+ * /api/task/add-task/{projectID}:
+ *   post:
+ *     tags:
+ *       - Task Controller
+ *     summary: Add a task to a project
+ *     description: Without a userID the task is open, and any collaborator of the project can claim it.
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project to add the task to.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - description
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 150
+ *               description:
+ *                 type: string
+ *                 description: The description of the task.
+ *               Comments:
+ *                 type: string
+ *                 description: Posted as the first comment of the task discussion (/api/task/{taskID}/comments).
+ *               status:
+ *                 type: string
+ *                 enum: ['pending']
+ *                 default: pending
+ *                 description: New tasks always start as pending; the assignee starts them with PUT /api/task/edit-task/{taskID}.
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *                 default: medium
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               estimatedHours:
+ *                 type: number
+ *               userID:
+ *                 type: integer
+ *                 description: The collaborator to assign the task to.
+ *     responses:
+ *       201:
+ *         description: Task added successfully
+ *       400:
+ *         description: Bad Request - Missing required fields or invalid data format.
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
+ *       404:
+ *         description: Not Found - User or project not found.
+ *       409:
+ *         description: Conflict - The user is not a collaborator on this project, or the task does not start as pending.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/add-task/:projectID', projectOwnerMiddleware(), addTask);
 
 /**
  * @openapi
@@ -44,54 +297,45 @@ router.use(rateLimitingMiddleware);*/
  *             type: object
  *             required:
  *               - description
- *               - Comments
- *               - status
  *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 150
  *               description:
  *                 type: string
  *                 description: The description of the task.
  *               Comments:
  *                 type: string
- *                 description: Comments on the task.
+ *                 description: Posted as the first comment of the task discussion (/api/task/{taskID}/comments).
  *               status:
  *                 type: string
- *                 enum: ['pending', 'in progress', 'completed']
- *                 description: The status of the task.
+ *                 enum: ['pending']
+ *                 default: pending
+ *                 description: New tasks always start as pending; the assignee starts them with PUT /api/task/edit-task/{taskID}.
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *                 default: medium
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               estimatedHours:
+ *                 type: number
  *     responses:
  *       201:
  *         description: Task added successfully
  *       400:
  *         description: Bad Request - Missing required fields or invalid data format.
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
  *       404:
  *         description: Not Found - User or project not found.
+ *       409:
+ *         description: Conflict - The user is not a collaborator on this project, or the task does not start as pending.
  *       500:
  *         description: Internal server error.
  */
-
-router.route('/add-task/:userID/:projectID').post(async (req, res) => {
-    try {
-        const { description, Comments, status } = req.body;
-        const userID = req.params.userID;
-        const projectID = req.params.projectID;
-        // Check if required fields are provided
-        if (!description || !Comments || !status) {
-            return res.status(400).json({ message: "Description, Comments, and status are required" });
-        }
-        // Check if user and project exist
-        const user = await User.findByPk(userID);
-        const project = await Project.findByPk(projectID);
-        if (!user || !project) {
-            return res.status(404).json({ message: "User or project not found" });
-        }
-        // Create task using Sequelize
-        await Task.create({ description,Comments, status, userID, projectID });
-        res.status(201).json({ message: "Task added successfully" });
-    } catch (err) {
-        console.error("Error adding task:", err);
-        res.status(500).json({ message: "Internal server error" });
-    }
-});
-
+router.post('/add-task/:userID/:projectID', projectOwnerMiddleware(), addTask);
 
 /**
  * @openapi
@@ -114,29 +358,57 @@ router.route('/add-task/:userID/:projectID').post(async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 150
+ *                 description: The new title for the task.
  *               description:
  *                 type: string
  *                 description: The new description for the task.
  *               Comments:
  *                 type: string
- *                 description: The new comments for the task.
+ *                 deprecated: true
+ *                 description: Posted as a new comment of the task discussion; use POST /api/task/{taskID}/comments instead.
  *               status:
  *                 type: string
  *                 enum: [pending, in progress, completed]
- *                 description: The new status for the task.
+ *                 description: |
+ *                   The new status for the task. Only the assignee can start a pending task and complete it; the assignee
+ *                   or the project creator can put a task in progress back to pending, and only the project creator can
+ *                   reopen a completed one. Tasks waiting for incomplete prerequisites are blocked and cannot be started
+ *                   or completed. Every change is recorded in /api/task/{taskID}/history.
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *                 description: The new due date, or null to clear it.
+ *               estimatedHours:
+ *                 type: number
+ *                 nullable: true
+ *               userID:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: The collaborator to assign the task to, or null to make it an open task. Only the project creator can change it.
  *     responses:
  *       201:
  *         description: Task updated successfully
  *       400:
  *         description: Bad Request - Missing required fields or invalid data format.
+ *       403:
+ *         description: Forbidden - Only the task assignee or the project creator can edit the task, or you may not make this status change.
  *       404:
- *         description: Not Found - Task not found.
+ *         description: Not Found - Task or user not found.
+ *       409:
+ *         description: Conflict - The new assignee is not a collaborator on this project, the task is blocked by incomplete prerequisites, or the task cannot go from its status to the new one.
  *       500:
  *         description: Internal server error.
  */
 router.route('/edit-task/:taskID').put(async (req, res) => {
     try {
-        const { description, Comments, status } = req.body;
+        const { title, description, Comments, status, priority, dueDate, estimatedHours, userID } = req.body;
         const taskID = req.params.taskID;
 
         // Fetch task from the database using taskID
@@ -144,13 +416,58 @@ router.route('/edit-task/:taskID').put(async (req, res) => {
         if (!task) {
             return res.status(404).json({ message: "Task not found" });
         }
+        // Only the assignee or the project creator may edit the task
+        const project = await Project.findByPk(task.projectID);
+        if (task.userID !== req.user.userID && project.creatorID !== req.user.userID) {
+            return res.status(403).json({ message: "You are not allowed to edit this task" });
+        }
+        const invalid = checkTaskFields({ title, status, priority, dueDate, estimatedHours });
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+        // A blocked task stays blocked when asked to go back to pending
+        const newStatus = status && status !== task.status && !(status === 'pending' && task.status === 'blocked') ? status : null;
+        if (newStatus) {
+            const transitionError = checkTransition(task, project, req.user.userID, newStatus);
+            if (transitionError) {
+                return res.status(transitionError.status).json({ message: transitionError.message });
+            }
+        }
+        if (userID !== undefined) {
+            if (project.creatorID !== req.user.userID) {
+                return res.status(403).json({ message: "Only the project creator can reassign the task" });
+            }
+            if (userID !== null) {
+                const assigneeError = await checkAssignee(project, parseInt(userID, 10));
+                if (assigneeError) {
+                    return res.status(assigneeError.status).json({ message: assigneeError.message });
+                }
+            }
+            task.userID = userID === null ? null : parseInt(userID, 10);
+        }
 
         // Update task details if provided in the request
+        if (title !== undefined) task.title = title ? title.trim() : null;
         if (description) task.description = description;
-        if (Comments) task.Comments = Comments;
-        if (status) task.status = status;
-        // Save the updated task
-        await task.save();
+        if (priority) task.priority = priority;
+        if (dueDate !== undefined) task.dueDate = dueDate;
+        if (estimatedHours !== undefined) task.estimatedHours = estimatedHours;
+        // Save the updated task; Comments no longer overwrite anything but are added to the discussion
+        const mentioned = await sequelize.transaction(async (transaction) => {
+            await task.save({ transaction });
+            if (newStatus) {
+                await setStatus(task, newStatus, req.user.userID, false, transaction);
+                // Completing or reopening the task blocks or unblocks the tasks waiting for it, and a
+                // reopened task waits again for prerequisites reopened since it was completed
+                await refreshBlocked([task.taskID, ...await findDependents([task.taskID], transaction)], req.user.userID, transaction);
+                await refreshProjectStatus(task.projectID, transaction);
+            }
+            if (!Comments || !Comments.trim()) {
+                return [];
+            }
+            return (await addComment(task, req.user, Comments.trim(), null, transaction)).mentioned;
+        });
+        await notifyMentioned(task, req.user, mentioned);
         res.status(201).json({ message: "Task updated successfully" });
     } catch (err) {
         console.error("Error editing task:", err);
@@ -262,6 +579,69 @@ router.route('/get-taskuser/:userID').get(async (req, res) => {
  *         schema:
  *           type: integer
  *         description: The ID of the project to retrieve tasks for.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in progress, blocked, completed]
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, urgent]
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *         description: Text the title contains.
+ *       - in: query
+ *         name: assignee
+ *         schema:
+ *           type: string
+ *         description: The ID of the assigned user, or none for open tasks.
+ *       - in: query
+ *         name: createdBy
+ *         schema:
+ *           type: integer
+ *         description: The ID of the user who created the task.
+ *       - in: query
+ *         name: dueAfter
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dueBefore
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: minEstimatedHours
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxEstimatedHours
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: createdAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: updatedAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: updatedBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
  *     responses:
  *       200:
  *         description: Successful operation
@@ -271,6 +651,8 @@ router.route('/get-taskuser/:userID').get(async (req, res) => {
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Bad Request - Invalid filter.
  *       404:
  *         description: Not Found - Project not found or no tasks found for the project.
  *       500:
@@ -279,8 +661,12 @@ router.route('/get-taskuser/:userID').get(async (req, res) => {
 router.route('/get-taskproject/:projectID').get(async (req, res) => {
     try {
         const { projectID } = req.params;
+        const { where, error } = taskListFilters(req.query);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
         // Fetch tasks for the specified project
-        const tasks = await Task.findAll({ where: { projectID } });
+        const tasks = await Task.findAll({ where: { ...where, projectID }, order: [['taskID', 'ASC']] });
         if (tasks.length === 0) {
             return res.status(404).json({ message: "No tasks found for the project" });
         }
@@ -291,6 +677,212 @@ router.route('/get-taskproject/:projectID').get(async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/task/get-taskorder/{projectID}:
+ *   get:
+ *     tags:
+ *       - Task Controller
+ *     summary: Get the tasks of a project in the order they can be done, with the critical path
+ *     description: Every task comes after its prerequisites. The critical path is the chain of dependent tasks with the most estimated hours (tasks without an estimate count 0), which bounds how soon the project can be finished.
+ *     parameters:
+ *       - in: path
+ *         name: projectID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the project.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       taskID:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                       userID:
+ *                         type: integer
+ *                       estimatedHours:
+ *                         type: number
+ *                       dependsOn:
+ *                         type: array
+ *                         items:
+ *                           type: integer
+ *                       earliestStart:
+ *                         type: number
+ *                         description: Estimated hours of prerequisite work before the task can start.
+ *                       critical:
+ *                         type: boolean
+ *                         description: Whether the task is on the critical path.
+ *                 criticalPath:
+ *                   type: object
+ *                   properties:
+ *                     taskIDs:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                     estimatedHours:
+ *                       type: number
+ *       403:
+ *         description: Forbidden - You are not a member of this project.
+ *       404:
+ *         description: Not Found - Project not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/get-taskorder/:projectID', async (req, res) => {
+    try {
+        const project = await Project.findByPk(req.params.projectID);
+        if (!project) {
+            return res.status(404).json({ message: "Project not found" });
+        }
+        const hasTask = await Task.findOne({ where: { projectID: project.projectID, userID: req.user.userID } });
+        if (!hasTask && !(await getMemberRole(project, req.user.userID))) {
+            return res.status(403).json({ message: "You are not a member of this project" });
+        }
+        const tasks = await Task.findAll({ where: { projectID: project.projectID } });
+        const dependencies = await TaskDependency.findAll({ where: { projectID: project.projectID } });
+        const { order, earliestStart, criticalPath } = planTasks(tasks, dependencies);
+        res.status(200).json({
+            tasks: order.map(taskID => {
+                const task = tasks.find(t => t.taskID === taskID);
+                return {
+                    taskID,
+                    title: task.title,
+                    status: task.status,
+                    userID: task.userID,
+                    estimatedHours: task.estimatedHours,
+                    dependsOn: dependencies.filter(d => d.taskID === taskID).map(d => d.dependsOnID),
+                    earliestStart: earliestStart.get(taskID),
+                    critical: criticalPath.taskIDs.includes(taskID)
+                };
+            }),
+            criticalPath
+        });
+    } catch (err) {
+        console.error("Error ordering tasks:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/task/claim-task/{taskID}:
+ *   put:
+ *     tags:
+ *       - Task Controller
+ *     summary: Claim an open task
+ *     description: Assigns an open task of the project to yourself. Only the owner and collaborators of the project can claim tasks.
+ *     parameters:
+ *       - in: path
+ *         name: taskID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the task to claim.
+ *     responses:
+ *       200:
+ *         description: Task claimed successfully
+ *       403:
+ *         description: Forbidden - You are not a collaborator on this project.
+ *       404:
+ *         description: Not Found - Task not found.
+ *       409:
+ *         description: Conflict - The task is already assigned or completed.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/claim-task/:taskID', async (req, res) => {
+    try {
+        const task = await Task.findByPk(req.params.taskID);
+        if (!task) {
+            return res.status(404).json({ message: "Task not found" });
+        }
+        const project = await Project.findByPk(task.projectID);
+        if (!SEAT_ROLES.includes(await getMemberRole(project, req.user.userID))) {
+            return res.status(403).json({ message: "You are not a collaborator on this project" });
+        }
+        if (task.status === 'completed') {
+            return res.status(409).json({ message: "Task is already completed" });
+        }
+        // Only succeeds while the task is still open, so two users cannot claim it at once
+        const [claimed] = await Task.update({ userID: req.user.userID }, {
+            where: { taskID: task.taskID, userID: null }
+        });
+        if (!claimed) {
+            return res.status(409).json({ message: "Task is already assigned" });
+        }
+        res.status(200).json({ message: "Task claimed successfully" });
+    } catch (err) {
+        console.error("Error claiming task:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/task/unclaim-task/{taskID}:
+ *   put:
+ *     tags:
+ *       - Task Controller
+ *     summary: Give up a task assigned to you
+ *     description: The task becomes open again for someone else to claim, and goes back to pending if it was in progress.
+ *     parameters:
+ *       - in: path
+ *         name: taskID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the task to unclaim.
+ *     responses:
+ *       200:
+ *         description: Task unclaimed successfully
+ *       403:
+ *         description: Forbidden - The task is not assigned to you.
+ *       404:
+ *         description: Not Found - Task not found.
+ *       409:
+ *         description: Conflict - The task is already completed.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/unclaim-task/:taskID', async (req, res) => {
+    try {
+        const task = await Task.findByPk(req.params.taskID);
+        if (!task) {
+            return res.status(404).json({ message: "Task not found" });
+        }
+        if (task.userID !== req.user.userID) {
+            return res.status(403).json({ message: "This task is not assigned to you" });
+        }
+        if (task.status === 'completed') {
+            return res.status(409).json({ message: "Task is already completed" });
+        }
+        await sequelize.transaction(async (transaction) => {
+            if (task.status === 'in progress') {
+                await setStatus(task, 'pending', req.user.userID, false, transaction);
+                await refreshProjectStatus(task.projectID, transaction);
+            }
+            await task.update({ userID: null }, { transaction });
+        });
+        res.status(200).json({ message: "Task unclaimed successfully" });
+    } catch (err) {
+        console.error("Error unclaiming task:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
 /**
  * @openapi
  * /api/task/delete-task/{taskID}:
@@ -308,6 +900,8 @@ router.route('/get-taskproject/:projectID').get(async (req, res) => {
  *     responses:
  *       204:
  *         description: Task deleted successfully
+ *       403:
+ *         description: Forbidden - Only the project creator can delete the task.
  *       404:
  *         description: Not Found - Task not found.
  *       500:
@@ -321,8 +915,15 @@ router.delete('/delete-task/:taskID', async (req, res) => {
         if (!task) {
             return res.status(404).json({ message: "Task not found" });
         }
-        // Delete the task
-        await task.destroy();
+        const project = await Project.findByPk(task.projectID);
+        if (project.creatorID !== req.user.userID) {
+            return res.status(403).json({ message: "You are not the creator of this project" });
+        }
+        // Delete the task with its discussion
+        await sequelize.transaction(async (transaction) => {
+            await destroyTasks({ taskID: task.taskID }, req.user.userID, transaction);
+            await refreshProjectStatus(task.projectID, transaction);
+        });
 
         res.status(204).end(); // No content in response
 
@@ -331,6 +932,90 @@ router.delete('/delete-task/:taskID', async (req, res) => {
         res.status(500).json({ message: "Internal server error" });
     }
 });
+/**
+ * @openapi
+ * /api/task/{taskID}/history:
+ *   get:
+ *     tags:
+ *       - Task Controller
+ *     summary: Get the status changes of a task, oldest first
+ *     description: The first entry has no fromStatus and is the status the task was created with. Automatic changes are tasks being blocked or unblocked by their prerequisites and unfinished work going back to pending when its assignee leaves the project; changedBy is the user whose action caused them.
+ *     parameters:
+ *       - in: path
+ *         name: taskID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the task.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   fromStatus:
+ *                     type: string
+ *                     nullable: true
+ *                   toStatus:
+ *                     type: string
+ *                   changedBy:
+ *                     type: object
+ *                     nullable: true
+ *                     description: Null once the user deleted their account.
+ *                     properties:
+ *                       userID:
+ *                         type: integer
+ *                       userName:
+ *                         type: string
+ *                   automatic:
+ *                     type: boolean
+ *                   changedAt:
+ *                     type: string
+ *                     format: date-time
+ *       403:
+ *         description: Forbidden - You are not a member of this project.
+ *       404:
+ *         description: Not Found - Task not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:taskID/history', taskMemberMiddleware(), async (req, res) => {
+    try {
+        const history = await TaskStatusHistory.findAll({
+            where: { taskID: req.task.taskID },
+            order: [['changedAt', 'ASC'], ['id', 'ASC']]
+        });
+        const users = await User.findAll({
+            where: { userID: { [Op.in]: history.map(h => h.userID).filter(Boolean) } },
+            attributes: ['userID', 'userName']
+        });
+        res.status(200).json(history.map(entry => {
+            const user = users.find(u => u.userID === entry.userID);
+            return {
+                id: entry.id,
+                fromStatus: entry.fromStatus,
+                toStatus: entry.toStatus,
+                changedBy: user ? { userID: user.userID, userName: user.userName } : null,
+                automatic: entry.automatic,
+                changedAt: entry.changedAt
+            };
+        }));
+    } catch (err) {
+        console.error("Error getting task history:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Task discussions: /:taskID/comments
+router.use('/:taskID', taskCommentsRouter);
+// Prerequisites: /:taskID/dependencies
+router.use('/:taskID', taskDependenciesRouter);
 //router.use(errorHandlerMiddleware);
 
 module.exports = router;
@@ -0,0 +1,359 @@
+const express = require('express');
+// Mounted by the task router under /:taskID, which already authenticates and rate limits
+const router = express.Router({ mergeParams: true });
+const { Op } = require('sequelize');
+const sequelize = require('../modals/db');
+const User = require('../models/User');
+const TaskComment = require('../models/TaskComment');
+const TaskCommentMention = require('../models/TaskCommentMention');
+const { addComment, saveMentions, notifyMentioned } = require('../utils/taskComments');
+const taskMemberMiddleware = require('../middleware/taskMemberMiddleware');
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// Resolves to an error message for an invalid comment body, or null
+const checkBody = (body) => {
+    if (typeof body !== 'string' || !body.trim()) {
+        return "Comment body is required";
+    }
+    if (body.length > MAX_COMMENT_LENGTH) {
+        return `Comments can be at most ${MAX_COMMENT_LENGTH} characters`;
+    }
+    return null;
+};
+
+const findComment = (req) => TaskComment.findOne({
+    where: { commentID: req.params.commentID, taskID: req.task.taskID, deletedAt: null }
+});
+
+// Comments with their author and mentions as { userID, userName }, replies nested under their parent
+const toThreads = async (comments) => {
+    const mentions = await TaskCommentMention.findAll({
+        where: { commentID: { [Op.in]: comments.map(c => c.commentID) } }
+    });
+    const users = await User.findAll({
+        where: { userID: { [Op.in]: [...comments.map(c => c.userID), ...mentions.map(m => m.userID)].filter(Boolean) } },
+        attributes: ['userID', 'userName']
+    });
+    const byID = new Map(comments.map(comment => [comment.commentID, {
+        commentID: comment.commentID,
+        parentID: comment.parentID,
+        author: users.find(u => u.userID === comment.userID) || null,
+        body: comment.body,
+        mentions: mentions.filter(m => m.commentID === comment.commentID).map(m => users.find(u => u.userID === m.userID)),
+        createdAt: comment.createdAt,
+        editedAt: comment.editedAt,
+        deleted: !!comment.deletedAt,
+        replies: []
+    }]));
+    const roots = [];
+    for (const entry of byID.values()) {
+        const parent = entry.parentID && byID.get(entry.parentID);
+        (parent ? parent.replies : roots).push(entry);
+    }
+    return roots;
+};
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     TaskComment:
+ *       type: object
+ *       properties:
+ *         commentID:
+ *           type: integer
+ *         parentID:
+ *           type: integer
+ *           nullable: true
+ *           description: The comment this one replies to.
+ *         author:
+ *           type: object
+ *           nullable: true
+ *           description: Null once the author's account is deleted.
+ *           properties:
+ *             userID:
+ *               type: integer
+ *             userName:
+ *               type: string
+ *         body:
+ *           type: string
+ *           nullable: true
+ *           description: Null for deleted comments that still have replies.
+ *         mentions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               userID:
+ *                 type: integer
+ *               userName:
+ *                 type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         editedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         deleted:
+ *           type: boolean
+ *         replies:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TaskComment'
+ */
+
+/**
+ * @openapi
+ * /api/task/{taskID}/comments:
+ *   get:
+ *     tags:
+ *       - Task Controller
+ *     summary: Get the discussion of a task
+ *     description: Top-level comments oldest first, each with its replies nested under it.
+ *     parameters:
+ *       - in: path
+ *         name: taskID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the task.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TaskComment'
+ *       403:
+ *         description: Forbidden - You are not a member of this project.
+ *       404:
+ *         description: Not Found - Task not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/comments', taskMemberMiddleware(), async (req, res) => {
+    try {
+        const comments = await TaskComment.findAll({
+            where: { taskID: req.task.taskID },
+            order: [['createdAt', 'ASC'], ['commentID', 'ASC']]
+        });
+        res.status(200).json(await toThreads(comments));
+    } catch (err) {
+        console.error("Error getting task comments:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/task/{taskID}/comments:
+ *   post:
+ *     tags:
+ *       - Task Controller
+ *     summary: Comment on a task or reply to a comment
+ *     description: Project members mentioned as @userName are notified by email.
+ *     parameters:
+ *       - in: path
+ *         name: taskID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the task.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 5000
+ *               parentID:
+ *                 type: integer
+ *                 description: The comment to reply to.
+ *     responses:
+ *       201:
+ *         description: Comment added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskComment'
+ *       400:
+ *         description: Bad Request - Missing or too long body.
+ *       403:
+ *         description: Forbidden - You are not a member of this project.
+ *       404:
+ *         description: Not Found - Task or parent comment not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/comments', taskMemberMiddleware(), async (req, res) => {
+    try {
+        const { body, parentID } = req.body;
+        const invalid = checkBody(body);
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+        if (parentID !== undefined && parentID !== null) {
+            const parent = await TaskComment.findOne({ where: { commentID: parentID, taskID: req.task.taskID, deletedAt: null } });
+            if (!parent) {
+                return res.status(404).json({ message: "Parent comment not found" });
+            }
+        }
+        const { comment, mentioned } = await sequelize.transaction((transaction) =>
+            addComment(req.task, req.user, body.trim(), parentID, transaction));
+        await notifyMentioned(req.task, req.user, mentioned);
+        const [thread] = await toThreads([comment]);
+        res.status(201).json(thread);
+    } catch (err) {
+        console.error("Error adding task comment:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/task/{taskID}/comments/{commentID}:
+ *   put:
+ *     tags:
+ *       - Task Controller
+ *     summary: Edit your comment
+ *     description: Members newly mentioned by the edit are notified by email.
+ *     parameters:
+ *       - in: path
+ *         name: taskID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the task.
+ *       - in: path
+ *         name: commentID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the comment.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 5000
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskComment'
+ *       400:
+ *         description: Bad Request - Missing or too long body.
+ *       403:
+ *         description: Forbidden - This is not your comment.
+ *       404:
+ *         description: Not Found - Task or comment not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/comments/:commentID', taskMemberMiddleware(), async (req, res) => {
+    try {
+        const { body } = req.body;
+        const comment = await findComment(req);
+        if (!comment) {
+            return res.status(404).json({ message: "Comment not found" });
+        }
+        if (comment.userID !== req.user.userID) {
+            return res.status(403).json({ message: "You can only edit your own comments" });
+        }
+        const invalid = checkBody(body);
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+        const mentioned = await sequelize.transaction(async (transaction) => {
+            await comment.update({ body: body.trim(), editedAt: new Date() }, { transaction });
+            return saveMentions(comment, req.task, transaction);
+        });
+        await notifyMentioned(req.task, req.user, mentioned);
+        const [thread] = await toThreads([comment]);
+        res.status(200).json(thread);
+    } catch (err) {
+        console.error("Error editing task comment:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/task/{taskID}/comments/{commentID}:
+ *   delete:
+ *     tags:
+ *       - Task Controller
+ *     summary: Delete your comment
+ *     description: A comment that has replies is kept as a deleted placeholder so its replies stay in place, until the last of them is deleted.
+ *     parameters:
+ *       - in: path
+ *         name: taskID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the task.
+ *       - in: path
+ *         name: commentID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the comment.
+ *     responses:
+ *       204:
+ *         description: Comment deleted successfully
+ *       403:
+ *         description: Forbidden - This is not your comment.
+ *       404:
+ *         description: Not Found - Task or comment not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete('/comments/:commentID', taskMemberMiddleware(), async (req, res) => {
+    try {
+        const comment = await findComment(req);
+        if (!comment) {
+            return res.status(404).json({ message: "Comment not found" });
+        }
+        if (comment.userID !== req.user.userID) {
+            return res.status(403).json({ message: "You can only delete your own comments" });
+        }
+        await sequelize.transaction(async (transaction) => {
+            await TaskCommentMention.destroy({ where: { commentID: comment.commentID }, transaction });
+            const replies = await TaskComment.count({ where: { parentID: comment.commentID }, transaction });
+            if (replies) {
+                await comment.update({ body: null, deletedAt: new Date() }, { transaction });
+                return;
+            }
+            await comment.destroy({ transaction });
+            // Deleted placeholders go too once their last reply is gone
+            let parent = comment.parentID && await TaskComment.findByPk(comment.parentID, { transaction });
+            while (parent && parent.deletedAt && !(await TaskComment.count({ where: { parentID: parent.commentID }, transaction }))) {
+                await parent.destroy({ transaction });
+                parent = parent.parentID && await TaskComment.findByPk(parent.parentID, { transaction });
+            }
+        });
+        res.status(204).end();
+    } catch (err) {
+        console.error("Error deleting task comment:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+// Mounted by the task router under /:taskID, which already authenticates and rate limits
+const router = express.Router({ mergeParams: true });
+const { Op } = require('sequelize');
+const sequelize = require('../modals/db');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const TaskDependency = require('../models/TaskDependency');
+const { findCycle, refreshBlocked } = require('../utils/taskDependencies');
+const { refreshProjectStatus } = require('../utils/projectStatus');
+const taskMemberMiddleware = require('../middleware/taskMemberMiddleware');
+
+const summary = (task) => ({ taskID: task.taskID, title: task.title, status: task.status, userID: task.userID });
+
+/**
+ * @openapi
+ * /api/task/{taskID}/dependencies:
+ *   get:
+ *     tags:
+ *       - Task Controller
+ *     summary: Get the prerequisites of a task and the tasks waiting for it
+ *     parameters:
+ *       - in: path
+ *         name: taskID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the task.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 prerequisites:
+ *                   type: array
+ *                   description: Tasks that have to be completed before this one can start.
+ *                   items:
+ *                     type: object
+ *                 dependents:
+ *                   type: array
+ *                   description: Tasks that cannot start before this one is completed.
+ *                   items:
+ *                     type: object
+ *       403:
+ *         description: Forbidden - You are not a member of this project.
+ *       404:
+ *         description: Not Found - Task not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/dependencies', taskMemberMiddleware(), async (req, res) => {
+    try {
+        const dependencies = await TaskDependency.findAll({
+            where: { [Op.or]: [{ taskID: req.task.taskID }, { dependsOnID: req.task.taskID }] }
+        });
+        const tasks = await Task.findAll({
+            where: { taskID: { [Op.in]: dependencies.flatMap(d => [d.taskID, d.dependsOnID]) } },
+            order: [['taskID', 'ASC']]
+        });
+        const prerequisiteIDs = dependencies.filter(d => d.taskID === req.task.taskID).map(d => d.dependsOnID);
+        const dependentIDs = dependencies.filter(d => d.dependsOnID === req.task.taskID).map(d => d.taskID);
+        res.status(200).json({
+            prerequisites: tasks.filter(t => prerequisiteIDs.includes(t.taskID)).map(summary),
+            dependents: tasks.filter(t => dependentIDs.includes(t.taskID)).map(summary)
+        });
+    } catch (err) {
+        console.error("Error getting task dependencies:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/task/{taskID}/dependencies:
+ *   post:
+ *     tags:
+ *       - Task Controller
+ *     summary: Make a task wait for another task of the project
+ *     description: The task is blocked until the prerequisite is completed. Dependencies that would form a cycle are refused.
+ *     parameters:
+ *       - in: path
+ *         name: taskID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the task.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dependsOnID
+ *             properties:
+ *               dependsOnID:
+ *                 type: integer
+ *                 description: The ID of the prerequisite task.
+ *     responses:
+ *       201:
+ *         description: Dependency added successfully
+ *       400:
+ *         description: Bad Request - Missing prerequisite, a task depending on itself, or tasks of different projects.
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
+ *       404:
+ *         description: Not Found - Task or prerequisite not found.
+ *       409:
+ *         description: Conflict - The dependency already exists, would create a cycle, or the task is already completed.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/dependencies', taskMemberMiddleware(), async (req, res) => {
+    try {
+        const { task, project } = req;
+        const dependsOnID = parseInt(req.body.dependsOnID, 10);
+        if (project.creatorID !== req.user.userID) {
+            return res.status(403).json({ message: "You are not the creator of this project" });
+        }
+        if (Number.isNaN(dependsOnID)) {
+            return res.status(400).json({ message: "dependsOnID is required" });
+        }
+        if (dependsOnID === task.taskID) {
+            return res.status(400).json({ message: "A task cannot depend on itself" });
+        }
+        const prerequisite = await Task.findByPk(dependsOnID);
+        if (!prerequisite) {
+            return res.status(404).json({ message: "Prerequisite task not found" });
+        }
+        if (prerequisite.projectID !== task.projectID) {
+            return res.status(400).json({ message: "Both tasks must belong to the same project" });
+        }
+        if (task.status === 'completed' && prerequisite.status !== 'completed') {
+            return res.status(409).json({ message: "A completed task cannot wait for an incomplete one" });
+        }
+
+        const result = await sequelize.transaction(async (transaction) => {
+            // Lock the project so two concurrent additions cannot close a cycle together
+            await Project.findByPk(task.projectID, { transaction, lock: transaction.LOCK.UPDATE });
+            const dependencies = await TaskDependency.findAll({ where: { projectID: task.projectID }, transaction });
+            if (dependencies.some(d => d.taskID === task.taskID && d.dependsOnID === dependsOnID)) {
+                return { error: { status: 409, message: "The task already depends on this task" } };
+            }
+            const cycle = findCycle(dependencies, task.taskID, dependsOnID);
+            if (cycle) {
+                return { error: { status: 409, message: `This dependency would create a cycle: ${cycle.join(' -> ')}` } };
+            }
+            const dependency = await TaskDependency.create({ projectID: task.projectID, taskID: task.taskID, dependsOnID }, { transaction });
+            await refreshBlocked([task.taskID], req.user.userID, transaction);
+            // A task in progress that gets blocked can change the status derived for the project
+            await refreshProjectStatus(task.projectID, transaction);
+            return { dependency };
+        });
+        if (result.error) {
+            return res.status(result.error.status).json({ message: result.error.message });
+        }
+        res.status(201).json(result.dependency);
+    } catch (err) {
+        console.error("Error adding task dependency:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/task/{taskID}/dependencies/{dependsOnID}:
+ *   delete:
+ *     tags:
+ *       - Task Controller
+ *     summary: Stop a task from waiting for another task
+ *     description: The task is unblocked once none of its remaining prerequisites is incomplete.
+ *     parameters:
+ *       - in: path
+ *         name: taskID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the task.
+ *       - in: path
+ *         name: dependsOnID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the prerequisite task.
+ *     responses:
+ *       204:
+ *         description: Dependency removed successfully
+ *       403:
+ *         description: Forbidden - You are not the creator of this project.
+ *       404:
+ *         description: Not Found - Task or dependency not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete('/dependencies/:dependsOnID', taskMemberMiddleware(), async (req, res) => {
+    try {
+        if (req.project.creatorID !== req.user.userID) {
+            return res.status(403).json({ message: "You are not the creator of this project" });
+        }
+        const removed = await sequelize.transaction(async (transaction) => {
+            const count = await TaskDependency.destroy({
+                where: { taskID: req.task.taskID, dependsOnID: req.params.dependsOnID },
+                transaction
+            });
+            await refreshBlocked([req.task.taskID], req.user.userID, transaction);
+            await refreshProjectStatus(req.task.projectID, transaction);
+            return count;
+        });
+        if (!removed) {
+            return res.status(404).json({ message: "Dependency not found" });
+        }
+        res.status(204).end();
+    } catch (err) {
+        console.error("Error removing task dependency:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+module.exports = router;
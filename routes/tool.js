@@ -1,31 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const Tool = require('../models/Tool');
+const sequelize = require('../modals/db');
+const { Op, literal } = require('sequelize');
+const ProjectTool = require('../models/project_tool');
+const ToolLoan = require('../models/ToolLoan');
+const { ACTIVE_LOAN_STATUSES, INVENTORIES, availableSQL, quantityInUse, isStock, setAvailable } = require('../utils/inventory');
+const { catalogForItem } = require('../utils/itemCatalog');
+const { closeToolLoans } = require('../utils/toolLoans');
 /*
 const loggingMiddleware = require('../middleware/logMiddleware');
-const authMiddleware = require('../middleware/authMiddleware');
 const errorHandlerMiddleware = require('../middleware/errHandMiddleware');
 const validationMiddleware = require('../middleware/validMiddleware');
-const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
 
 router.use(loggingMiddleware);
+router.use(validationMiddleware);*/
+const authMiddleware = require('../middleware/authMiddleware');
+const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
+const rateLimitConfig = require('../config/rateLimit.config');
+const deprecatedParamMiddleware = require('../middleware/deprecatedParamMiddleware');
+const toolLoansRouter = require('./toolLoans');
+
 router.use(authMiddleware);
-router.use(validationMiddleware);
-router.use(rateLimitingMiddleware);*/
+router.use(rateLimitingMiddleware(rateLimitConfig.api));
 /**
  * @openapi
- * /api/tool/add-tool/{userID}:
+ * /api/tool/add-tool:
  *   post:
  *     tags:
  *       - Tool Controller
  *     summary: Add a tool for a user
- *     parameters:
- *       - in: path
- *         name: userID
- *         required: true
- *         schema:
- *           type: string
- *         description: The ID of the user to add the tool for.
  *     requestBody:
  *       required: true
  *       content:
@@ -41,26 +45,35 @@ router.use(rateLimitingMiddleware);*/
  *                 description: The name of the tool to add.
  *               quantity:
  *                 type: integer
- *                 description: The quantity of the tool to add.
+ *                 minimum: 0
+ *                 description: The quantity of the tool to add, in the default unit of its catalog entry (pieces, or pairs of knitting needles).
+ *               itemCatalogID:
+ *                 type: integer
+ *                 description: The catalog entry of the tool (GET /api/resources/catalog). Without it, the entry with the tool's name is used, and added when there is none.
  *     responses:
  *       201:
  *         description: Tool added successfully
  *       400:
  *         description: Bad Request - Missing required fields or invalid data format.
+ *       404:
+ *         description: Not Found - No catalog tool with this itemCatalogID.
  *       409:
  *         description: Conflict - Tool with the same name already exists for this user.
  *       500:
  *         description: Internal server error.
  */
 
-router.route('/add-tool/:userID').post(async (req, res) => {
+const addTool = async (req, res) => {
     try {
-        const { toolName, quantity, cost } = req.body;
-        const userID = req.params.userID;
+        const { toolName, quantity, cost, itemCatalogID } = req.body;
+        const userID = req.user.userID;
         // Check if required fields are provided
-        if (!toolName || !quantity) {
+        if (!toolName || quantity === undefined || quantity === null) {
             return res.status(400).json({ message: "Tool name and quantity are required" });
         }
+        if (!isStock(INVENTORIES.tool, quantity)) {
+            return res.status(400).json({ message: "Quantity must be a whole number of at least zero" });
+        }
 
         // Check if tool with the same name already exists for the user
         const existingTool = await Tool.findOne({ where: { userID, toolName } });
@@ -68,8 +81,14 @@ router.route('/add-tool/:userID').post(async (req, res) => {
             return res.status(409).json({ message: "Tool with the same name already exists for this user" });
         }
 
+        // Tools are counted in the default unit of their catalog entry
+        const catalog = await catalogForItem('tool', toolName, itemCatalogID);
+        if (catalog.error) {
+            return res.status(catalog.error.status).json({ message: catalog.error.message });
+        }
+
         // Create tool using Sequelize
-        await Tool.create({ toolName, quantity, cost, userID });
+        await Tool.create({ toolName, totalQuantity: quantity, cost, itemCatalogID: catalog.entry.itemCatalogID, userID });
 
         res.status(201).json({ message: "Tool added successfully" });
 
@@ -77,7 +96,28 @@ router.route('/add-tool/:userID').post(async (req, res) => {
         console.error("Error adding tool:", err);
         res.status(500).json({ message: "Internal server error" });
     }
-});
+};
+router.post('/add-tool', addTool);
+/**
+ * @openapi
+ * /api/tool/add-tool/{userID}:
+ *   post:
+ *     tags:
+ *       - Tool Controller
+ *     summary: Add a tool for a user (deprecated alias of /api/tool/add-tool)
+ *     deprecated: true
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Must match the authenticated user.
+ *     responses:
+ *       403:
+ *         description: Forbidden - userID does not match the authenticated user.
+ */
+router.post('/add-tool/:userID', deprecatedParamMiddleware('userID'), addTool);
 
 
 /**
@@ -106,12 +146,14 @@ router.route('/add-tool/:userID').post(async (req, res) => {
  *                 description: The new name for the tool.
  *               quantity:
  *                 type: integer
- *                 description: The new quantity for the tool.
+ *                 description: The new available quantity for the tool. Its totalQuantity becomes this plus what projects use and active loans hold.
  *     responses:
  *       201:
  *         description: Tool updated successfully
  *       400:
  *         description: Bad Request - Missing required fields or invalid data format.
+ *       403:
+ *         description: Forbidden - The tool is not owned by the authenticated user.
  *       404:
  *         description: Not Found - Tool not found.
  *       409:
@@ -129,6 +171,12 @@ router.route('/edit-tool/:toolID').put(async (req, res) => {
         if (!tool) {
             return res.status(404).json({ message: "Tool not found" });
         }
+        if (tool.userID !== req.user.userID) {
+            return res.status(403).json({ message: "You do not own this tool" });
+        }
+        if (quantity !== undefined && !isStock(INVENTORIES.tool, quantity)) {
+            return res.status(400).json({ message: "Quantity must be a whole number of at least zero" });
+        }
 
         // Update tool properties if provided in the request
         if (toolName) {
@@ -141,8 +189,13 @@ router.route('/edit-tool/:toolID').put(async (req, res) => {
             await tool.update({ toolName });
         }
         if (quantity !== undefined) {
-            // Update quantity
-            await tool.update({ quantity });
+            // Update the available quantity and the total that follows from it, with the tool locked
+            // so units projects and loans take meanwhile are counted in the total
+            await sequelize.transaction(async (transaction) => {
+                await tool.reload({ transaction, lock: transaction.LOCK.UPDATE });
+                await setAvailable(INVENTORIES.tool, tool, quantity, transaction);
+                await tool.save({ transaction });
+            });
         }
         if (cost !== undefined) {
             // Update cost
@@ -189,7 +242,7 @@ router.route('/edit-tool/:toolID').put(async (req, res) => {
  *                     description: The name of the tool.
  *                   quantity:
  *                     type: integer
- *                     description: The quantity of the tool.
+ *                     description: The units of the tool still available, its totalQuantity less what projects use and active loans hold.
  *       404:
  *         description: Not Found - User not found or no tools found for the user.
  *       500:
@@ -200,12 +253,16 @@ router.route('/get-tools/:userID').get(async (req, res) => {
         const userID = req.params.userID;
 
         // Fetch tools for the specified user using Sequelize
-        const tools = await Tool.findAll({ where: { userID } });
+        const tools = await Tool.findAll({
+            where: { userID },
+            attributes: { include: [[literal(availableSQL(INVENTORIES.tool)), 'quantity']] }
+        });
         if (tools.length === 0) {
             return res.status(404).json({ message: "No tools found for the user" });
         }
 
-        res.status(200).json(tools);
+        // The computed quantity comes back from MySQL as a decimal string
+        res.status(200).json(tools.map(tool => ({ ...tool.toJSON(), quantity: Math.max(Number(tool.get('quantity')), 0) })));
 
     } catch (err) {
         console.error("Error getting tools:", err);
@@ -215,19 +272,14 @@ router.route('/get-tools/:userID').get(async (req, res) => {
 
 /**
  * @openapi
- * /api/tool/delete-tool/{userID}/{toolID}:
+ * /api/tool/delete-tool/{toolID}:
  *   delete:
  *     tags:
  *       - Tool Controller
  *     summary: Delete a specific tool for a user
+ *     description: Loan requests still waiting for the tool are cancelled, and its past loans are kept without it.
  *     parameters:
  *       - in: path
- *         name: userID
- *         required: true
- *         schema:
- *           type: integer
- *         description: The ID of the user who owns the tool.
- *       - in: path
  *         name: toolID
  *         required: true
  *         schema:
@@ -236,23 +288,41 @@ router.route('/get-tools/:userID').get(async (req, res) => {
  *     responses:
  *       204:
  *         description: Tool deleted successfully
+ *       403:
+ *         description: Forbidden - The tool is not owned by the authenticated user.
  *       404:
- *         description: Not Found - Tool not found or not owned by the user.
+ *         description: Not Found - Tool not found.
+ *       409:
+ *         description: Conflict - Projects or borrowers still hold some of the tool.
  *       500:
  *         description: Internal server error.
  */
-router.delete('/delete-tool/:userID/:toolID', async (req, res) => {
+const deleteTool = async (req, res) => {
     try {
-        const userID = req.params.userID;
         const toolID = req.params.toolID;
 
-        // Check if the tool exists and is owned by the user using Sequelize
-        const tool = await Tool.findOne({ where: { toolID, userID } });
+        // Check if the tool exists and is owned by the authenticated user
+        const tool = await Tool.findByPk(toolID);
         if (!tool) {
-            return res.status(404).json({ message: "Tool not found or not owned by the user" });
+            return res.status(404).json({ message: "Tool not found" });
+        }
+        if (tool.userID !== req.user.userID) {
+            return res.status(403).json({ message: "You do not own this tool" });
         }
 
-        await tool.destroy();
+        // Delete the tool, unless projects or active loans still hold some of it; its loan history stays without it
+        const inUse = await sequelize.transaction(async (transaction) => {
+            await tool.reload({ transaction, lock: transaction.LOCK.UPDATE });
+            const used = await quantityInUse(INVENTORIES.tool, tool.toolID, transaction);
+            if (!used) {
+                await closeToolLoans(tool.toolID, transaction);
+                await tool.destroy({ transaction });
+            }
+            return used;
+        });
+        if (inUse) {
+            return res.status(409).json({ message: `Projects or borrowers still hold ${inUse} of this tool; get it back first` });
+        }
 
         res.status(204).end(); // No content in response
 
@@ -260,7 +330,105 @@ router.delete('/delete-tool/:userID/:toolID', async (req, res) => {
         console.error("Error deleting tool:", err);
         res.status(500).json({ message: "Internal server error" });
     }
+};
+router.delete('/delete-tool/:toolID', deleteTool);
+/**
+ * @openapi
+ * /api/tool/delete-tool/{userID}/{toolID}:
+ *   delete:
+ *     tags:
+ *       - Tool Controller
+ *     summary: Delete a specific tool for a user (deprecated alias of /api/tool/delete-tool/{toolID})
+ *     deprecated: true
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Must match the authenticated user.
+ *       - in: path
+ *         name: toolID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the tool to delete.
+ *     responses:
+ *       403:
+ *         description: Forbidden - userID does not match the authenticated user.
+ */
+router.delete('/delete-tool/:userID/:toolID', deprecatedParamMiddleware('userID'), deleteTool);
+
+/**
+ * @openapi
+ * /api/tool/availability/{toolID}:
+ *   get:
+ *     tags:
+ *       - Tool Controller
+ *     summary: How many units of a tool are free to borrow
+ *     description: Computed from the tool's totalQuantity, the units its owner's projects use and the units approved and checked out loans hold.
+ *     parameters:
+ *       - in: path
+ *         name: toolID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalQuantity:
+ *                   type: integer
+ *                 inProjects:
+ *                   type: integer
+ *                 onLoan:
+ *                   type: integer
+ *                   description: Units of approved and checked out loans.
+ *                 available:
+ *                   type: integer
+ *                 nextDueDate:
+ *                   type: string
+ *                   format: date
+ *                   description: The earliest due date of the checked out loans, or null.
+ *       404:
+ *         description: Not Found - Tool not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/availability/:toolID', async (req, res) => {
+    try {
+        const tool = await Tool.findByPk(req.params.toolID);
+        if (!tool) {
+            return res.status(404).json({ message: "Tool not found" });
+        }
+        const inProjects = (await ProjectTool.sum('quantityUsed', { where: { toolID: tool.toolID } })) || 0;
+        const loans = await ToolLoan.findAll({
+            where: { toolID: tool.toolID, status: { [Op.in]: ACTIVE_LOAN_STATUSES } },
+            attributes: ['quantity', 'status', 'dueDate']
+        });
+        const onLoan = loans.reduce((sum, loan) => sum + loan.quantity, 0);
+        const dueDates = loans.filter(loan => loan.status === 'checked out').map(loan => loan.dueDate).sort();
+        res.status(200).json({
+            toolID: tool.toolID,
+            toolName: tool.toolName,
+            totalQuantity: tool.totalQuantity,
+            inProjects,
+            onLoan,
+            available: Math.max(tool.totalQuantity - inProjects - onLoan, 0),
+            nextDueDate: dueDates[0] || null
+        });
+    } catch (err) {
+        console.error("Error getting tool availability:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
 });
+
+// Borrowing tools of other users: /loans and /loans/:loanID
+router.use('/loans', toolLoansRouter);
 //router.use(errorHandlerMiddleware);
 
 module.exports = router;
\ No newline at end of file
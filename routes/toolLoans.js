@@ -0,0 +1,446 @@
+const express = require('express');
+// Mounted by the tool router under /loans, which already authenticates and rate limits
+const router = express.Router({ mergeParams: true });
+const { Op } = require('sequelize');
+const sequelize = require('../modals/db');
+const Tool = require('../models/Tool');
+const Project = require('../models/Project');
+const ToolLoan = require('../models/ToolLoan');
+const { SEAT_ROLES, getMemberRole } = require('../utils/membership');
+const { INVENTORIES, isQuantity } = require('../utils/inventory');
+const { LOAN_ACTIONS, overdueWhere, moveLoan } = require('../utils/toolLoans');
+const { isDateOnly, today } = require('../utils/dates');
+
+// The sides the user is on in a loan
+const partiesOf = (loan, userID) => [
+    ...(loan.ownerID === userID ? ['owner'] : []),
+    ...(loan.borrowerID === userID ? ['borrower'] : [])
+];
+
+const withDaysOverdue = (loan) => ({
+    ...loan.toJSON(),
+    daysOverdue: Math.round((new Date(today()) - new Date(loan.dueDate)) / 86400000)
+});
+
+/**
+ * @openapi
+ * /api/tool/loans:
+ *   post:
+ *     tags:
+ *       - Tool Controller
+ *     summary: Ask to borrow a tool of another user for a project
+ *     description: The owner of the tool approves or rejects the request. The borrower must be the creator or a collaborator of the project.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - toolID
+ *               - projectID
+ *               - dueDate
+ *             properties:
+ *               toolID:
+ *                 type: integer
+ *               projectID:
+ *                 type: integer
+ *                 description: The project the tool is borrowed for.
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *                 description: When the tool has to be back, from today on.
+ *               notes:
+ *                 type: string
+ *                 description: Message for the owner.
+ *     responses:
+ *       201:
+ *         description: Loan requested successfully
+ *       400:
+ *         description: Bad Request - Invalid quantity or due date, more units than the owner has, or a tool of your own.
+ *       403:
+ *         description: Forbidden - You are not the creator or a collaborator of the project.
+ *       404:
+ *         description: Not Found - Tool or project not found.
+ *       409:
+ *         description: Conflict - You already requested this tool for the project.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { toolID, projectID, dueDate, notes } = req.body;
+        const quantity = req.body.quantity === undefined ? 1 : req.body.quantity;
+        const borrowerID = req.user.userID;
+
+        const tool = await Tool.findByPk(toolID);
+        if (!tool) {
+            return res.status(404).json({ message: "Tool not found" });
+        }
+        const project = await Project.findByPk(projectID);
+        if (!project) {
+            return res.status(404).json({ message: "Project not found" });
+        }
+        if (tool.userID === borrowerID) {
+            return res.status(400).json({ message: "You cannot borrow your own tool" });
+        }
+        if (!SEAT_ROLES.includes(await getMemberRole(project, borrowerID))) {
+            return res.status(403).json({ message: "Only the creator and collaborators of the project can borrow tools for it" });
+        }
+        if (!isQuantity(INVENTORIES.tool, quantity)) {
+            return res.status(400).json({ message: "Quantity must be a whole number greater than zero" });
+        }
+        if (quantity > tool.totalQuantity) {
+            return res.status(400).json({ message: "The owner does not have that many of this tool" });
+        }
+        if (!isDateOnly(dueDate) || dueDate < today()) {
+            return res.status(400).json({ message: "dueDate must be a date (YYYY-MM-DD) from today on" });
+        }
+        const pending = await ToolLoan.findOne({
+            where: { toolID: tool.toolID, projectID: project.projectID, borrowerID, status: 'requested' }
+        });
+        if (pending) {
+            return res.status(409).json({ message: "You already requested this tool for the project" });
+        }
+
+        const loan = await ToolLoan.create({
+            toolID: tool.toolID,
+            ownerID: tool.userID,
+            borrowerID,
+            projectID: project.projectID,
+            quantity,
+            dueDate,
+            notes: notes || null
+        });
+        res.status(201).json(loan);
+    } catch (err) {
+        console.error("Error requesting tool loan:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/tool/loans:
+ *   get:
+ *     tags:
+ *       - Tool Controller
+ *     summary: List the loans of your tools and the tools you borrowed
+ *     parameters:
+ *       - in: query
+ *         name: as
+ *         schema:
+ *           type: string
+ *           enum: [owner, borrower]
+ *         description: Only list the loans of your tools (owner) or the ones you borrowed (borrower).
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, cancelled, checked out, returned]
+ *         description: Only list loans with this status.
+ *     responses:
+ *       200:
+ *         description: Successful operation, newest requests first.
+ *       400:
+ *         description: Bad Request - Invalid as or status.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { as, status } = req.query;
+        const userID = req.user.userID;
+        if (as !== undefined && as !== 'owner' && as !== 'borrower') {
+            return res.status(400).json({ message: "as must be owner or borrower" });
+        }
+        if (status !== undefined && !ToolLoan.rawAttributes.status.values.includes(status)) {
+            return res.status(400).json({ message: "Invalid status" });
+        }
+        const where = as ? { [`${as}ID`]: userID } : { [Op.or]: [{ ownerID: userID }, { borrowerID: userID }] };
+        if (status) {
+            where.status = status;
+        }
+        const loans = await ToolLoan.findAll({ where, order: [['requestedAt', 'DESC'], ['loanID', 'DESC']] });
+        res.status(200).json(loans);
+    } catch (err) {
+        console.error("Error listing tool loans:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/tool/loans/overdue:
+ *   get:
+ *     tags:
+ *       - Tool Controller
+ *     summary: List the checked out loans past their due date
+ *     description: Split into the tools you lent and the ones you borrowed, the most overdue first.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 lent:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 borrowed:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/overdue', async (req, res) => {
+    try {
+        const userID = req.user.userID;
+        const order = [['dueDate', 'ASC'], ['loanID', 'ASC']];
+        const lent = await ToolLoan.findAll({ where: { ...overdueWhere(), ownerID: userID }, order });
+        const borrowed = await ToolLoan.findAll({ where: { ...overdueWhere(), borrowerID: userID }, order });
+        res.status(200).json({ lent: lent.map(withDaysOverdue), borrowed: borrowed.map(withDaysOverdue) });
+    } catch (err) {
+        console.error("Error listing overdue tool loans:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * @openapi
+ * /api/tool/loans/{loanID}:
+ *   get:
+ *     tags:
+ *       - Tool Controller
+ *     summary: Get a loan you are the owner or the borrower of
+ *     parameters:
+ *       - in: path
+ *         name: loanID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       404:
+ *         description: Not Found - Loan not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:loanID', async (req, res) => {
+    try {
+        const loan = await ToolLoan.findByPk(req.params.loanID);
+        if (!loan || !partiesOf(loan, req.user.userID).length) {
+            return res.status(404).json({ message: "Loan not found" });
+        }
+        res.status(200).json(loan);
+    } catch (err) {
+        console.error("Error getting tool loan:", err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+/**
+ * Builds the handler moving a loan on with one of LOAN_ACTIONS. The loan is locked for the change;
+ * approving sets its units of the tool aside, and cancelling an approved loan or returning the
+ * tool frees them.
+ */
+const act = (action) => async (req, res) => {
+    try {
+        const rule = LOAN_ACTIONS[action];
+        const result = await sequelize.transaction(async (transaction) => {
+            const loan = await ToolLoan.findByPk(req.params.loanID, { transaction, lock: transaction.LOCK.UPDATE });
+            const parties = loan ? partiesOf(loan, req.user.userID) : [];
+            if (!parties.length) {
+                return { error: { status: 404, message: "Loan not found" } };
+            }
+            if (!rule.by.some(party => parties.includes(party))) {
+                return { error: { status: 403, message: `Only the ${rule.by.join(' or ')} can ${action} this loan` } };
+            }
+            if (!rule.from.includes(loan.status)) {
+                return { error: { status: 409, message: `A loan that is ${loan.status} cannot be moved to ${rule.to}` } };
+            }
+            const fields = { [rule.at]: new Date() };
+            if (rule.condition && req.body.condition !== undefined) {
+                fields[rule.condition] = req.body.condition;
+            }
+            if (!(await moveLoan(loan, rule.to, fields, transaction))) {
+                return { error: { status: 400, message: "Insufficient quantity of the tool available" } };
+            }
+            return { loan };
+        });
+        if (result.error) {
+            return res.status(result.error.status).json({ message: result.error.message });
+        }
+        res.status(200).json(result.loan);
+    } catch (err) {
+        console.error(`Error on tool loan ${action}:`, err);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+/**
+ * @openapi
+ * /api/tool/loans/{loanID}/approve:
+ *   put:
+ *     tags:
+ *       - Tool Controller
+ *     summary: Approve a loan request of your tool
+ *     description: Sets the units of the loan aside from the tool's available units until the tool is returned or the loan cancelled.
+ *     parameters:
+ *       - in: path
+ *         name: loanID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Loan approved successfully
+ *       400:
+ *         description: Bad Request - Not enough units of the tool are available.
+ *       403:
+ *         description: Forbidden - You are not the owner of the tool.
+ *       404:
+ *         description: Not Found - Loan not found.
+ *       409:
+ *         description: Conflict - The loan is no longer requested.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/:loanID/approve', act('approve'));
+
+/**
+ * @openapi
+ * /api/tool/loans/{loanID}/reject:
+ *   put:
+ *     tags:
+ *       - Tool Controller
+ *     summary: Reject a loan request of your tool
+ *     parameters:
+ *       - in: path
+ *         name: loanID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Loan rejected successfully
+ *       403:
+ *         description: Forbidden - You are not the owner of the tool.
+ *       404:
+ *         description: Not Found - Loan not found.
+ *       409:
+ *         description: Conflict - The loan is no longer requested.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/:loanID/reject', act('reject'));
+
+/**
+ * @openapi
+ * /api/tool/loans/{loanID}/cancel:
+ *   put:
+ *     tags:
+ *       - Tool Controller
+ *     summary: Cancel a loan before the tool is handed over
+ *     description: Open to the borrower and the owner. The units of an approved loan are free again.
+ *     parameters:
+ *       - in: path
+ *         name: loanID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Loan cancelled successfully
+ *       404:
+ *         description: Not Found - Loan not found.
+ *       409:
+ *         description: Conflict - The tool was already handed over, or the loan is closed.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/:loanID/cancel', act('cancel'));
+
+/**
+ * @openapi
+ * /api/tool/loans/{loanID}/checkout:
+ *   put:
+ *     tags:
+ *       - Tool Controller
+ *     summary: Hand an approved loan over to the borrower
+ *     parameters:
+ *       - in: path
+ *         name: loanID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               condition:
+ *                 type: string
+ *                 description: Condition of the tool when it leaves.
+ *     responses:
+ *       200:
+ *         description: Loan checked out successfully
+ *       403:
+ *         description: Forbidden - You are not the owner of the tool.
+ *       404:
+ *         description: Not Found - Loan not found.
+ *       409:
+ *         description: Conflict - The loan is not approved.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/:loanID/checkout', act('checkout'));
+
+/**
+ * @openapi
+ * /api/tool/loans/{loanID}/return:
+ *   put:
+ *     tags:
+ *       - Tool Controller
+ *     summary: Record that a checked out tool came back
+ *     description: The units of the loan are free again.
+ *     parameters:
+ *       - in: path
+ *         name: loanID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               condition:
+ *                 type: string
+ *                 description: Condition of the tool when it came back.
+ *     responses:
+ *       200:
+ *         description: Loan returned successfully
+ *       403:
+ *         description: Forbidden - You are not the owner of the tool.
+ *       404:
+ *         description: Not Found - Loan not found.
+ *       409:
+ *         description: Conflict - The loan is not checked out.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/:loanID/return', act('return'));
+
+module.exports = router;
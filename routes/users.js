@@ -2,26 +2,54 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
 const User = require('../models/User');
+const sequelize = require('../modals/db');
 const {isEmail} = require("validator");
-const jwt=require("jsonwebtoken");
-const axios = require('axios');
+const { startSession, rotateSession, revokeFamily, revokeUserSessions, clearTokens } = require('../utils/session');
+const { createUserToken, consumeUserToken } = require('../utils/userTokens');
+const { sendMail } = require('../utils/mailer');
+const { deleteAccount } = require('../utils/accountDeletion');
+const authConfig = require('../config/auth.config');
+const mailConfig = require('../config/mail.config');
+const rateLimitConfig = require('../config/rateLimit.config');
+const { getLockout, recordFailure, recordSuccess } = require('../utils/loginLockout');
 
 //const loggingMiddleware = require('../middleware/logMiddleware');
 const authMiddleware = require('../middleware/authMiddleware');
+const deprecatedParamMiddleware = require('../middleware/deprecatedParamMiddleware');
 //const errorHandlerMiddleware = require('../middleware/errHandMiddleware');
 //const validationMiddleware = require('../middleware/validMiddleware');
-//const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
+const rateLimitingMiddleware = require('../middleware/rateLimMiddleware');
 //router.use(authMiddleware);
 //router.use(loggingMiddleware);
 //router.use(validationMiddleware);
-//router.use(rateLimitingMiddleware);
-
-const createToken=(id)=>{
-  return jwt.sign({id},
-      'An-najah national university',
-      {expiresIn: 1800}//30 min (60*30)
-  );
-}
+const limitUsers = rateLimitingMiddleware(rateLimitConfig.users, { name: 'users' });
+// Signed-in routes are limited after authentication, so the account's own budget applies on top of the IP's
+const authenticated = [authMiddleware, limitUsers];
+
+const DUMMY_HASH = bcrypt.hashSync('communicraft-dummy-password', 10);
+
+// The email checks shared by signup and change-email; resolves to an error response or null
+const checkNewEmail = async (email) => {
+  // Check if email is a valid format using validator
+  if (!isEmail(email)) {
+    return { status: 401, message: "Invalid email format" };
+  }
+  // Check if email already exists in the database
+  const existingUser = await User.findOne({ where: { email } });
+  if (existingUser) {
+    return { status: 403, message: "Email already exists" };
+  }
+  return null;
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user.userID, 'email_verification', authConfig.EMAIL_VERIFICATION_EXPIRES_IN);
+  await sendMail({
+    to: user.email,
+    subject: "Verify your CommuniCraft email",
+    text: `Hi ${user.userName},\n\nConfirm your email address by opening this link:\n${mailConfig.APP_URL}/users/verify-email/${token}\n`
+  });
+};
 /**
  * @openapi
  * /api/user/signup:
@@ -61,7 +89,7 @@ const createToken=(id)=>{
  *                 description: The location of the user.
  *     responses:
  *       201:
- *         description: User signed up successfully
+ *         description: User signed up successfully. A verification link is sent to the email address; the account cannot log in until it is verified.
  *       400:
  *         description: Bad Request - Missing required fields or invalid data format.
  *       401:
@@ -71,7 +99,7 @@ const createToken=(id)=>{
  *       500:
  *         description: Internal server error.
  */
-router.post('/signup', async (req, res) => {
+router.post('/signup', limitUsers, async (req, res) => {
   try {
     const { userName, email, password, interests, location } = req.body;
 
@@ -80,15 +108,9 @@ router.post('/signup', async (req, res) => {
       return res.status(400).json({ message: "All fields are required" });
     }
 
-    // Check if email is a valid format using validator
-    if (!isEmail(email)) {
-      return res.status(401).json({ message: "Invalid email format" });
-    }
-
-    // Check if email already exists in the database
-    const existingUser = await User.findOne({ where: { email } });
-    if (existingUser) {
-      return res.status(403).json({ message: "Email already exists" });
+    const emailError = await checkNewEmail(email);
+    if (emailError) {
+      return res.status(emailError.status).json({ message: emailError.message });
     }
 
     // Hash password
@@ -103,9 +125,8 @@ router.post('/signup', async (req, res) => {
       location
     });
     const { userID } = newUser;
-    const token=createToken(userID);
-    res.cookie('jwt',token,{httpOnly:true,maxAge:1200*1000});
-    res.status(201).json({ message: "User signed up successfully",user:userID});
+    await sendVerificationEmail(newUser);
+    res.status(201).json({ message: "User signed up successfully, please verify your email", user: userID });
   } catch (err) {
     console.error("Error signing up user:", err);
     res.status(500).json({ message: "Internal server error" });
@@ -139,17 +160,19 @@ router.post('/signup', async (req, res) => {
  *                 description: The password of the user.
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. The access token is returned in the body, the Authorization header and the `jwt` cookie; the refresh token in the body and the `refreshToken` cookie.
  *       400:
  *         description: Bad Request - Missing required fields or invalid data format.
  *       401:
  *         description: Unauthorized - Invalid email or password.
- *       404:
- *         description: Not Found - User not found.
+ *       403:
+ *         description: Forbidden - Account suspended or email not verified.
+ *       429:
+ *         description: Too Many Requests - Too many failed logins; retry after the number of seconds in the Retry-After header.
  *       500:
  *         description: Internal server error.
  */
-router.post('/login', async (req, res) => {
+router.post('/login', limitUsers, async (req, res) => {
   try {
     const { email, password } = req.body;
     // Check if required fields are provided
@@ -157,27 +180,39 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: "Email and password are required" });
     }
 
+    const retryAfter = await getLockout(email, req.ip);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: "Too many failed login attempts, please try again later" });
+    }
+
     // Find user by email using Sequelize model
     const user = await User.findOne({
       where: { email: email }
     });
 
-    // If user not found
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+    // Compare passwords; unknown emails are compared against a dummy hash so both cases take as long
+    // and get the same answer, which keeps accounts from being enumerated
+    const passwordMatch = await bcrypt.compare(password, user ? user.password : DUMMY_HASH);
+    if (!user || !passwordMatch) {
+      await recordFailure(email, req.ip);
+      return res.status(401).json({ message: "Invalid email or password" });
     }
+    await recordSuccess(email, req.ip);
 
-    // Compare passwords
-    const passwordMatch = await bcrypt.compare(password, user.password);
-    if (!passwordMatch) {
-      return res.status(401).json({ message: "Invalid password" });
+    if (user.isSuspended) {
+      return res.status(403).json({ message: "Account suspended" });
+    }
+    if (!user.isEmailVerified) {
+      return res.status(403).json({ message: "Please verify your email before logging in" });
     }
 
     // Password is correct
     // Omitting the password field from the user object before sending it in the response
     const userWithoutPassword = { ...user.toJSON() };
     delete userWithoutPassword.password;
-    res.status(200).json({ message: "Login successful", user: userWithoutPassword });
+    const { accessToken, refreshToken } = await startSession(res, user.userID);
+    res.status(200).json({ message: "Login successful", user: userWithoutPassword, token: accessToken, refreshToken });
 
   } catch (err) {
     console.error("Error logging in user:", err);
@@ -187,18 +222,506 @@ router.post('/login', async (req, res) => {
 
 /**
  * @openapi
- * /api/user/edit-user/{userID}:
+ * /api/user/refresh:
+ *   post:
+ *     tags:
+ *       - User Controller
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: The refresh token is read from the `refreshToken` cookie or the request body. Each refresh token can be used once; reusing a rotated token revokes the whole session.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: The refresh token, when it is not sent as a cookie.
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *       400:
+ *         description: Bad Request - Refresh token is required.
+ *       401:
+ *         description: Unauthorized - Invalid, expired or reused refresh token.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/refresh', limitUsers, async (req, res) => {
+  try {
+    const presentedToken = req.cookies.refreshToken || req.body.refreshToken;
+    if (!presentedToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const result = await rotateSession(res, presentedToken);
+    if (result.error === 'reused') {
+      clearTokens(res);
+      return res.status(401).json({ message: "Refresh token reuse detected, session revoked" });
+    }
+    if (result.error) {
+      clearTokens(res);
+      return res.status(401).json({ message: "Invalid or expired refresh token" });
+    }
+
+    res.status(200).json({ message: "Token refreshed successfully", token: result.accessToken, refreshToken: result.refreshToken });
+  } catch (err) {
+    console.error("Error refreshing token:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/user/logout:
+ *   post:
+ *     tags:
+ *       - User Controller
+ *     summary: Log out of the current session
+ *     responses:
+ *       204:
+ *         description: Session revoked successfully
+ *       401:
+ *         description: Unauthorized - Missing or invalid access token.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/logout', authenticated, async (req, res) => {
+  try {
+    await revokeFamily(req.sessionFamilyID);
+    clearTokens(res);
+    res.status(204).end(); // No content in response
+  } catch (err) {
+    console.error("Error logging out user:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/user/logout-all:
+ *   post:
+ *     tags:
+ *       - User Controller
+ *     summary: Log out of every session of the authenticated user
+ *     responses:
+ *       204:
+ *         description: All sessions revoked successfully
+ *       401:
+ *         description: Unauthorized - Missing or invalid access token.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/logout-all', authenticated, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.userID);
+    clearTokens(res);
+    res.status(204).end(); // No content in response
+  } catch (err) {
+    console.error("Error logging out user sessions:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/user/verify-email/{token}:
+ *   get:
+ *     tags:
+ *       - User Controller
+ *     summary: Verify the email address of a user
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The verification token sent by email.
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Bad Request - Invalid, used or expired token.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/verify-email/:token', limitUsers, async (req, res) => {
+  try {
+    const userToken = await consumeUserToken(req.params.token, 'email_verification');
+    if (!userToken) {
+      return res.status(400).json({ message: "Invalid or expired verification link" });
+    }
+
+    await User.update({ isEmailVerified: true }, { where: { userID: userToken.userID } });
+    res.status(200).json({ message: "Email verified successfully" });
+  } catch (err) {
+    console.error("Error verifying email:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/user/resend-verification:
+ *   post:
+ *     tags:
+ *       - User Controller
+ *     summary: Send a new email verification link
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: The email address of the user.
+ *     responses:
+ *       200:
+ *         description: A link is sent if an unverified account uses this email.
+ *       400:
+ *         description: Bad Request - Email is required.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/resend-verification', limitUsers, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const user = await User.findOne({ where: { email } });
+    if (user && !user.isEmailVerified) {
+      await sendVerificationEmail(user);
+    }
+    // Same answer whether or not the account exists
+    res.status(200).json({ message: "If an unverified account uses this email, a new link has been sent" });
+  } catch (err) {
+    console.error("Error resending verification email:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/user/forgot-password:
+ *   post:
+ *     tags:
+ *       - User Controller
+ *     summary: Request a password reset link
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: The email address of the user.
+ *     responses:
+ *       200:
+ *         description: A reset link is sent if an account uses this email.
+ *       400:
+ *         description: Bad Request - Email is required.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/forgot-password', limitUsers, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const user = await User.findOne({ where: { email } });
+    if (user) {
+      const token = await createUserToken(user.userID, 'password_reset', authConfig.PASSWORD_RESET_EXPIRES_IN);
+      await sendMail({
+        to: user.email,
+        subject: "Reset your CommuniCraft password",
+        text: `Hi ${user.userName},\n\nYou can choose a new password by sending it to:\n${mailConfig.APP_URL}/users/reset-password/${token}\n\nIf you did not ask for this, you can ignore this email.\n`
+      });
+    }
+    // Same answer whether or not the account exists
+    res.status(200).json({ message: "If an account uses this email, a reset link has been sent" });
+  } catch (err) {
+    console.error("Error requesting password reset:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/user/reset-password/{token}:
+ *   post:
+ *     tags:
+ *       - User Controller
+ *     summary: Set a new password with a reset token
+ *     description: The token can be used once. All sessions of the user are revoked.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The reset token sent by email.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: The new password, at least 8 characters.
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Bad Request - Password too short, or invalid, used or expired token.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/reset-password/:token', limitUsers, async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (!password || password.length < 8) {
+      return res.status(400).json({ message: "Minimum password length is 8 characters" });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const userToken = await sequelize.transaction(async (transaction) => {
+      const consumed = await consumeUserToken(req.params.token, 'password_reset', transaction);
+      if (consumed) {
+        // Following the emailed link also proves the address belongs to the user
+        await User.update({ password: hashedPassword, isEmailVerified: true }, {
+          where: { userID: consumed.userID },
+          transaction
+        });
+      }
+      return consumed;
+    });
+    if (!userToken) {
+      return res.status(400).json({ message: "Invalid or expired reset link" });
+    }
+
+    await revokeUserSessions(userToken.userID);
+    res.status(200).json({ message: "Password reset successfully" });
+  } catch (err) {
+    console.error("Error resetting password:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/user/change-password:
  *   put:
  *     tags:
  *       - User Controller
- *     summary: Edit user information
+ *     summary: Change the password of the authenticated user
+ *     description: Requires the current password. Every other session of the user is revoked.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *                 description: The current password of the user.
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 description: The new password, at least 8 characters.
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Bad Request - Missing fields or new password too short.
+ *       401:
+ *         description: Unauthorized - Current password is incorrect.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/change-password', authenticated, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: "Current password and new password are required" });
+    }
+    if (newPassword.length < 8) {
+      return res.status(400).json({ message: "Minimum password length is 8 characters" });
+    }
+
+    // req.user has no password hash, so load the full row to re-authenticate
+    const user = await User.findByPk(req.user.userID);
+    const passwordMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!passwordMatch) {
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+    await revokeUserSessions(user.userID, req.sessionFamilyID);
+
+    res.status(200).json({ message: "Password changed successfully" });
+  } catch (err) {
+    console.error("Error changing password:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/user/change-email:
+ *   put:
+ *     tags:
+ *       - User Controller
+ *     summary: Request a change of the email address of the authenticated user
+ *     description: Requires the current password. The change only takes effect once it is confirmed through the link sent to the new address.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newEmail
+ *               - password
+ *             properties:
+ *               newEmail:
+ *                 type: string
+ *                 format: email
+ *                 description: The new email address.
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: The current password of the user.
+ *     responses:
+ *       202:
+ *         description: Confirmation link sent to the new address
+ *       400:
+ *         description: Bad Request - Missing fields.
+ *       401:
+ *         description: Unauthorized - Invalid email format or incorrect password.
+ *       403:
+ *         description: Forbidden - Email already exists.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/change-email', authenticated, async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+    if (!newEmail || !password) {
+      return res.status(400).json({ message: "New email and password are required" });
+    }
+
+    const user = await User.findByPk(req.user.userID);
+    const passwordMatch = await bcrypt.compare(password, user.password);
+    if (!passwordMatch) {
+      return res.status(401).json({ message: "Password is incorrect" });
+    }
+
+    const emailError = await checkNewEmail(newEmail);
+    if (emailError) {
+      return res.status(emailError.status).json({ message: emailError.message });
+    }
+
+    const token = await createUserToken(user.userID, 'email_change', authConfig.EMAIL_CHANGE_EXPIRES_IN, { newEmail });
+    await sendMail({
+      to: newEmail,
+      subject: "Confirm your new CommuniCraft email",
+      text: `Hi ${user.userName},\n\nConfirm that this is your new email address by opening this link:\n${mailConfig.APP_URL}/users/confirm-email-change/${token}\n`
+    });
+    await sendMail({
+      to: user.email,
+      subject: "Your CommuniCraft email is being changed",
+      text: `Hi ${user.userName},\n\nA change of your account email to ${newEmail} was requested. If this was not you, change your password now.\n`
+    });
+
+    res.status(202).json({ message: "A confirmation link has been sent to the new email address" });
+  } catch (err) {
+    console.error("Error changing email:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/user/confirm-email-change/{token}:
+ *   get:
+ *     tags:
+ *       - User Controller
+ *     summary: Confirm a new email address
  *     parameters:
  *       - in: path
- *         name: userID
+ *         name: token
  *         required: true
  *         schema:
- *           type: integer
- *         description: The ID of the user to edit.
+ *           type: string
+ *         description: The confirmation token sent to the new address.
+ *     responses:
+ *       200:
+ *         description: Email changed successfully
+ *       400:
+ *         description: Bad Request - Invalid, used or expired token.
+ *       403:
+ *         description: Forbidden - Email already exists.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/confirm-email-change/:token', limitUsers, async (req, res) => {
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const userToken = await consumeUserToken(req.params.token, 'email_change', transaction);
+      if (!userToken) {
+        return { status: 400, message: "Invalid or expired confirmation link" };
+      }
+      // The address may have been taken since the change was requested
+      const existingUser = await User.findOne({ where: { email: userToken.newEmail }, transaction });
+      if (existingUser) {
+        return { status: 403, message: "Email already exists" };
+      }
+      await User.update({ email: userToken.newEmail, isEmailVerified: true }, {
+        where: { userID: userToken.userID },
+        transaction
+      });
+      return { status: 200, message: "Email changed successfully" };
+    });
+    res.status(result.status).json({ message: result.message });
+  } catch (err) {
+    console.error("Error confirming email change:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/user/edit-user:
+ *   put:
+ *     tags:
+ *       - User Controller
+ *     summary: Edit user information
  *     requestBody:
  *       required: true
  *       content:
@@ -225,10 +748,10 @@ router.post('/login', async (req, res) => {
  *       500:
  *         description: Internal server error.
  */
-router.put('/edit-user/:userID', async (req, res) => {
+const editUser = async (req, res) => {
   try {
     const { userName, interests, location } = req.body;
-    const userID = req.params.userID;
+    const userID = req.user.userID;
 
     // Check if at least one field is provided
     if (!userName && !interests && !location) {
@@ -257,7 +780,28 @@ router.put('/edit-user/:userID', async (req, res) => {
     console.error("Error editing user information:", err);
     res.status(500).json({ message: "Internal server error" });
   }
-});
+};
+router.put('/edit-user', authenticated, editUser);
+/**
+ * @openapi
+ * /api/user/edit-user/{userID}:
+ *   put:
+ *     tags:
+ *       - User Controller
+ *     summary: Edit user information (deprecated alias of /api/user/edit-user)
+ *     deprecated: true
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Must match the authenticated user.
+ *     responses:
+ *       403:
+ *         description: Forbidden - userID does not match the authenticated user.
+ */
+router.put('/edit-user/:userID', authenticated, deprecatedParamMiddleware('userID'), editUser);
 /**
  * @openapi
  * /api/user/get-user/{userID}:
@@ -298,7 +842,7 @@ router.put('/edit-user/:userID', async (req, res) => {
  *       500:
  *         description: Internal server error.
  */
-router.get('/get-user/:userID', async (req, res) => {
+router.get('/get-user/:userID', limitUsers, async (req, res) => {
   try {
     const userID = req.params.userID;
 
@@ -322,18 +866,11 @@ router.get('/get-user/:userID', async (req, res) => {
 
 /**
  * @openapi
- * /api/user/delete-user/{userID}:
+ * /api/user/delete-user:
  *   delete:
  *     tags:
  *       - User Controller
  *     summary: Delete a user and all related tools, materials, and skills
- *     parameters:
- *       - in: path
- *         name: userID
- *         required: true
- *         schema:
- *           type: integer
- *         description: The ID of the user to delete.
  *     responses:
  *       204:
  *         description: User and related data deleted successfully
@@ -342,9 +879,9 @@ router.get('/get-user/:userID', async (req, res) => {
  *       500:
  *         description: Internal server error.
  */
-router.delete('/delete-user/:userID', async (req, res) => {
+const deleteUser = async (req, res) => {
   try {
-    const userID = req.params.userID;
+    const userID = req.user.userID;
 
     // Find user by userID using Sequelize model
     const user = await User.findByPk(userID);
@@ -354,8 +891,7 @@ router.delete('/delete-user/:userID', async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Delete the user
-    await user.destroy();
+    await sequelize.transaction((transaction) => deleteAccount(user, transaction));
 
     res.status(204).end(); // No content in response
 
@@ -363,7 +899,28 @@ router.delete('/delete-user/:userID', async (req, res) => {
     console.error("Error deleting user:", err);
     res.status(500).json({ message: "Internal server error" });
   }
-});
+};
+router.delete('/delete-user', authenticated, deleteUser);
+/**
+ * @openapi
+ * /api/user/delete-user/{userID}:
+ *   delete:
+ *     tags:
+ *       - User Controller
+ *     summary: Delete a user and all related tools, materials, and skills (deprecated alias of /api/user/delete-user)
+ *     deprecated: true
+ *     parameters:
+ *       - in: path
+ *         name: userID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Must match the authenticated user.
+ *     responses:
+ *       403:
+ *         description: Forbidden - userID does not match the authenticated user.
+ */
+router.delete('/delete-user/:userID', authenticated, deprecatedParamMiddleware('userID'), deleteUser);
 //router.use(errorHandlerMiddleware);
 
 module.exports = router;
\ No newline at end of file
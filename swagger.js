@@ -14,7 +14,22 @@ const options = {
                 url: "http://localhost:3000/",
                 description: "Local server"
             }
-        ]
+        ],
+        components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    bearerFormat: 'JWT'
+                },
+                cookieAuth: {
+                    type: 'apiKey',
+                    in: 'cookie',
+                    name: 'jwt'
+                }
+            }
+        },
+        security: [{ bearerAuth: [] }, { cookieAuth: [] }]
     },
     // looks for configuration in specified directories
     apis: ['./routes/*.js'],
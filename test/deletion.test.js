@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+const userID = async (userName) => (await server.sequelize.models.user.findOne({ where: { userName } })).userID;
+
+// A week from today, as a loan due date
+const dueDate = () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+test('a user who signed in can delete their account', async () => {
+    const token = await server.createUser('leaving');
+    const id = await userID('leaving');
+    const { refresh_token: RefreshToken, user_token: UserToken } = server.sequelize.models;
+    assert.ok(await RefreshToken.count({ where: { userID: id } }) > 0);
+    assert.ok(await UserToken.count({ where: { userID: id } }) > 0);
+
+    const response = await server.call('DELETE', '/users/delete-user', null, token);
+
+    assert.strictEqual(response.status, 204);
+    assert.strictEqual(await server.sequelize.models.user.findByPk(id), null);
+    assert.strictEqual(await RefreshToken.count({ where: { userID: id } }), 0);
+    assert.strictEqual(await UserToken.count({ where: { userID: id } }), 0);
+});
+
+test('an admin can delete the account of a user who signed in', async () => {
+    const adminToken = await server.createUser('admin');
+    await server.sequelize.models.user.update({ role: 'admin' }, { where: { userName: 'admin' } });
+    await server.createUser('removed');
+    const id = await userID('removed');
+
+    const response = await server.call('DELETE', `/admin/users/${id}`, { reason: 'spam' }, adminToken);
+
+    assert.strictEqual(response.status, 204);
+    assert.strictEqual(await server.sequelize.models.user.findByPk(id), null);
+});
+
+test('a tool with loan history can be deleted', async () => {
+    const ownerToken = await server.createUser('lender');
+    const borrowerToken = await server.createUser('borrower');
+    const projectID = await server.createProject(borrowerToken, 'Quilt');
+    const added = await server.call('POST', '/tool/add-tool', { toolName: 'loom', quantity: 2, cost: 50 }, ownerToken);
+    assert.strictEqual(added.status, 201, JSON.stringify(added.body));
+    const tool = await server.sequelize.models.tool.findOne({ where: { toolName: 'loom' } });
+    const rejected = await server.call('POST', '/tool/loans', { toolID: tool.toolID, projectID, dueDate: dueDate() }, borrowerToken);
+    assert.strictEqual(rejected.status, 201, JSON.stringify(rejected.body));
+    assert.strictEqual((await server.call('PUT', `/tool/loans/${rejected.body.loanID}/reject`, {}, ownerToken)).status, 200);
+    const waiting = await server.call('POST', '/tool/loans', { toolID: tool.toolID, projectID, dueDate: dueDate() }, borrowerToken);
+    assert.strictEqual(waiting.status, 201, JSON.stringify(waiting.body));
+
+    const response = await server.call('DELETE', `/tool/delete-tool/${tool.toolID}`, null, ownerToken);
+
+    assert.strictEqual(response.status, 204);
+    const loans = await server.sequelize.models.tool_loan.findAll({ order: [['loanID', 'ASC']] });
+    assert.deepStrictEqual(loans.map((loan) => [loan.toolID, loan.status]), [[null, 'rejected'], [null, 'cancelled']]);
+});
+
+test('a material with share request history can be deleted', async () => {
+    const ownerToken = await server.createUser('sharer');
+    const requesterToken = await server.createUser('requester');
+    const projectID = await server.createProject(requesterToken, 'Rug');
+    const added = await server.call('POST', '/material/add-material', { materialName: 'jute', quantity: 10, cost: 2 }, ownerToken);
+    assert.strictEqual(added.status, 201, JSON.stringify(added.body));
+    const { materialID } = added.body.material;
+    const rejected = await server.call('POST', '/material/requests', { materialID, projectID, quantity: 3 }, requesterToken);
+    assert.strictEqual(rejected.status, 201, JSON.stringify(rejected.body));
+    assert.strictEqual((await server.call('PUT', `/material/requests/${rejected.body.requestID}/reject`, {}, ownerToken)).status, 200);
+    const waiting = await server.call('POST', '/material/requests', { materialID, projectID, quantity: 2 }, requesterToken);
+    assert.strictEqual(waiting.status, 201, JSON.stringify(waiting.body));
+
+    const response = await server.call('DELETE', `/material/delete-material/${materialID}`, null, ownerToken);
+
+    assert.strictEqual(response.status, 204);
+    const requests = await server.sequelize.models.material_request.findAll({ order: [['requestID', 'ASC']] });
+    assert.deepStrictEqual(requests.map((request) => [request.materialID, request.status]), [[null, 'rejected'], [null, 'cancelled']]);
+});
@@ -0,0 +1,92 @@
+// Starts the app against a throwaway SQLite database so tests need no MySQL server.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const { Sequelize } = require('sequelize');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.RATE_LIMIT_ENABLED = 'false';
+process.env.MAIL_TRANSPORT = 'json';
+
+const storage = path.join(os.tmpdir(), `communicraft-test-${process.pid}.sqlite`);
+// Each transaction gets its own connection; IMMEDIATE takes the write lock up front
+// and the retry waits for it, which serializes transactions like row locks do in MySQL
+const sequelize = new Sequelize({
+    dialect: 'sqlite',
+    storage,
+    logging: false,
+    transactionType: 'IMMEDIATE',
+    retry: { max: 50, match: [/SQLITE_BUSY/] }
+});
+
+// Hand the routes this instance in place of the MySQL one in modals/db.js
+const dbPath = require.resolve('../../modals/db');
+const dbModule = new Module(dbPath);
+dbModule.filename = dbPath;
+dbModule.loaded = true;
+dbModule.exports = sequelize;
+require.cache[dbPath] = dbModule;
+
+const modelsDir = path.join(__dirname, '../../models');
+
+async function startServer() {
+    fs.rmSync(storage, { force: true });
+    for (const file of fs.readdirSync(modelsDir)) {
+        if (file.endsWith('.js') && file !== 'findjob.api.js') {
+            require(path.join(modelsDir, file));
+        }
+    }
+    const app = require('../../app');
+    await sequelize.sync();
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    const baseURL = `http://localhost:${server.address().port}`;
+
+    const call = async (method, url, body, token) => {
+        const response = await fetch(baseURL + url, {
+            method,
+            headers: {
+                'content-type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        // 204 responses have no body
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    // Signs a user up, verifies the email and returns an access token
+    const createUser = async (userName) => {
+        const email = `${userName}@example.com`;
+        await call('POST', '/users/signup', { userName, email, password: 'password1', interests: 'knitting', location: 'Nablus' });
+        await sequelize.models.user.update({ isEmailVerified: true }, { where: { email } });
+        const login = await call('POST', '/users/login', { email, password: 'password1' });
+        return login.body.token;
+    };
+
+    // Creates a project owned by the token's user and returns its ID
+    const createProject = async (token, title) => {
+        const response = await call('POST', '/project/add-project', {
+            title, description: 'A test project', groupSize: 4, difficulty: 'easy', category: 'textile crafts', cost: 100
+        }, token);
+        if (response.status !== 201) {
+            throw new Error(`Could not create project ${title}: ${JSON.stringify(response.body)}`);
+        }
+        const project = await sequelize.models.project.findOne({ where: { title } });
+        return project.projectID;
+    };
+
+    const close = async () => {
+        await new Promise((resolve) => server.close(resolve));
+        await sequelize.close();
+        fs.rmSync(storage, { force: true });
+    };
+
+    return { sequelize, call, createUser, createProject, close };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer();
+    token = await server.createUser('owner');
+});
+
+after(() => server.close());
+
+const createMaterial = async (materialName, quantity) => {
+    const response = await server.call('POST', '/material/add-material', { materialName, quantity, cost: 4 }, token);
+    assert.strictEqual(response.status, 201, JSON.stringify(response.body));
+    return response.body.material.materialID;
+};
+
+// Stock plus what the projects hold must always add back up to the total
+const assertStockBalanced = async (materialID) => {
+    const { material, project_material: ProjectMaterial } = server.sequelize.models;
+    const stock = await material.findByPk(materialID);
+    const used = await ProjectMaterial.sum('quantityUsed', { where: { materialID } });
+    assert.ok(stock.quantity >= 0, `stock went below zero: ${stock.quantity}`);
+    assert.strictEqual(stock.quantity + (used || 0), stock.totalQuantity);
+    return { quantity: stock.quantity, used: used || 0 };
+};
+
+test('parallel adds of the same material never overdraw its stock', async () => {
+    const materialID = await createMaterial('wool', 20);
+    const projectIDs = [];
+    for (let i = 0; i < 10; i++) {
+        projectIDs.push(await server.createProject(token, `Scarf ${i}`));
+    }
+
+    const responses = await Promise.all(projectIDs.map((projectID) =>
+        server.call('POST', `/project_material/${projectID}/materials/add/${materialID}`, { quantityUsed: 3 }, token)));
+
+    const added = responses.filter((response) => response.status === 200);
+    const refused = responses.filter((response) => response.status === 400);
+    assert.strictEqual(added.length, 6);
+    assert.strictEqual(refused.length, 4);
+    assert.deepStrictEqual(await assertStockBalanced(materialID), { quantity: 2, used: 18 });
+});
+
+test('parallel edits and adds of the same material lose no update', async () => {
+    const materialID = await createMaterial('cotton', 30);
+    const editedID = await server.createProject(token, 'Blanket');
+    const added = await server.call('POST', `/project_material/${editedID}/materials/add/${materialID}`, { quantityUsed: 5 }, token);
+    assert.strictEqual(added.status, 200, JSON.stringify(added.body));
+    const otherIDs = [];
+    for (let i = 0; i < 4; i++) {
+        otherIDs.push(await server.createProject(token, `Pillow ${i}`));
+    }
+
+    const responses = await Promise.all([
+        ...[12, 2, 20, 8, 15].map((quantityUsed) =>
+            server.call('PUT', `/project_material/${editedID}/materials/edit/${materialID}`, { quantityUsed }, token)),
+        ...otherIDs.map((projectID) =>
+            server.call('POST', `/project_material/${projectID}/materials/add/${materialID}`, { quantityUsed: 4 }, token))
+    ]);
+
+    for (const response of responses) {
+        assert.ok([200, 400].includes(response.status), JSON.stringify(response.body));
+    }
+    await assertStockBalanced(materialID);
+});
@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+let server;
+let adminToken;
+
+before(async () => {
+    server = await startServer();
+    adminToken = await server.createUser('admin');
+    await server.sequelize.models.user.update({ role: 'admin' }, { where: { userName: 'admin' } });
+});
+
+after(() => server.close());
+
+const userID = async (userName) => (await server.sequelize.models.user.findOne({ where: { userName } })).userID;
+
+// Reassigns the project and returns the role of the previous owner as seen from the member list
+const reassign = async (projectID, previousToken, newOwnerName) => {
+    const response = await server.call('PUT', `/admin/projects/${projectID}/owner`, { creatorID: await userID(newOwnerName) }, adminToken);
+    assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+    const members = await server.call('GET', `/project/${projectID}/members`, null, previousToken);
+    assert.strictEqual(members.status, 200, JSON.stringify(members.body));
+    return { previousOwnerRole: response.body.previousOwnerRole, members: members.body };
+};
+
+test('the previous owner stays on the project as a collaborator', async () => {
+    const ownerToken = await server.createUser('founder');
+    await server.createUser('successor');
+    const projectID = await server.createProject(ownerToken, 'Tapestry');
+
+    const { previousOwnerRole, members } = await reassign(projectID, ownerToken, 'successor');
+
+    assert.strictEqual(previousOwnerRole, 'collaborator');
+    const roles = Object.fromEntries(members.map(({ user, role }) => [user.userName, role]));
+    assert.deepStrictEqual(roles, { founder: 'collaborator', successor: 'owner' });
+});
+
+test('the creator of a project without memberships keeps access', async () => {
+    const ownerToken = await server.createUser('pioneer');
+    await server.createUser('heir');
+    const projectID = await server.createProject(ownerToken, 'Mosaic');
+    // Projects created before memberships existed have no row for their creator
+    await server.sequelize.models.project_member.destroy({ where: { projectID } });
+
+    const { previousOwnerRole } = await reassign(projectID, ownerToken, 'heir');
+
+    assert.strictEqual(previousOwnerRole, 'collaborator');
+});
+
+test('the previous owner becomes a viewer when no seat is open', async () => {
+    const ownerToken = await server.createUser('weaver');
+    await server.createUser('apprentice');
+    const projectID = await server.createProject(ownerToken, 'Basket');
+    await server.sequelize.models.project.update({ groupSize: 1 }, { where: { projectID } });
+
+    const { previousOwnerRole } = await reassign(projectID, ownerToken, 'apprentice');
+
+    assert.strictEqual(previousOwnerRole, 'viewer');
+});
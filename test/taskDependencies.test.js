@@ -0,0 +1,41 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer();
+    token = await server.createUser('planner');
+});
+
+after(() => server.close());
+
+const projectStatus = async (projectID) => (await server.sequelize.models.project.findByPk(projectID)).status;
+
+const addTask = async (projectID, title) => {
+    const userID = (await server.sequelize.models.user.findOne({ where: { userName: 'planner' } })).userID;
+    const response = await server.call('POST', `/task/add-task/${projectID}`, { title, description: title, userID }, token);
+    assert.strictEqual(response.status, 201, JSON.stringify(response.body));
+    return (await server.sequelize.models.task.findOne({ where: { projectID, title } })).taskID;
+};
+
+test('blocking the only task in progress updates the project status', async () => {
+    const projectID = await server.createProject(token, 'Loom repair');
+    const started = await addTask(projectID, 'Restring the loom');
+    const prerequisite = await addTask(projectID, 'Buy warp thread');
+    const edited = await server.call('PUT', `/task/edit-task/${started}`, { status: 'in progress' }, token);
+    assert.strictEqual(edited.status, 201, JSON.stringify(edited.body));
+    assert.strictEqual(await projectStatus(projectID), 'active');
+
+    const added = await server.call('POST', `/task/${started}/dependencies`, { dependsOnID: prerequisite }, token);
+    assert.strictEqual(added.status, 201, JSON.stringify(added.body));
+    assert.strictEqual(await projectStatus(projectID), 'recruiting');
+
+    const removed = await server.call('DELETE', `/task/${started}/dependencies/${prerequisite}`, null, token);
+    assert.strictEqual(removed.status, 204);
+    // The unblocked task waits to be started again
+    assert.strictEqual((await server.sequelize.models.task.findByPk(started)).status, 'pending');
+    assert.strictEqual(await projectStatus(projectID), 'recruiting');
+});
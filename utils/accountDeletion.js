@@ -0,0 +1,36 @@
+const { Op } = require('sequelize');
+const ProjectMember = require('../models/ProjectMember');
+const ProjectInvitation = require('../models/ProjectInvitation');
+const JoinRequest = require('../models/JoinRequest');
+const SkillEndorsement = require('../models/SkillEndorsement');
+const RefreshToken = require('../models/RefreshToken');
+const UserToken = require('../models/UserToken');
+const { anonymizeComments } = require('./taskComments');
+const { anonymizeStatusHistory } = require('./taskStatus');
+const { anonymizeLoans } = require('./toolLoans');
+const { anonymizeMaterialRequests } = require('./materialRequests');
+
+/**
+ * Deletes the user together with their sessions, emailed tokens, project memberships, invitations, join requests and endorsements given;
+ * their task comments, tool loans and material requests stay without them, and their open ones are cancelled.
+ * Runs inside the caller's transaction.
+ */
+const deleteAccount = async (user, transaction) => {
+    const { userID } = user;
+    // Deleting the refresh tokens also ends every session of the user
+    await RefreshToken.destroy({ where: { userID }, transaction });
+    await UserToken.destroy({ where: { userID }, transaction });
+    await ProjectInvitation.destroy({ where: { [Op.or]: [{ userID }, { invitedByID: userID }] }, transaction });
+    await JoinRequest.destroy({ where: { userID }, transaction });
+    await SkillEndorsement.destroy({ where: { endorserID: userID }, transaction });
+    await anonymizeComments(userID, transaction);
+    await anonymizeStatusHistory(userID, transaction);
+    await anonymizeLoans(userID, transaction);
+    await anonymizeMaterialRequests(userID, transaction);
+    await ProjectMember.destroy({ where: { userID }, transaction });
+    await user.destroy({ transaction });
+};
+
+module.exports = {
+    deleteAccount
+};
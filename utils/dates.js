@@ -0,0 +1,10 @@
+// A calendar date such as 2024-05-31
+const isDateOnly = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+// Today as a DATEONLY value, to compare due dates with
+const today = () => new Date().toISOString().slice(0, 10);
+
+module.exports = {
+    isDateOnly,
+    today
+};
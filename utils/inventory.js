@@ -0,0 +1,234 @@
+const { Op, fn, col, literal } = require('sequelize');
+const sequelize = require('../modals/db');
+const Material = require('../models/Material');
+const Tool = require('../models/Tool');
+const ProjectMaterial = require('../models/project_material');
+const ProjectTool = require('../models/project_tool');
+const ToolLoan = require('../models/ToolLoan');
+const Project = require('../models/Project');
+const { roundQuantity } = require('./itemCatalog');
+
+// Loans holding units of a tool: approved ones until the owner hands the tool over, and checked out ones
+const ACTIVE_LOAN_STATUSES = ['approved', 'checked out'];
+
+// The kinds of items users keep in stock, with the table linking them to the projects using them and, for tools, their loans.
+// Consumable materials are used up, so they keep a counter of what is left; tools come back, so what is free is computed
+const INVENTORIES = {
+    material: { Model: Material, Link: ProjectMaterial, key: 'materialID', nameColumn: 'materialName', consumable: true },
+    tool: { Model: Tool, Link: ProjectTool, Loan: ToolLoan, key: 'toolID', nameColumn: 'toolName' }
+};
+
+// SQL for the units of each row of the item table that projects use and active loans hold
+const usedSQL = (inventory) => {
+    const table = inventory.Model.tableName;
+    const links = `(SELECT COALESCE(SUM(l.quantityUsed), 0) FROM ${inventory.Link.tableName} AS l WHERE l.${inventory.key} = ${table}.${inventory.key})`;
+    if (!inventory.Loan) {
+        return links;
+    }
+    const statuses = ACTIVE_LOAN_STATUSES.map(status => sequelize.escape(status)).join(', ');
+    return `(${links} + (SELECT COALESCE(SUM(o.quantity), 0) FROM ${inventory.Loan.tableName} AS o WHERE o.${inventory.key} = ${table}.${inventory.key} AND o.status IN (${statuses})))`;
+};
+
+// SQL for the units of each row of the item table that are still available
+const availableSQL = (inventory) => {
+    const table = inventory.Model.tableName;
+    return inventory.consumable ? `${table}.quantity` : `(${table}.totalQuantity - ${usedSQL(inventory)})`;
+};
+
+/**
+ * Takes quantity units of a consumable item out of stock in a single conditional
+ * UPDATE, so concurrent requests can neither lose an update nor take the stock below zero.
+ * Resolves to whether there was enough in stock; nothing changes when there was not.
+ */
+const takeStock = async (Model, id, quantity, transaction) => {
+    const [updated] = await Model.update({ quantity: sequelize.literal(`quantity - ${Number(quantity)}`) }, {
+        where: { [Model.primaryKeyAttribute]: id, quantity: { [Op.gte]: quantity } },
+        transaction
+    });
+    return updated > 0;
+};
+
+// Puts quantity units of an item back in stock
+const returnStock = (Model, id, quantity, transaction) => Model.update({ quantity: sequelize.literal(`quantity + ${Number(quantity)}`) }, {
+    where: { [Model.primaryKeyAttribute]: id },
+    transaction
+});
+
+/**
+ * Takes quantity units of an item for a project link or a loan about to be created or grown.
+ * Materials are taken out of stock; for tools, which keep no counter, the tool is locked so
+ * concurrent links and loans are checked one after the other, and its free units counted.
+ * Resolves to whether there were enough; nothing changes when there were not.
+ */
+const takeUnits = async (inventory, itemID, quantity, transaction) => {
+    if (inventory.consumable) {
+        return takeStock(inventory.Model, itemID, quantity, transaction);
+    }
+    const item = await inventory.Model.findByPk(itemID, { transaction, lock: transaction.LOCK.UPDATE });
+    return Boolean(item) && item.totalQuantity - await quantityInUse(inventory, itemID, transaction) >= quantity;
+};
+
+// Gives back quantity units of an item a project link or a loan no longer holds; tools are free again by themselves
+const returnUnits = async (inventory, itemID, quantity, transaction) => {
+    if (inventory.consumable) {
+        await returnStock(inventory.Model, itemID, quantity, transaction);
+    }
+};
+
+// Materials are measured, so their quantities can have as many decimals as they are stored with; tools are counted in whole units
+const isUnits = (inventory, value) => inventory.consumable
+    ? Number.isFinite(value) && roundQuantity(value) === value
+    : Number.isInteger(value);
+
+// A quantity taken from or put back in stock has to be more than zero
+const isQuantity = (inventory, value) => isUnits(inventory, value) && value > 0;
+
+// Units of each item the matching link rows use, as a map of item ID to quantity
+const usedQuantities = async (inventory, where, transaction) => {
+    const rows = await inventory.Link.findAll({
+        where,
+        attributes: [inventory.key, [fn('SUM', col('quantityUsed')), 'quantityUsed']],
+        group: [inventory.key],
+        raw: true,
+        transaction
+    });
+    return new Map(rows.map(row => [row[inventory.key], Number(row.quantityUsed)]));
+};
+
+/**
+ * Takes quantity units of an item for a project, adding them to the project's link to the item.
+ * Resolves to the link, or to null when there were not enough available.
+ */
+const attachProjectItem = async (inventory, projectID, itemID, quantity, transaction) => {
+    // Lock the project so concurrent additions of the same item end up in one link
+    await Project.findByPk(projectID, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!(await takeUnits(inventory, itemID, quantity, transaction))) {
+        return null;
+    }
+    const where = { projectID, [inventory.key]: itemID };
+    const existing = await inventory.Link.findOne({ where, transaction });
+    if (!existing) {
+        return inventory.Link.create({ ...where, quantityUsed: quantity }, { transaction });
+    }
+    await existing.increment('quantityUsed', { by: quantity, transaction });
+    return existing.reload({ transaction });
+};
+
+/**
+ * Removes an item from a project and gives back the units the project used. Resolves to the
+ * number of units returned, or null when the project did not use the item.
+ */
+const removeProjectItem = async (inventory, projectID, itemID, transaction) => {
+    const where = { projectID, [inventory.key]: itemID };
+    // Lock the links so a concurrent edit cannot change what is returned
+    const links = await inventory.Link.findAll({ where, transaction, lock: transaction.LOCK.UPDATE });
+    if (!links.length) {
+        return null;
+    }
+    const quantity = roundQuantity(links.reduce((sum, link) => sum + link.quantityUsed, 0));
+    await returnUnits(inventory, itemID, quantity, transaction);
+    await inventory.Link.destroy({ where, transaction });
+    return quantity;
+};
+
+// Gives back everything a project uses and removes its material and tool links
+const releaseProjectItems = async (projectID, transaction) => {
+    for (const inventory of Object.values(INVENTORIES)) {
+        const used = await usedQuantities(inventory, { projectID }, transaction);
+        for (const [itemID, quantity] of used) {
+            await returnUnits(inventory, itemID, quantity, transaction);
+        }
+        await inventory.Link.destroy({ where: { projectID }, transaction });
+    }
+};
+
+// Units of the item that projects use or active loans hold, for checks against the stock an owner sets
+const quantityInUse = async (inventory, itemID, transaction) => {
+    const used = (await usedQuantities(inventory, { [inventory.key]: itemID }, transaction)).get(itemID) || 0;
+    if (!inventory.Loan) {
+        return used;
+    }
+    const lent = await inventory.Loan.sum('quantity', {
+        where: { [inventory.key]: itemID, status: { [Op.in]: ACTIVE_LOAN_STATUSES } },
+        transaction
+    });
+    return used + (lent || 0);
+};
+
+// A stock an owner sets can be zero
+const isStock = (inventory, value) => isUnits(inventory, value) && value >= 0;
+
+/**
+ * Sets how many units of the item are still available, by setting its totalQuantity to that plus
+ * what projects use and active loans hold. The caller saves the item, which it should have locked
+ * so units taken by a project in the meantime are not lost.
+ */
+const setAvailable = async (inventory, item, quantity, transaction) => {
+    if (inventory.consumable) {
+        item.quantity = quantity;
+    }
+    item.totalQuantity = roundQuantity(quantity + await quantityInUse(inventory, item[inventory.key], transaction));
+};
+
+/**
+ * Recomputes the available quantity of every item of a consumable kind as its totalQuantity minus
+ * what projects use, in one query, and lists the items whose stored quantity drifted from it. With
+ * apply, the drifted quantities are corrected, except for items whose projects use more than
+ * the owner has; those are only reported, as overAllocated.
+ */
+const reconcileInventory = async (kind, apply, transaction) => {
+    const inventory = INVENTORIES[kind];
+    const table = inventory.Model.tableName;
+    const used = usedSQL(inventory);
+    const rows = await inventory.Model.findAll({
+        attributes: [inventory.key, inventory.nameColumn, 'userID', 'quantity', 'totalQuantity', [literal(used), 'used']],
+        where: sequelize.where(literal(`${table}.totalQuantity - ${used}`), { [Op.ne]: col(`${table}.quantity`) }),
+        order: [[inventory.key, 'ASC']],
+        raw: true,
+        transaction
+    });
+    const drifted = rows.map(row => {
+        const expected = roundQuantity(row.totalQuantity - Number(row.used));
+        return {
+            [inventory.key]: row[inventory.key],
+            name: row[inventory.nameColumn],
+            userID: row.userID,
+            totalQuantity: row.totalQuantity,
+            used: Number(row.used),
+            quantity: row.quantity,
+            expected,
+            drift: roundQuantity(row.quantity - expected),
+            overAllocated: expected < 0
+        };
+    });
+    const fixable = drifted.filter(entry => !entry.overAllocated).map(entry => entry[inventory.key]);
+    if (apply && fixable.length) {
+        // Recomputed in the UPDATE itself, so links changed since the report are taken into account
+        await inventory.Model.update({ quantity: literal(`totalQuantity - ${used}`) }, {
+            where: {
+                [inventory.key]: { [Op.in]: fixable },
+                [Op.and]: sequelize.where(literal(`totalQuantity - ${used}`), { [Op.gte]: 0 })
+            },
+            transaction
+        });
+    }
+    return drifted;
+};
+
+module.exports = {
+    ACTIVE_LOAN_STATUSES,
+    INVENTORIES,
+    availableSQL,
+    takeStock,
+    returnStock,
+    takeUnits,
+    returnUnits,
+    isQuantity,
+    attachProjectItem,
+    removeProjectItem,
+    releaseProjectItems,
+    quantityInUse,
+    isStock,
+    setAvailable,
+    reconcileInventory
+};
@@ -0,0 +1,132 @@
+const { Op } = require('sequelize');
+const sequelize = require('../modals/db');
+const ItemCatalog = require('../models/ItemCatalog');
+const ItemUnit = require('../models/ItemUnit');
+const { normalizeSkillName } = require('./skills');
+
+// Decimals material quantities are kept with, matching their DECIMAL(14, 6) columns
+const QUANTITY_DECIMALS = 6;
+
+// Rounds a quantity to the decimals it is stored with, which also drops floating point error
+const roundQuantity = (quantity) => Number(quantity.toFixed(QUANTITY_DECIMALS));
+
+// Units are compared lower-cased and without surrounding spaces ("Skein " is skein)
+const normalizeUnit = (unit) => typeof unit === 'string' ? unit.trim().toLowerCase() : '';
+
+// Finds the catalog entry of the kind (material or tool) with the name, ignoring case and spacing
+const findCatalogItem = async (name, kind, transaction) => {
+    const normalized = normalizeSkillName(name);
+    if (!normalized) {
+        return null;
+    }
+    return ItemCatalog.findOne({
+        where: { kind, [Op.and]: sequelize.where(sequelize.fn('lower', sequelize.col('name')), normalized) },
+        transaction
+    });
+};
+
+// Like findCatalogItem, but adds an uncategorized entry measured in unit (pieces without one) for names the catalog does not know yet
+const resolveCatalogItem = async (name, kind, unit, transaction) => {
+    const existing = await findCatalogItem(name, kind, transaction);
+    if (existing) {
+        return existing;
+    }
+    return ItemCatalog.create({
+        name: name.trim().replace(/\s+/g, ' '),
+        kind,
+        defaultUnit: normalizeUnit(unit) || 'piece'
+    }, { transaction });
+};
+
+// The message for a unit an entry cannot be measured in, listing the ones it can
+const unitError = (name, factors, unit) => `${name} cannot be measured in ${unit || 'an empty unit'}; use ${[...factors.keys()].join(', ')}`;
+
+// The units a catalog entry can be measured in, as a map of unit to how many default units one of it is
+const unitFactors = async (entry, transaction) => {
+    const units = await ItemUnit.findAll({ where: { itemCatalogID: entry.itemCatalogID }, transaction });
+    return new Map([[entry.defaultUnit, 1], ...units.map(u => [u.unit, u.factor])]);
+};
+
+// Catalog entries with their unit factors, as a map of itemCatalogID to { entry, factors }, in two queries
+const loadCatalog = async (itemCatalogIDs, transaction) => {
+    const entries = await ItemCatalog.findAll({ where: { itemCatalogID: { [Op.in]: itemCatalogIDs } }, transaction });
+    const units = await ItemUnit.findAll({ where: { itemCatalogID: { [Op.in]: itemCatalogIDs } }, transaction });
+    return new Map(entries.map(entry => [entry.itemCatalogID, {
+        entry,
+        factors: new Map([[entry.defaultUnit, 1], ...units.filter(u => u.itemCatalogID === entry.itemCatalogID).map(u => [u.unit, u.factor])])
+    }]));
+};
+
+/**
+ * The catalog entry and unit of a new inventory row: the entry of the kind itemCatalogID names, or
+ * else the one matching the row's name, added when the catalog does not know it. unit has to be one
+ * the entry can be measured in and defaults to its default unit. Resolves to { entry, unit }, or to
+ * { error } with the status to answer with.
+ */
+const catalogForItem = async (kind, name, itemCatalogID, unit, transaction) => {
+    let entry;
+    if (itemCatalogID !== undefined && itemCatalogID !== null) {
+        entry = await ItemCatalog.findOne({ where: { itemCatalogID, kind }, transaction });
+        if (!entry) {
+            return { error: { status: 404, message: `No ${kind} with this itemCatalogID in the catalog` } };
+        }
+    } else {
+        entry = await resolveCatalogItem(name, kind, unit, transaction);
+    }
+    const chosen = unit === undefined || unit === null ? entry.defaultUnit : normalizeUnit(unit);
+    const factors = await unitFactors(entry, transaction);
+    if (!factors.has(chosen)) {
+        return { error: { status: 400, message: unitError(entry.name, factors, chosen) } };
+    }
+    return { entry, unit: chosen };
+};
+
+/**
+ * Converts quantity from one unit of an entry to another, rounded to the decimals quantities are
+ * stored with (2 yards of fabric are 1.8288 m). Resolves to null when the entry cannot be measured
+ * in one of the units.
+ */
+const convertQuantity = (factors, quantity, fromUnit, toUnit) => {
+    if (!factors.has(fromUnit) || !factors.has(toUnit)) {
+        return null;
+    }
+    return roundQuantity(quantity * factors.get(fromUnit) / factors.get(toUnit));
+};
+
+// The unit the stock of an inventory row is kept in: its own, or the default one of its catalog entry
+const stockUnit = (item, entry) => item.unit || (entry ? entry.defaultUnit : 'piece');
+
+/**
+ * Converts a quantity a project asks for in unit into the unit the material's stock is kept in.
+ * Resolves to { quantity }, or to { error } when the material cannot be measured in that unit.
+ */
+const toStockQuantity = async (material, quantity, unit, transaction) => {
+    const entry = material.itemCatalogID ? await ItemCatalog.findByPk(material.itemCatalogID, { transaction }) : null;
+    const target = stockUnit(material, entry);
+    const source = unit === undefined || unit === null ? target : normalizeUnit(unit);
+    // Quantities that are no quantity at all are left to the caller's own validation
+    if (source === target || typeof quantity !== 'number' || !(quantity > 0)) {
+        return { quantity };
+    }
+    const factors = entry ? await unitFactors(entry, transaction) : new Map([[target, 1]]);
+    const converted = convertQuantity(factors, quantity, source, target);
+    if (converted === null) {
+        return { error: unitError(material.materialName, factors, source) };
+    }
+    return { quantity: converted };
+};
+
+module.exports = {
+    QUANTITY_DECIMALS,
+    roundQuantity,
+    normalizeUnit,
+    unitError,
+    findCatalogItem,
+    resolveCatalogItem,
+    unitFactors,
+    loadCatalog,
+    catalogForItem,
+    convertQuantity,
+    stockUnit,
+    toStockQuantity
+};
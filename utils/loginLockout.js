@@ -0,0 +1,56 @@
+const rateLimitConfig = require('../config/rateLimit.config');
+const { MemoryStore } = require('../middleware/rateLimMiddleware');
+
+let store = new MemoryStore();
+
+// Failed logins are counted per account and per IP, each with its own threshold
+const keysFor = (email, ip) => [
+    { key: `login:account:${String(email).toLowerCase()}`, threshold: rateLimitConfig.LOGIN_MAX_FAILURES },
+    { key: `login:ip:${ip}`, threshold: rateLimitConfig.LOGIN_IP_MAX_FAILURES }
+];
+
+// Lockout grows with every failure past the threshold: LOCKOUT_MS, 2x, 4x ... up to LOCKOUT_MAX_MS
+const lockoutFor = (failures, threshold) => {
+    if (failures < threshold) {
+        return 0;
+    }
+    return Math.min(rateLimitConfig.LOGIN_LOCKOUT_MS * 2 ** (failures - threshold), rateLimitConfig.LOGIN_LOCKOUT_MAX_MS);
+};
+
+// Resolves to the number of seconds the login attempt has to wait, or 0 when it may proceed
+const getLockout = async (email, ip) => {
+    const locks = await Promise.all(keysFor(email, ip).map(({ key }) => store.get(`${key}:lock`)));
+    const lockedUntil = Math.max(0, ...locks.filter(Boolean).map((lock) => lock.resetAt));
+    return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+};
+
+const recordFailure = async (email, ip) => {
+    await Promise.all(keysFor(email, ip).map(async ({ key, threshold }) => {
+        const { count } = await store.increment(`${key}:failures`, rateLimitConfig.LOGIN_FAILURE_WINDOW_MS);
+        const lockMs = lockoutFor(count, threshold);
+        if (lockMs > 0) {
+            // The lock entry lives exactly as long as the lockout
+            await store.reset(`${key}:lock`);
+            await store.increment(`${key}:lock`, lockMs);
+        }
+    }));
+};
+
+// A successful login clears the account's failures; the IP keeps its count
+const recordSuccess = async (email, ip) => {
+    const [account] = keysFor(email, ip);
+    await store.reset(`${account.key}:failures`);
+    await store.reset(`${account.key}:lock`);
+};
+
+// Lets other environments plug in a shared store (see MemoryStore for the interface)
+const setStore = (customStore) => {
+    store = customStore;
+};
+
+module.exports = {
+    getLockout,
+    recordFailure,
+    recordSuccess,
+    setStore
+};
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const mailConfig = require('../config/mail.config');
+
+// Builds the nodemailer transport named in the mail configuration:
+// smtp sends real mail, file writes each message as an .eml file to DIR,
+// json renders messages to JSON without sending them (handy in tests).
+const createTransport = () => {
+    switch (mailConfig.TRANSPORT) {
+        case 'smtp':
+            return nodemailer.createTransport({
+                host: mailConfig.SMTP_HOST,
+                port: mailConfig.SMTP_PORT,
+                auth: mailConfig.SMTP_USER ? { user: mailConfig.SMTP_USER, pass: mailConfig.SMTP_PASSWORD } : undefined
+            });
+        case 'json':
+            return nodemailer.createTransport({ jsonTransport: true });
+        case 'file':
+            return nodemailer.createTransport({ streamTransport: true, buffer: true });
+        default:
+            throw new Error(`Unknown mail transport "${mailConfig.TRANSPORT}"`);
+    }
+};
+
+let transport = createTransport();
+// Messages rendered by the json transport, newest last
+const outbox = [];
+
+const sendMail = async ({ to, subject, text }) => {
+    const info = await transport.sendMail({ from: mailConfig.FROM, to, subject, text });
+    if (mailConfig.TRANSPORT === 'file') {
+        await fs.promises.mkdir(mailConfig.DIR, { recursive: true });
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+        await fs.promises.writeFile(path.join(mailConfig.DIR, fileName), info.message);
+    } else if (mailConfig.TRANSPORT === 'json') {
+        outbox.push(JSON.parse(info.message));
+    }
+    return info;
+};
+
+// Lets tests or other environments plug in their own nodemailer transport
+const setTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+module.exports = {
+    sendMail,
+    setTransport,
+    outbox
+};
@@ -0,0 +1,36 @@
+const { Op } = require('sequelize');
+const MaterialRequest = require('../models/MaterialRequest');
+
+// Closes the open requests of a project being deleted; the answered ones stay without a project
+const closeProjectRequests = async (projectID, transaction) => {
+    await MaterialRequest.update({ status: 'cancelled', respondedAt: new Date() }, {
+        where: { projectID, status: 'requested' },
+        transaction
+    });
+    await MaterialRequest.update({ projectID: null }, { where: { projectID }, transaction });
+};
+
+// Closes the open requests for a material being deleted; all its requests stay without it
+const closeMaterialRequests = async (materialID, transaction) => {
+    await MaterialRequest.update({ status: 'cancelled', respondedAt: new Date() }, {
+        where: { materialID, status: 'requested' },
+        transaction
+    });
+    await MaterialRequest.update({ materialID: null }, { where: { materialID }, transaction });
+};
+
+// Cancels the open requests of a user whose account is being deleted, and keeps the others without them
+const anonymizeMaterialRequests = async (userID, transaction) => {
+    await MaterialRequest.update({ status: 'cancelled', respondedAt: new Date() }, {
+        where: { [Op.or]: [{ requesterID: userID }, { ownerID: userID }], status: 'requested' },
+        transaction
+    });
+    await MaterialRequest.update({ requesterID: null }, { where: { requesterID: userID }, transaction });
+    await MaterialRequest.update({ ownerID: null }, { where: { ownerID: userID }, transaction });
+};
+
+module.exports = {
+    closeProjectRequests,
+    closeMaterialRequests,
+    anonymizeMaterialRequests
+};
@@ -0,0 +1,93 @@
+const { Op } = require('sequelize');
+const sequelize = require('../modals/db');
+const Project = require('../models/Project');
+const ProjectMember = require('../models/ProjectMember');
+const Task = require('../models/Task');
+const { setStatus } = require('./taskStatus');
+const { refreshProjectStatus } = require('./projectStatus');
+
+// Roles that take one of the project's groupSize seats; viewers only follow along
+const SEAT_ROLES = ['owner', 'collaborator'];
+
+// The creator always counts as the owner, including projects created before memberships existed
+const getMemberRole = async (project, userID, transaction) => {
+    if (project.creatorID === userID) {
+        return 'owner';
+    }
+    const member = await ProjectMember.findOne({
+        where: { projectID: project.projectID, userID },
+        transaction
+    });
+    return member ? member.role : null;
+};
+
+// Owners and collaborators worked on the project, and so did anybody who was assigned one of its tasks
+const hasWorkedOn = async (project, userID) => {
+    if (SEAT_ROLES.includes(await getMemberRole(project, userID))) {
+        return true;
+    }
+    return !!(await Task.findOne({ where: { projectID: project.projectID, userID }, attributes: ['taskID'] }));
+};
+
+const countSeatsTaken = async (project, transaction) => {
+    const others = await ProjectMember.count({
+        where: {
+            projectID: project.projectID,
+            role: { [Op.in]: SEAT_ROLES },
+            userID: { [Op.ne]: project.creatorID }
+        },
+        transaction
+    });
+    return others + 1; // the creator
+};
+
+/**
+ * Adds the user to the project with the given role. The project row is locked so concurrent
+ * joins cannot overfill it. Resolves to { member } or to { error: { status, message } }.
+ */
+const addMember = async (projectID, userID, role, transaction) => {
+    const project = await Project.findByPk(projectID, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!project) {
+        return { error: { status: 404, message: 'Project not found' } };
+    }
+    if (await getMemberRole(project, userID, transaction)) {
+        return { error: { status: 409, message: 'User is already a member of this project' } };
+    }
+    if (SEAT_ROLES.includes(role) && await countSeatsTaken(project, transaction) >= project.groupSize) {
+        return { error: { status: 409, message: 'The project has no open seats left' } };
+    }
+    const member = await ProjectMember.create({ projectID: project.projectID, userID, role }, { transaction });
+    return { member };
+};
+
+/**
+ * Removes the user from the project. Their unfinished tasks go back to the project as open tasks
+ * for someone else to claim, and the ones in progress become pending again (recorded as automatic
+ * changes caused by the user leaving). Resolves to whether the user was a member.
+ */
+const removeMember = (projectID, userID) => sequelize.transaction(async (transaction) => {
+    const removed = await ProjectMember.destroy({ where: { projectID, userID }, transaction });
+    if (removed) {
+        const started = await Task.findAll({ where: { projectID, userID, status: 'in progress' }, transaction });
+        for (const task of started) {
+            await setStatus(task, 'pending', userID, true, transaction);
+        }
+        if (started.length) {
+            await refreshProjectStatus(projectID, transaction);
+        }
+        await Task.update({ userID: null }, {
+            where: { projectID, userID, status: { [Op.ne]: 'completed' } },
+            transaction
+        });
+    }
+    return removed > 0;
+});
+
+module.exports = {
+    SEAT_ROLES,
+    getMemberRole,
+    hasWorkedOn,
+    countSeatsTaken,
+    addMember,
+    removeMember
+};
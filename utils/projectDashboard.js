@@ -0,0 +1,198 @@
+const { Op, fn, col, literal } = require('sequelize');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const TaskComment = require('../models/TaskComment');
+const TaskStatusHistory = require('../models/TaskStatusHistory');
+const ProjectMember = require('../models/ProjectMember');
+const ProjectMaterial = require('../models/project_material');
+const ProjectTool = require('../models/project_tool');
+const { today } = require('./dates');
+
+const TASK_STATUSES = ['pending', 'in progress', 'blocked', 'completed'];
+// Entries in the recent activity, newest first
+const ACTIVITY_LIMIT = 20;
+// Overdue tasks listed, the most overdue first
+const OVERDUE_LIMIT = 50;
+
+const emptyCounts = () => Object.fromEntries(TASK_STATUSES.map(status => [status, 0]));
+
+const percent = (part, whole) => whole ? Math.round(part * 100 / whole) : 0;
+
+// Task counts and estimated hours per assignee and status, in one grouped query
+const taskTotals = async (projectID) => {
+    const rows = await Task.findAll({
+        where: { projectID },
+        attributes: ['userID', 'status', [fn('COUNT', col('taskID')), 'count'], [fn('SUM', col('estimatedHours')), 'hours']],
+        group: ['userID', 'status'],
+        raw: true
+    });
+    const byStatus = emptyCounts();
+    const byAssignee = new Map();
+    const hours = { total: 0, completed: 0 };
+    for (const row of rows) {
+        const count = Number(row.count);
+        byStatus[row.status] += count;
+        hours.total += Number(row.hours) || 0;
+        if (row.status === 'completed') {
+            hours.completed += Number(row.hours) || 0;
+        }
+        if (!byAssignee.has(row.userID)) {
+            byAssignee.set(row.userID, { userID: row.userID, total: 0, byStatus: emptyCounts() });
+        }
+        const assignee = byAssignee.get(row.userID);
+        assignee.total += count;
+        assignee.byStatus[row.status] += count;
+    }
+    return { byStatus, byAssignee: [...byAssignee.values()], hours };
+};
+
+/**
+ * Materials or tools the project uses, each priced at quantityUsed times the unit cost of the item.
+ * The name and cost of the items come from correlated subqueries of the same query.
+ */
+const usage = async (Model, projectID, itemTable, key, nameColumn) => {
+    const item = (column) => `(SELECT i.${column} FROM ${itemTable} AS i WHERE i.${key} = ${Model.tableName}.${key})`;
+    const rows = await Model.findAll({
+        where: { projectID },
+        attributes: [
+            key,
+            'quantityUsed',
+            [literal(item(nameColumn)), 'name'],
+            [literal(`${Model.tableName}.quantityUsed * ${item('cost')}`), 'cost']
+        ],
+        order: [[key, 'ASC']],
+        raw: true
+    });
+    const items = rows.map(row => ({
+        [key]: row[key],
+        name: row.name,
+        quantityUsed: row.quantityUsed,
+        cost: Number(row.cost) || 0
+    }));
+    return {
+        items,
+        quantityUsed: items.reduce((sum, entry) => sum + entry.quantityUsed, 0),
+        cost: items.reduce((sum, entry) => sum + entry.cost, 0)
+    };
+};
+
+/**
+ * The latest status changes, comments and new members of the project, newest first. Each kind is
+ * read with its own limited query; the user and task of each entry are filled in by the caller.
+ */
+const recentActivity = async (projectID) => {
+    const projectTasks = literal(`(SELECT t.taskID FROM task AS t WHERE t.projectID = ${Number(projectID)})`);
+    const changes = await TaskStatusHistory.findAll({
+        where: { taskID: { [Op.in]: projectTasks } },
+        order: [['changedAt', 'DESC'], ['id', 'DESC']],
+        limit: ACTIVITY_LIMIT
+    });
+    const comments = await TaskComment.findAll({
+        where: { taskID: { [Op.in]: projectTasks }, deletedAt: null },
+        attributes: ['commentID', 'taskID', 'userID', 'parentID', 'createdAt'],
+        order: [['createdAt', 'DESC'], ['commentID', 'DESC']],
+        limit: ACTIVITY_LIMIT
+    });
+    const members = await ProjectMember.findAll({
+        where: { projectID },
+        order: [['joinedAt', 'DESC'], ['id', 'DESC']],
+        limit: ACTIVITY_LIMIT
+    });
+    return [
+        ...changes.map(change => ({
+            type: change.fromStatus ? 'status' : 'task created',
+            at: change.changedAt,
+            userID: change.userID,
+            taskID: change.taskID,
+            fromStatus: change.fromStatus,
+            toStatus: change.toStatus,
+            automatic: change.automatic
+        })),
+        ...comments.map(comment => ({
+            type: comment.parentID ? 'reply' : 'comment',
+            at: comment.createdAt,
+            userID: comment.userID,
+            taskID: comment.taskID,
+            commentID: comment.commentID
+        })),
+        ...members.map(member => ({
+            type: 'member joined',
+            at: member.joinedAt,
+            userID: member.userID,
+            role: member.role
+        }))
+    ].sort((a, b) => new Date(b.at) - new Date(a.at)).slice(0, ACTIVITY_LIMIT);
+};
+
+/**
+ * Everything the creator needs to follow a project at a glance: task counts by status and per
+ * assignee, the completion percentage, overdue tasks, the cost of the materials and tools used
+ * against the budgeted cost of the project, and the recent activity. Open tasks are counted under
+ * a null assignee.
+ */
+const buildDashboard = async (project) => {
+    const projectID = project.projectID;
+    const totals = await taskTotals(projectID);
+    const overdue = await Task.findAll({
+        where: { projectID, dueDate: { [Op.lt]: today() }, status: { [Op.ne]: 'completed' } },
+        attributes: ['taskID', 'title', 'status', 'priority', 'dueDate', 'userID'],
+        order: [['dueDate', 'ASC'], ['taskID', 'ASC']],
+        limit: OVERDUE_LIMIT
+    });
+    const materials = await usage(ProjectMaterial, projectID, 'material', 'materialID', 'materialName');
+    const tools = await usage(ProjectTool, projectID, 'tool', 'toolID', 'toolName');
+    const activity = await recentActivity(projectID);
+
+    // One lookup for every user and task the dashboard mentions
+    const userIDs = [...totals.byAssignee.map(a => a.userID), ...overdue.map(t => t.userID), ...activity.map(a => a.userID)];
+    const users = await User.findAll({
+        where: { userID: { [Op.in]: [...new Set(userIDs.filter(Boolean))] } },
+        attributes: ['userID', 'userName']
+    });
+    const activityTaskIDs = [...new Set(activity.map(a => a.taskID).filter(Boolean))];
+    const activityTasks = await Task.findAll({ where: { taskID: { [Op.in]: activityTaskIDs } }, attributes: ['taskID', 'title'] });
+    const userOf = (userID) => users.find(u => u.userID === userID) || null;
+
+    const total = Object.values(totals.byStatus).reduce((sum, count) => sum + count, 0);
+    const spent = materials.cost + tools.cost;
+    const now = new Date(today());
+    return {
+        project: { projectID, title: project.title, status: project.status, completedAt: project.completedAt },
+        tasks: {
+            total,
+            byStatus: totals.byStatus,
+            completion: percent(totals.byStatus.completed, total),
+            estimatedHours: totals.hours,
+            byAssignee: totals.byAssignee
+                .map(a => ({ user: userOf(a.userID), total: a.total, byStatus: a.byStatus, completion: percent(a.byStatus.completed, a.total) }))
+                .sort((a, b) => b.total - a.total || (a.user ? a.user.userID : 0) - (b.user ? b.user.userID : 0)),
+            overdue: overdue.map(task => ({
+                taskID: task.taskID,
+                title: task.title,
+                status: task.status,
+                priority: task.priority,
+                dueDate: task.dueDate,
+                daysOverdue: Math.round((now - new Date(task.dueDate)) / 86400000),
+                assignee: userOf(task.userID)
+            }))
+        },
+        budget: {
+            cost: project.cost,
+            materials,
+            tools,
+            spent,
+            remaining: project.cost - spent,
+            used: percent(spent, project.cost),
+            overBudget: spent > project.cost
+        },
+        recentActivity: activity.map(({ userID, taskID, ...entry }) => ({
+            ...entry,
+            user: userOf(userID),
+            ...(taskID ? { task: { taskID, title: (activityTasks.find(t => t.taskID === taskID) || {}).title || null } } : {})
+        }))
+    };
+};
+
+module.exports = {
+    buildDashboard
+};
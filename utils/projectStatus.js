@@ -0,0 +1,63 @@
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+
+const PROJECT_STATUSES = ['draft', 'recruiting', 'active', 'completed', 'archived'];
+
+/**
+ * The status a project has from its tasks: draft without any, recruiting while none of them has
+ * been started, completed once every one is, and active in between. Archived is only ever set by
+ * the creator.
+ */
+const deriveStatus = (tasks) => {
+    if (!tasks.length) {
+        return 'draft';
+    }
+    if (tasks.every(task => task.status === 'completed')) {
+        return 'completed';
+    }
+    if (tasks.some(task => task.status === 'in progress' || task.status === 'completed')) {
+        return 'active';
+    }
+    return 'recruiting';
+};
+
+/**
+ * Sets the status of the project along with its timestamps. completedAt is kept when a completed
+ * project is archived, so isCompleted stays true for it, and cleared when work on it resumes.
+ */
+const applyStatus = (project, status) => {
+    const now = new Date();
+    if (status === 'completed') {
+        project.completedAt = project.completedAt || now;
+    } else if (status !== 'archived') {
+        project.completedAt = null;
+    }
+    project.archivedAt = status === 'archived' ? project.archivedAt || now : null;
+    project.isCompleted = !!project.completedAt;
+    project.status = status;
+};
+
+/**
+ * Derives the status of the project again from its tasks, unless the creator overrode it.
+ * Called whenever tasks of the project are created, change status or are deleted.
+ */
+const refreshProjectStatus = async (projectID, transaction) => {
+    const project = await Project.findByPk(projectID, { transaction });
+    if (!project || project.statusOverride) {
+        return project;
+    }
+    const tasks = await Task.findAll({ where: { projectID }, attributes: ['status'], transaction });
+    const status = deriveStatus(tasks);
+    if (status !== project.status) {
+        applyStatus(project, status);
+        await project.save({ transaction });
+    }
+    return project;
+};
+
+module.exports = {
+    PROJECT_STATUSES,
+    deriveStatus,
+    applyStatus,
+    refreshProjectStatus
+};
@@ -0,0 +1,33 @@
+const ProjectMember = require('../models/ProjectMember');
+const ProjectInvitation = require('../models/ProjectInvitation');
+const JoinRequest = require('../models/JoinRequest');
+const ProjectRequiredSkill = require('../models/ProjectRequiredSkill');
+const SkillEndorsement = require('../models/SkillEndorsement');
+const { destroyTasks } = require('./tasks');
+const { releaseProjectItems } = require('./inventory');
+const { closeProjectLoans } = require('./toolLoans');
+const { closeProjectRequests } = require('./materialRequests');
+
+/**
+ * Deletes a project together with everything attached to it. The materials it used go back in
+ * stock and the tools it used are freed in the same transaction, so no quantity is lost with the
+ * project; tools borrowed for it and not handed over yet are cancelled, and so are open requests
+ * for materials of other users.
+ */
+const destroyProject = async (project, userID, transaction) => {
+    const projectID = project.projectID;
+    await destroyTasks({ projectID }, userID, transaction);
+    await releaseProjectItems(projectID, transaction);
+    await closeProjectLoans(projectID, transaction);
+    await closeProjectRequests(projectID, transaction);
+    await SkillEndorsement.destroy({ where: { projectID }, transaction });
+    await ProjectRequiredSkill.destroy({ where: { projectID }, transaction });
+    await ProjectInvitation.destroy({ where: { projectID }, transaction });
+    await JoinRequest.destroy({ where: { projectID }, transaction });
+    await ProjectMember.destroy({ where: { projectID }, transaction });
+    await project.destroy({ transaction });
+};
+
+module.exports = {
+    destroyProject
+};
@@ -0,0 +1,115 @@
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const Skill = require('../models/Skill');
+const SkillCatalog = require('../models/SkillCatalog');
+const SkillEndorsement = require('../models/SkillEndorsement');
+const ProjectMember = require('../models/ProjectMember');
+const ProjectRequiredSkill = require('../models/ProjectRequiredSkill');
+const { sameSkill, meetsProficiency } = require('./skills');
+const { catalogNames } = require('./skillCatalog');
+
+const WEIGHTS = {
+    requiredSkill: 5,
+    requiredSkillBelowLevel: 3,
+    skill: 3,
+    endorsement: 1,
+    interest: 1,
+    location: 2
+};
+// Endorsements add to the score, up to this many per user
+const MAX_ENDORSEMENTS = 3;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const mentions = (text, name) => new RegExp(`\\b${escapeRegExp(name)}\\b`).test((text || '').toLowerCase());
+
+const sameLocation = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Ranks the users who are not yet members of the project by how well their skills and interests
+ * match the skills the project requires and the catalog skills of its category, with a bonus for
+ * endorsed skills and for living where the project creator does.
+ * Users matching on neither skills nor interests are left out. Each result lists the reasons behind
+ * its score.
+ */
+const recommendCollaborators = async (project, limit) => {
+    const requiredSkills = await ProjectRequiredSkill.findAll({ where: { projectID: project.projectID } });
+    const categorySkills = await SkillCatalog.findAll({ where: { category: project.category } });
+    const catalogIDs = [...new Set([
+        ...requiredSkills.map(r => r.skillCatalogID).filter(Boolean),
+        ...categorySkills.map(c => c.skillCatalogID)
+    ])];
+    const names = await catalogNames(catalogIDs);
+
+    const members = await ProjectMember.findAll({ where: { projectID: project.projectID }, attributes: ['userID'] });
+    const excluded = [project.creatorID, ...members.map(m => m.userID)];
+
+    // Narrow the candidates down in the database, then score them precisely on whole words
+    const skills = await Skill.findAll({
+        where: { skillCatalogID: { [Op.in]: catalogIDs }, userID: { [Op.notIn]: excluded } }
+    });
+    const endorsements = await SkillEndorsement.findAll({
+        where: { skillID: { [Op.in]: skills.map(s => s.skillID) } },
+        attributes: ['skillID']
+    });
+    const interestFilter = names.flatMap(entry => entry.names).map(name => ({ interests: { [Op.substring]: name } }));
+    const users = await User.findAll({
+        where: {
+            userID: { [Op.notIn]: excluded },
+            isSuspended: false,
+            [Op.or]: [{ userID: { [Op.in]: skills.map(s => s.userID) } }, ...interestFilter]
+        },
+        attributes: ['userID', 'userName', 'location', 'interests']
+    });
+    const creator = await User.findByPk(project.creatorID, { attributes: ['location'] });
+
+    const ranked = users.map(user => {
+        const reasons = [];
+        let score = 0;
+        let endorsed = 0;
+        for (const skill of skills.filter(s => s.userID === user.userID)) {
+            const required = requiredSkills.find(r => sameSkill(skill, r));
+            if (required && meetsProficiency(skill.proficiency, required.proficiency)) {
+                score += WEIGHTS.requiredSkill;
+                reasons.push(`Has the required skill "${required.skillName}" at ${skill.proficiency} level`);
+            } else if (required) {
+                score += WEIGHTS.requiredSkillBelowLevel;
+                reasons.push(`Has the required skill "${required.skillName}" at ${skill.proficiency} level (${required.proficiency} wanted)`);
+            } else {
+                score += WEIGHTS.skill;
+                reasons.push(`Has the skill "${skill.skillName}", useful for ${project.category}`);
+            }
+            endorsed += endorsements.filter(e => e.skillID === skill.skillID).length;
+        }
+        if (endorsed) {
+            score += WEIGHTS.endorsement * Math.min(endorsed, MAX_ENDORSEMENTS);
+            reasons.push(`Has ${endorsed} endorsement${endorsed === 1 ? '' : 's'} for these skills`);
+        }
+        const interests = names
+            .filter(entry => entry.names.some(name => mentions(user.interests, name)))
+            .map(entry => entry.name.toLowerCase());
+        if (interests.length) {
+            score += WEIGHTS.interest * interests.length;
+            reasons.push(`Is interested in ${interests.join(', ')}`);
+        }
+        if (!score) {
+            return null;
+        }
+        if (creator && sameLocation(user.location, creator.location)) {
+            score += WEIGHTS.location;
+            reasons.push(`Lives in ${user.location.trim()}, like the project creator`);
+        }
+        return {
+            user: { userID: user.userID, userName: user.userName, location: user.location },
+            score,
+            reasons
+        };
+    }).filter(Boolean);
+
+    ranked.sort((a, b) => b.score - a.score || a.user.userID - b.user.userID);
+    return ranked.slice(0, limit);
+};
+
+module.exports = {
+    recommendCollaborators
+};
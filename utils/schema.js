@@ -0,0 +1,30 @@
+const sequelize = require('../modals/db');
+
+// Used by the bin/migrate-* scripts to bring databases created before a column existed up to date
+const addMissingColumns = async (table, columns) => {
+    const queryInterface = sequelize.getQueryInterface();
+    const existing = await queryInterface.describeTable(table);
+    for (const [name, definition] of Object.entries(columns)) {
+        if (!existing[name]) {
+            await queryInterface.addColumn(table, name, definition);
+            console.log(`Added column ${table}.${name}`);
+        }
+    }
+};
+
+// Lets existing NOT NULL columns take nulls; definitions are the full new column definitions
+const allowNulls = async (table, columns) => {
+    const queryInterface = sequelize.getQueryInterface();
+    const existing = await queryInterface.describeTable(table);
+    for (const [name, definition] of Object.entries(columns)) {
+        if (existing[name] && !existing[name].allowNull) {
+            await queryInterface.changeColumn(table, name, { ...definition, allowNull: true });
+            console.log(`Made column ${table}.${name} nullable`);
+        }
+    }
+};
+
+module.exports = {
+    addMissingColumns,
+    allowNulls
+};
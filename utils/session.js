@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const sequelize = require('../modals/db');
+const RefreshToken = require('../models/RefreshToken');
+const authConfig = require('../config/auth.config');
+
+// Only a hash of each refresh token is stored, so a leaked table cannot be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createAccessToken = (userID, familyID) => {
+    return jwt.sign({ id: userID, sid: familyID },
+        authConfig.JWT_SECRET,
+        { expiresIn: authConfig.JWT_EXPIRES_IN }
+    );
+};
+
+const createRefreshToken = async (userID, familyID, transaction) => {
+    const token = crypto.randomBytes(48).toString('hex');
+    const record = await RefreshToken.create({
+        tokenHash: hashToken(token),
+        familyID,
+        userID,
+        expiresAt: new Date(Date.now() + authConfig.REFRESH_TOKEN_EXPIRES_IN * 1000)
+    }, { transaction });
+    return { token, record };
+};
+
+// Send the access token both as a header (for API clients) and as the `jwt` cookie (for browsers).
+// The refresh token only travels in an httpOnly cookie scoped to the /users routes.
+const sendTokens = (res, accessToken, refreshToken) => {
+    res.set('Authorization', `Bearer ${accessToken}`);
+    res.cookie('jwt', accessToken, { httpOnly: true, maxAge: authConfig.JWT_EXPIRES_IN * 1000 });
+    res.cookie('refreshToken', refreshToken, {
+        httpOnly: true,
+        path: '/users',
+        maxAge: authConfig.REFRESH_TOKEN_EXPIRES_IN * 1000
+    });
+};
+
+const clearTokens = (res) => {
+    res.clearCookie('jwt');
+    res.clearCookie('refreshToken', { path: '/users' });
+};
+
+// Starts a new session (refresh token family) for the user and sends both tokens
+const startSession = async (res, userID) => {
+    const familyID = crypto.randomUUID();
+    const { token: refreshToken } = await createRefreshToken(userID, familyID);
+    const accessToken = createAccessToken(userID, familyID);
+    sendTokens(res, accessToken, refreshToken);
+    return { accessToken, refreshToken };
+};
+
+const revokeFamily = async (familyID, transaction) => {
+    await RefreshToken.update({ revokedAt: new Date() }, {
+        where: { familyID, revokedAt: null },
+        transaction
+    });
+};
+
+// Revokes every session of the user, optionally keeping the one the request came from
+const revokeUserSessions = async (userID, exceptFamilyID) => {
+    const where = { userID, revokedAt: null };
+    if (exceptFamilyID) {
+        where.familyID = { [Op.ne]: exceptFamilyID };
+    }
+    await RefreshToken.update({ revokedAt: new Date() }, { where });
+};
+
+const isSessionActive = async (familyID) => {
+    const active = await RefreshToken.findOne({
+        where: { familyID, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+        attributes: ['id']
+    });
+    return !!active;
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh pair. The presented token is revoked and
+ * replaced; presenting an already rotated token again means it was stolen, so the whole family
+ * is revoked. Resolves to { error } with 'invalid' or 'reused', or to the new tokens.
+ */
+const rotateSession = async (res, presentedToken) => {
+    const result = await sequelize.transaction(async (transaction) => {
+        const current = await RefreshToken.findOne({
+            where: { tokenHash: hashToken(presentedToken) },
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+        if (!current) {
+            return { error: 'invalid' };
+        }
+        if (current.revokedAt) {
+            if (current.replacedByID) {
+                await revokeFamily(current.familyID, transaction);
+                return { error: 'reused' };
+            }
+            return { error: 'invalid' };
+        }
+        if (current.expiresAt <= new Date()) {
+            return { error: 'invalid' };
+        }
+        const { token, record } = await createRefreshToken(current.userID, current.familyID, transaction);
+        await current.update({ revokedAt: new Date(), replacedByID: record.id }, { transaction });
+        return {
+            userID: current.userID,
+            accessToken: createAccessToken(current.userID, current.familyID),
+            refreshToken: token
+        };
+    });
+    if (!result.error) {
+        sendTokens(res, result.accessToken, result.refreshToken);
+    }
+    return result;
+};
+
+module.exports = {
+    startSession,
+    rotateSession,
+    revokeFamily,
+    revokeUserSessions,
+    isSessionActive,
+    clearTokens,
+    hashToken
+};
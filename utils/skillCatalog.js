@@ -0,0 +1,49 @@
+const sequelize = require('../modals/db');
+const SkillCatalog = require('../models/SkillCatalog');
+const SkillAlias = require('../models/SkillAlias');
+const { normalizeSkillName } = require('./skills');
+
+// Finds the catalog entry whose name or one of its aliases matches, ignoring case and spacing
+const findCatalogSkill = async (name, transaction) => {
+    const normalized = normalizeSkillName(name);
+    if (!normalized) {
+        return null;
+    }
+    const byName = await SkillCatalog.findOne({
+        where: sequelize.where(sequelize.fn('lower', sequelize.col('name')), normalized),
+        transaction
+    });
+    if (byName) {
+        return byName;
+    }
+    const alias = await SkillAlias.findOne({ where: { alias: normalized }, transaction });
+    return alias ? SkillCatalog.findByPk(alias.skillCatalogID, { transaction }) : null;
+};
+
+// Like findCatalogSkill, but adds an uncategorized entry for names the catalog does not know yet
+const resolveCatalogSkill = async (name, transaction) => {
+    const existing = await findCatalogSkill(name, transaction);
+    if (existing) {
+        return existing;
+    }
+    return SkillCatalog.create({ name: name.trim().replace(/\s+/g, ' ') }, { transaction });
+};
+
+// Every name a catalog entry goes by, lower-cased: its own name and its aliases.
+// Without IDs, covers the whole catalog.
+const catalogNames = async (skillCatalogIDs) => {
+    const where = skillCatalogIDs ? { skillCatalogID: skillCatalogIDs } : {};
+    const entries = await SkillCatalog.findAll({ where });
+    const aliases = await SkillAlias.findAll({ where });
+    return entries.map(entry => ({
+        skillCatalogID: entry.skillCatalogID,
+        name: entry.name,
+        names: [normalizeSkillName(entry.name), ...aliases.filter(a => a.skillCatalogID === entry.skillCatalogID).map(a => a.alias)]
+    }));
+};
+
+module.exports = {
+    findCatalogSkill,
+    resolveCatalogSkill,
+    catalogNames
+};
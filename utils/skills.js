@@ -0,0 +1,68 @@
+const PROFICIENCY_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+const normalizeSkillName = (name) => (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const skillWords = (name) => normalizeSkillName(name).split(/[^a-z0-9]+/).filter(Boolean);
+
+// A skill covers a required skill when it contains all of its words: "hand knitting" covers "knitting"
+const skillCovers = (skillName, requiredName) => {
+    const words = new Set(skillWords(skillName));
+    const required = skillWords(requiredName);
+    return required.length > 0 && required.every(word => words.has(word));
+};
+
+// Skills linked to the same catalog entry are the same skill; rows not linked yet fall back to their names
+const sameSkill = (skill, required) => {
+    if (skill.skillCatalogID && required.skillCatalogID) {
+        return skill.skillCatalogID === required.skillCatalogID;
+    }
+    return skillCovers(skill.skillName, required.skillName);
+};
+
+// Levenshtein distance between two strings
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// How a search term matched a skill name, best first
+const MATCH_KINDS = ['exact', 'prefix', 'fuzzy'];
+
+/**
+ * Matches a search term against a skill name (both normalized): exact, as the prefix of the name or
+ * of one of its words ("knit" for "hand knitting"), or within a typo or two of the name or one of its
+ * words. Short terms get less slack. Resolves to the kind of match, or null.
+ */
+const matchSkillName = (term, name) => {
+    if (term === name) {
+        return 'exact';
+    }
+    const words = [name, ...name.split(' ')];
+    if (term.length >= 2 && words.some(word => word.startsWith(term))) {
+        return 'prefix';
+    }
+    const allowed = term.length < 4 ? 0 : term.length < 8 ? 1 : 2;
+    if (allowed && words.some(word => editDistance(term, word) <= allowed)) {
+        return 'fuzzy';
+    }
+    return null;
+};
+
+const meetsProficiency = (level, requiredLevel) => PROFICIENCY_LEVELS.indexOf(level) >= PROFICIENCY_LEVELS.indexOf(requiredLevel);
+
+module.exports = {
+    PROFICIENCY_LEVELS,
+    normalizeSkillName,
+    skillCovers,
+    sameSkill,
+    meetsProficiency,
+    MATCH_KINDS,
+    matchSkillName
+};
@@ -0,0 +1,92 @@
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const ProjectMember = require('../models/ProjectMember');
+const TaskComment = require('../models/TaskComment');
+const TaskCommentMention = require('../models/TaskCommentMention');
+const { sendMail } = require('./mailer');
+const mailConfig = require('../config/mail.config');
+
+// @userName, as long as the name has no spaces
+const MENTION_PATTERN = /@([\w.-]*\w)/g;
+
+// The project members (any role, plus the task assignee) whose user names are @mentioned in the text
+const findMentioned = async (task, text, transaction) => {
+    const names = [...(text || '').matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase());
+    if (!names.length) {
+        return [];
+    }
+    const project = await Project.findByPk(task.projectID, { transaction });
+    const memberships = await ProjectMember.findAll({ where: { projectID: task.projectID }, attributes: ['userID'], transaction });
+    const memberIDs = [project.creatorID, task.userID, ...memberships.map(m => m.userID)].filter(Boolean);
+    const members = await User.findAll({
+        where: { userID: { [Op.in]: memberIDs } },
+        attributes: ['userID', 'userName', 'email'],
+        transaction
+    });
+    return members.filter(user => names.includes(user.userName.toLowerCase()));
+};
+
+// Records who the comment mentions; resolves to the users who were not mentioned by it before
+const saveMentions = async (comment, task, transaction) => {
+    const mentioned = await findMentioned(task, comment.body, transaction);
+    const before = await TaskCommentMention.findAll({ where: { commentID: comment.commentID }, transaction });
+    await TaskCommentMention.destroy({
+        where: { commentID: comment.commentID, userID: { [Op.notIn]: mentioned.map(u => u.userID) } },
+        transaction
+    });
+    const added = mentioned.filter(user => !before.some(m => m.userID === user.userID));
+    await TaskCommentMention.bulkCreate(added.map(user => ({ commentID: comment.commentID, userID: user.userID })), { transaction });
+    return added;
+};
+
+/**
+ * Adds a comment (or a reply, with parentID) to the task and records its mentions.
+ * Resolves to { comment, mentioned } where mentioned are the users to notify.
+ */
+const addComment = async (task, author, body, parentID, transaction) => {
+    const comment = await TaskComment.create({
+        taskID: task.taskID,
+        userID: author.userID,
+        parentID: parentID || null,
+        body
+    }, { transaction });
+    const mentioned = await saveMentions(comment, task, transaction);
+    return { comment, mentioned };
+};
+
+// Emails the users newly mentioned in a comment, leaving out its author
+const notifyMentioned = async (task, author, users) => {
+    for (const user of users.filter(u => u.userID !== author.userID)) {
+        await sendMail({
+            to: user.email,
+            subject: `${author.userName} mentioned you on a task`,
+            text: `Hi ${user.userName},\n\n${author.userName} mentioned you in a comment on the task "${task.title || task.description}".\n` +
+                `\nRead the discussion here:\n${mailConfig.APP_URL}/task/${task.taskID}/comments\n`
+        });
+    }
+};
+
+// Removes every comment of the tasks, with their mentions
+const destroyComments = async (taskIDs, transaction) => {
+    const comments = await TaskComment.findAll({ where: { taskID: { [Op.in]: taskIDs } }, attributes: ['commentID'], transaction });
+    const commentIDs = comments.map(c => c.commentID);
+    await TaskCommentMention.destroy({ where: { commentID: { [Op.in]: commentIDs } }, transaction });
+    // Replies point at other comments of the same tasks
+    await TaskComment.update({ parentID: null }, { where: { commentID: { [Op.in]: commentIDs } }, transaction });
+    await TaskComment.destroy({ where: { commentID: { [Op.in]: commentIDs } }, transaction });
+};
+
+// Keeps the comments of a user whose account is being deleted, without an author, and forgets their mentions
+const anonymizeComments = async (userID, transaction) => {
+    await TaskCommentMention.destroy({ where: { userID }, transaction });
+    await TaskComment.update({ userID: null }, { where: { userID }, transaction });
+};
+
+module.exports = {
+    addComment,
+    saveMentions,
+    notifyMentioned,
+    destroyComments,
+    anonymizeComments
+};
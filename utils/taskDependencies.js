@@ -0,0 +1,149 @@
+const { Op } = require('sequelize');
+const Task = require('../models/Task');
+const TaskDependency = require('../models/TaskDependency');
+const { setStatus } = require('./taskStatus');
+
+// Map of taskID to the IDs of its prerequisites
+const prerequisiteMap = (dependencies) => {
+    const map = new Map();
+    for (const dependency of dependencies) {
+        if (!map.has(dependency.taskID)) {
+            map.set(dependency.taskID, []);
+        }
+        map.get(dependency.taskID).push(dependency.dependsOnID);
+    }
+    return map;
+};
+
+/**
+ * Making taskID depend on dependsOnID closes a cycle when taskID already is a (transitive)
+ * prerequisite of dependsOnID. Resolves to that cycle as a list of task IDs, starting and ending
+ * with taskID, or to null.
+ */
+const findCycle = (dependencies, taskID, dependsOnID) => {
+    const prerequisites = prerequisiteMap(dependencies);
+    const visited = new Set();
+    const walk = (current, path) => {
+        if (current === taskID) {
+            return [taskID, ...path];
+        }
+        if (visited.has(current)) {
+            return null;
+        }
+        visited.add(current);
+        for (const next of prerequisites.get(current) || []) {
+            const cycle = walk(next, [...path, next]);
+            if (cycle) {
+                return cycle;
+            }
+        }
+        return null;
+    };
+    return walk(dependsOnID, [dependsOnID]);
+};
+
+// IDs of the tasks depending directly on any of the given tasks
+const findDependents = async (taskIDs, transaction) => {
+    const dependencies = await TaskDependency.findAll({
+        where: { dependsOnID: { [Op.in]: taskIDs } },
+        attributes: ['taskID'],
+        transaction
+    });
+    return [...new Set(dependencies.map(d => d.taskID))];
+};
+
+/**
+ * Blocks the unfinished tasks among taskIDs that have an incomplete prerequisite, and moves blocked
+ * tasks whose prerequisites are all completed back to pending. The changes are recorded in the
+ * status history as automatic ones caused by userID. Resolves to the changes made, as { task, from, to }.
+ */
+const refreshBlocked = async (taskIDs, userID, transaction) => {
+    const tasks = await Task.findAll({
+        where: { taskID: { [Op.in]: taskIDs }, status: { [Op.ne]: 'completed' } },
+        transaction
+    });
+    const dependencies = await TaskDependency.findAll({
+        where: { taskID: { [Op.in]: tasks.map(t => t.taskID) } },
+        transaction
+    });
+    const prerequisites = await Task.findAll({
+        where: { taskID: { [Op.in]: dependencies.map(d => d.dependsOnID) } },
+        attributes: ['taskID', 'status'],
+        transaction
+    });
+    const incomplete = new Set(prerequisites.filter(t => t.status !== 'completed').map(t => t.taskID));
+    const changes = [];
+    for (const task of tasks) {
+        const blocked = dependencies.some(d => d.taskID === task.taskID && incomplete.has(d.dependsOnID));
+        const status = blocked ? 'blocked' : (task.status === 'blocked' ? 'pending' : task.status);
+        if (status !== task.status) {
+            changes.push({ task, from: task.status, to: status });
+            await setStatus(task, status, userID, true, transaction);
+        }
+    }
+    return changes;
+};
+
+/**
+ * Orders the tasks of a project so every task comes after its prerequisites (lowest taskID first
+ * among tasks that are ready), and finds the critical path: the chain of dependent tasks with the
+ * most estimated hours, and among equal ones the most tasks. Tasks without an estimate count 0 hours.
+ * Resolves to { order, earliestStart, criticalPath } where earliestStart maps taskID to the hours
+ * of work that have to be done before the task can start.
+ */
+const planTasks = (tasks, dependencies) => {
+    const prerequisites = prerequisiteMap(dependencies);
+    const remaining = new Map(tasks.map(t => [t.taskID, (prerequisites.get(t.taskID) || []).length]));
+    const ready = tasks.filter(t => !remaining.get(t.taskID)).map(t => t.taskID);
+    const order = [];
+    while (ready.length) {
+        ready.sort((a, b) => a - b);
+        const taskID = ready.shift();
+        order.push(taskID);
+        for (const dependency of dependencies.filter(d => d.dependsOnID === taskID)) {
+            remaining.set(dependency.taskID, remaining.get(dependency.taskID) - 1);
+            if (!remaining.get(dependency.taskID)) {
+                ready.push(dependency.taskID);
+            }
+        }
+    }
+
+    // Longest path ending at each task, in (hours, tasks), through its heaviest prerequisite
+    const hours = new Map(tasks.map(t => [t.taskID, t.estimatedHours || 0]));
+    const longest = new Map();
+    const earliestStart = new Map();
+    for (const taskID of order) {
+        let best = { hours: 0, tasks: 0, previous: null };
+        for (const prerequisiteID of prerequisites.get(taskID) || []) {
+            const path = longest.get(prerequisiteID);
+            if (path.hours > best.hours || (path.hours === best.hours && path.tasks > best.tasks)) {
+                best = { hours: path.hours, tasks: path.tasks, previous: prerequisiteID };
+            }
+        }
+        earliestStart.set(taskID, best.hours);
+        longest.set(taskID, { hours: best.hours + hours.get(taskID), tasks: best.tasks + 1, previous: best.previous });
+    }
+    let end = null;
+    for (const taskID of order) {
+        const path = longest.get(taskID);
+        if (!end || path.hours > longest.get(end).hours || (path.hours === longest.get(end).hours && path.tasks > longest.get(end).tasks)) {
+            end = taskID;
+        }
+    }
+    const criticalPath = [];
+    for (let taskID = end; taskID; taskID = longest.get(taskID).previous) {
+        criticalPath.unshift(taskID);
+    }
+    return {
+        order,
+        earliestStart,
+        criticalPath: { taskIDs: criticalPath, estimatedHours: end ? longest.get(end).hours : 0 }
+    };
+};
+
+module.exports = {
+    findCycle,
+    findDependents,
+    refreshBlocked,
+    planTasks
+};
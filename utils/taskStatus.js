@@ -0,0 +1,62 @@
+const TaskStatusHistory = require('../models/TaskStatusHistory');
+
+/**
+ * The status changes users can make, and who may make each: the task's assignee or the project
+ * creator. blocked is never set by hand; tasks enter and leave it automatically with their
+ * prerequisites (see utils/taskDependencies).
+ */
+const TRANSITIONS = {
+    'pending': { 'in progress': ['assignee'] },
+    'in progress': { 'completed': ['assignee'], 'pending': ['assignee', 'creator'] },
+    'completed': { 'pending': ['creator'] },
+    'blocked': {}
+};
+
+/**
+ * Checks that the user may move the task to the given status. Resolves to an error
+ * { status, message } (409 for a transition that does not exist, 403 for the wrong user) or null.
+ */
+const checkTransition = (task, project, userID, toStatus) => {
+    if (task.status === 'blocked') {
+        return { status: 409, message: "Task is blocked until its prerequisites are completed" };
+    }
+    const allowed = TRANSITIONS[task.status][toStatus];
+    if (!allowed) {
+        return { status: 409, message: `A task cannot go from ${task.status} to ${toStatus}` };
+    }
+    const roles = [];
+    if (task.userID === userID) roles.push('assignee');
+    if (project.creatorID === userID) roles.push('creator');
+    if (!allowed.some(role => roles.includes(role))) {
+        const who = allowed.map(role => role === 'assignee' ? 'the assignee' : 'the project creator').join(' or ');
+        return { status: 403, message: `Only ${who} can move this task from ${task.status} to ${toStatus}` };
+    }
+    return null;
+};
+
+// Records a status change; fromStatus is null when the task was just created
+const recordStatusChange = (task, fromStatus, toStatus, userID, automatic, transaction) => TaskStatusHistory.create({
+    taskID: task.taskID,
+    fromStatus,
+    toStatus,
+    userID: userID || null,
+    automatic
+}, { transaction });
+
+// Changes the status of the task and records it
+const setStatus = async (task, toStatus, userID, automatic, transaction) => {
+    const fromStatus = task.status;
+    await task.update({ status: toStatus }, { transaction });
+    await recordStatusChange(task, fromStatus, toStatus, userID, automatic, transaction);
+};
+
+// Keeps the status history of a user whose account is being deleted, without saying who made the changes
+const anonymizeStatusHistory = (userID, transaction) => TaskStatusHistory.update({ userID: null }, { where: { userID }, transaction });
+
+module.exports = {
+    TRANSITIONS,
+    checkTransition,
+    recordStatusChange,
+    setStatus,
+    anonymizeStatusHistory
+};
@@ -0,0 +1,28 @@
+const { Op } = require('sequelize');
+const Task = require('../models/Task');
+const TaskDependency = require('../models/TaskDependency');
+const TaskStatusHistory = require('../models/TaskStatusHistory');
+const { destroyComments } = require('./taskComments');
+const { findDependents, refreshBlocked } = require('./taskDependencies');
+
+/**
+ * Deletes the tasks matching the where clause together with everything attached to them.
+ * Tasks that were only waiting for one of them are unblocked, on behalf of userID.
+ */
+const destroyTasks = async (where, userID, transaction) => {
+    const tasks = await Task.findAll({ where, attributes: ['taskID'], transaction });
+    const taskIDs = tasks.map(t => t.taskID);
+    const dependents = (await findDependents(taskIDs, transaction)).filter(id => !taskIDs.includes(id));
+    await destroyComments(taskIDs, transaction);
+    await TaskDependency.destroy({
+        where: { [Op.or]: [{ taskID: { [Op.in]: taskIDs } }, { dependsOnID: { [Op.in]: taskIDs } }] },
+        transaction
+    });
+    await TaskStatusHistory.destroy({ where: { taskID: { [Op.in]: taskIDs } }, transaction });
+    await Task.destroy({ where: { taskID: { [Op.in]: taskIDs } }, transaction });
+    await refreshBlocked(dependents, userID, transaction);
+};
+
+module.exports = {
+    destroyTasks
+};
@@ -0,0 +1,89 @@
+const { Op } = require('sequelize');
+const ToolLoan = require('../models/ToolLoan');
+const { ACTIVE_LOAN_STATUSES, INVENTORIES, takeUnits } = require('./inventory');
+const { today } = require('./dates');
+
+/**
+ * What each party can do with a loan: the statuses it may be in, the one it moves to, who may do
+ * it, and the timestamp set along the way. Cancelling is open to both the borrower and the owner
+ * until the tool is handed over.
+ */
+const LOAN_ACTIONS = {
+    approve: { from: ['requested'], to: 'approved', by: ['owner'], at: 'approvedAt' },
+    reject: { from: ['requested'], to: 'rejected', by: ['owner'], at: 'closedAt' },
+    cancel: { from: ['requested', 'approved'], to: 'cancelled', by: ['borrower', 'owner'], at: 'closedAt' },
+    checkout: { from: ['approved'], to: 'checked out', by: ['owner'], at: 'checkedOutAt', condition: 'checkoutCondition' },
+    return: { from: ['checked out'], to: 'returned', by: ['owner'], at: 'returnedAt', condition: 'returnCondition' }
+};
+
+// Checked out loans past their due date
+const overdueWhere = () => ({ status: 'checked out', dueDate: { [Op.lt]: today() } });
+
+/**
+ * Moves a loan to another status. Active loans count against the tool's free units, so a loan
+ * becoming active is checked against them first, and a loan ending frees its units by itself.
+ * Resolves to false, changing nothing, when the tool does not have enough units free.
+ */
+const moveLoan = async (loan, status, fields, transaction) => {
+    const wasActive = ACTIVE_LOAN_STATUSES.includes(loan.status);
+    const isActive = ACTIVE_LOAN_STATUSES.includes(status);
+    if (!wasActive && isActive && !(await takeUnits(INVENTORIES.tool, loan.toolID, loan.quantity, transaction))) {
+        return false;
+    }
+    await loan.update({ ...fields, status }, { transaction });
+    return true;
+};
+
+/**
+ * Settles the loans of a project being deleted: the ones not handed over yet are cancelled, and
+ * the ones checked out stay open without a project until the tool is returned.
+ */
+const closeProjectLoans = async (projectID, transaction) => {
+    const loans = await ToolLoan.findAll({
+        where: { projectID, status: { [Op.in]: ['requested', 'approved'] } },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+    for (const loan of loans) {
+        await moveLoan(loan, 'cancelled', { closedAt: new Date() }, transaction);
+    }
+    await ToolLoan.update({ projectID: null }, { where: { projectID }, transaction });
+};
+
+/**
+ * Settles the loans of a tool being deleted, which no active loan holds any more: the requests
+ * still waiting are cancelled, and all its loans stay without the tool.
+ */
+const closeToolLoans = async (toolID, transaction) => {
+    await ToolLoan.update({ status: 'cancelled', closedAt: new Date() }, {
+        where: { toolID, status: 'requested' },
+        transaction
+    });
+    await ToolLoan.update({ toolID: null }, { where: { toolID }, transaction });
+};
+
+/**
+ * Cancels the open requests of a user whose account is being deleted, as borrower or owner, and
+ * keeps their other loans without saying who they were.
+ */
+const anonymizeLoans = async (userID, transaction) => {
+    const loans = await ToolLoan.findAll({
+        where: { [Op.or]: [{ borrowerID: userID }, { ownerID: userID }], status: { [Op.in]: ['requested', 'approved'] } },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+    for (const loan of loans) {
+        await moveLoan(loan, 'cancelled', { closedAt: new Date() }, transaction);
+    }
+    await ToolLoan.update({ borrowerID: null }, { where: { borrowerID: userID }, transaction });
+    await ToolLoan.update({ ownerID: null }, { where: { ownerID: userID }, transaction });
+};
+
+module.exports = {
+    LOAN_ACTIONS,
+    overdueWhere,
+    moveLoan,
+    closeProjectLoans,
+    closeToolLoans,
+    anonymizeLoans
+};
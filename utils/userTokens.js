@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const sequelize = require('../modals/db');
+const UserToken = require('../models/UserToken');
+const { hashToken } = require('./session');
+
+// Issues a new token for the purpose; earlier unused tokens of the same purpose stop working.
+// Extra attributes (such as newEmail) are stored on the token row.
+const createUserToken = async (userID, purpose, expiresIn, extra = {}) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    await sequelize.transaction(async (transaction) => {
+        await UserToken.update({ usedAt: new Date() }, {
+            where: { userID, purpose, usedAt: null },
+            transaction
+        });
+        await UserToken.create({
+            tokenHash: hashToken(token),
+            purpose,
+            userID,
+            expiresAt: new Date(Date.now() + expiresIn * 1000),
+            ...extra
+        }, { transaction });
+    });
+    return token;
+};
+
+// Marks the token as used and resolves to its row, or to null when it is unknown, used or expired.
+// Runs inside the caller's transaction when one is given so the token is only spent if the caller commits.
+const consumeUserToken = async (token, purpose, transaction) => {
+    const [updated] = await UserToken.update({ usedAt: new Date() }, {
+        where: {
+            tokenHash: hashToken(token),
+            purpose,
+            usedAt: null,
+            expiresAt: { [Op.gt]: new Date() }
+        },
+        transaction
+    });
+    if (!updated) {
+        return null;
+    }
+    return UserToken.findOne({ where: { tokenHash: hashToken(token) }, transaction });
+};
+
+module.exports = {
+    createUserToken,
+    consumeUserToken
+};